@@ -5,6 +5,8 @@ module.exports = {
     watch  : false,
     instances: 1,
     autorestart: true,
+    // Give running Minecraft servers time to save before pm2 kills the panel.
+    kill_timeout: 90000,
     max_memory_restart: '1G'
   }]
 }
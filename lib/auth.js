@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { readJson, writeJson } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of power. A user has one panel-wide role and may be
+// granted a higher role on individual servers; the higher of the two applies.
+const ROLES = ['none', 'viewer', 'operator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    none: [],
+    viewer: ['server.view', 'console.view'],
+    operator: [
+        'server.view', 'console.view', 'server.control', 'console.command', 'files.read', 'backups.create', 'schedules.view',
+        'players.view', 'players.manage'
+    ],
+    admin: [
+        'server.view', 'console.view', 'server.control', 'console.command', 'files.read', 'backups.create', 'schedules.view',
+        'players.view', 'players.manage',
+        'files.write', 'server.settings', 'server.delete', 'backups.manage', 'schedules.manage', 'server.create', 'users.manage'
+    ]
+};
+
+// Panel-wide permissions; a per-server grant never confers these.
+const GLOBAL_PERMISSIONS = ['server.create', 'users.manage'];
+
+const SESSION_COOKIE = 'mcpanel_session';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    return { salt, hash };
+}
+
+async function verifyPassword(password, salt, hash) {
+    const candidate = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const value = part.slice(index + 1).trim();
+        // Any client can send a cookie header; a malformed escape keeps the raw value instead of throwing.
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+        } catch {
+            cookies[part.slice(0, index).trim()] = value;
+        }
+    }
+    return cookies;
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+    return role;
+}
+
+function validateServerRoles(serverRoles = {}) {
+    const result = {};
+    for (const [serverName, role] of Object.entries(serverRoles)) {
+        if (role && role !== 'none') result[serverName] = validateRole(role);
+    }
+    return result;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+}
+
+// The user as seen by the rest of the panel: never includes password material.
+const toPublicUser = ({ username, role, serverRoles, createdAt }) => ({ username, role, serverRoles, createdAt });
+
+// Local password accounts and cookie sessions, shared by Express and the socket.io handshake.
+class Auth {
+    constructor(dataDir, { sessionTtlHours = 168 } = {}) {
+        this.usersFile = path.join(dataDir, 'users.json');
+        this.sessionsFile = path.join(dataDir, 'sessions.json');
+        this.sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+        this.users = new Map(); // username -> stored user (with salt and hash)
+        this.sessions = new Map(); // sha256(token) -> { username, expiresAt }
+        this.failedLogins = new Map(); // client address -> { count, firstAt }
+    }
+
+    async load() {
+        for (const user of await readJson(this.usersFile, [])) this.users.set(user.username, user);
+        const now = Date.now();
+        for (const [key, session] of Object.entries(await readJson(this.sessionsFile, {}))) {
+            if (session.expiresAt > now) this.sessions.set(key, session);
+        }
+    }
+
+    saveUsers() {
+        return writeJson(this.usersFile, [...this.users.values()]);
+    }
+
+    saveSessions() {
+        return writeJson(this.sessionsFile, Object.fromEntries(this.sessions));
+    }
+
+    hasUsers() {
+        return this.users.size > 0;
+    }
+
+    getUser(username) {
+        const user = this.users.get(username);
+        return user ? toPublicUser(user) : null;
+    }
+
+    listUsers() {
+        return [...this.users.values()].map(toPublicUser).sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    countAdmins() {
+        return [...this.users.values()].filter(u => u.role === 'admin').length;
+    }
+
+    // Validates and hashes a new account without adding it. hashPassword is the only await, so
+    // callers repeat their checks on the existing accounts afterwards: concurrent requests could
+    // otherwise both pass them.
+    async buildUser({ username, password, role = 'viewer', serverRoles = {} }) {
+        if (!USERNAME_PATTERN.test(username || '')) {
+            throw new Error('Username must be 3-32 characters: letters, digits, ".", "_" or "-".');
+        }
+        if (this.users.has(username)) throw new Error(`User '${username}' already exists.`);
+        validatePassword(password);
+        return {
+            username,
+            role: validateRole(role),
+            serverRoles: validateServerRoles(serverRoles),
+            createdAt: Date.now(),
+            ...(await hashPassword(password))
+        };
+    }
+
+    async addUser(user) {
+        this.users.set(user.username, user);
+        await this.saveUsers();
+        return toPublicUser(user);
+    }
+
+    async createUser(details) {
+        const user = await this.buildUser(details);
+        if (this.users.has(user.username)) throw new Error(`User '${user.username}' already exists.`);
+        return this.addUser(user);
+    }
+
+    // The admin created on first run. Returns null if an account exists by then, so only one of
+    // several setup requests sent at once succeeds.
+    async createFirstAdmin({ username, password }) {
+        if (this.hasUsers()) return null;
+        const user = await this.buildUser({ username, password, role: 'admin' });
+        if (this.hasUsers()) return null;
+        return this.addUser(user);
+    }
+
+    async updateUser(username, { role, serverRoles, password }) {
+        const user = this.users.get(username);
+        if (!user) throw new Error(`User '${username}' not found.`);
+        if (role !== undefined && role !== user.role) {
+            validateRole(role);
+            if (user.role === 'admin' && this.countAdmins() === 1) throw new Error('Cannot demote the last admin.');
+            user.role = role;
+        }
+        if (serverRoles !== undefined) user.serverRoles = validateServerRoles(serverRoles);
+        if (password !== undefined) {
+            validatePassword(password);
+            Object.assign(user, await hashPassword(password));
+            await this.endSessionsOf(username);
+        }
+        await this.saveUsers();
+        return toPublicUser(user);
+    }
+
+    async deleteUser(username) {
+        const user = this.users.get(username);
+        if (!user) throw new Error(`User '${username}' not found.`);
+        if (user.role === 'admin' && this.countAdmins() === 1) throw new Error('Cannot delete the last admin.');
+        this.users.delete(username);
+        await this.saveUsers();
+        await this.endSessionsOf(username);
+    }
+
+    // Drops per-server grants for a server that no longer exists.
+    async removeServerGrants(serverName) {
+        let changed = false;
+        for (const user of this.users.values()) {
+            if (user.serverRoles[serverName]) {
+                delete user.serverRoles[serverName];
+                changed = true;
+            }
+        }
+        if (changed) await this.saveUsers();
+    }
+
+    async checkPassword(username, password) {
+        const user = this.users.get(username);
+        if (!user) return false;
+        return verifyPassword(String(password || ''), user.salt, user.hash);
+    }
+
+    // Returns a new session token. Repeated failures from one address are locked out for a while.
+    async login(username, password, clientAddress = 'unknown') {
+        const now = Date.now();
+        const failures = this.failedLogins.get(clientAddress);
+        if (failures && now - failures.firstAt > FAILED_LOGIN_WINDOW_MS) this.failedLogins.delete(clientAddress);
+        if ((this.failedLogins.get(clientAddress)?.count || 0) >= MAX_FAILED_LOGINS) {
+            throw new Error('Too many failed logins. Try again later.');
+        }
+
+        if (!(await this.checkPassword(username, password))) {
+            const entry = this.failedLogins.get(clientAddress) || { count: 0, firstAt: now };
+            entry.count++;
+            this.failedLogins.set(clientAddress, entry);
+            throw new Error('Invalid username or password.');
+        }
+
+        this.failedLogins.delete(clientAddress);
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(sha256(token), { username, expiresAt: now + this.sessionTtlMs });
+        await this.saveSessions();
+        return token;
+    }
+
+    async logout(token) {
+        if (token && this.sessions.delete(sha256(token))) await this.saveSessions();
+    }
+
+    async endSessionsOf(username) {
+        for (const [key, session] of this.sessions) {
+            if (session.username === username) this.sessions.delete(key);
+        }
+        await this.saveSessions();
+    }
+
+    getSessionUser(token) {
+        if (!token) return null;
+        const key = sha256(token);
+        const session = this.sessions.get(key);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(key);
+            return null;
+        }
+        return this.getUser(session.username);
+    }
+
+    // Works for Express requests and for socket.request during the socket.io handshake.
+    tokenFromRequest(req) {
+        return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+    }
+
+    userFromRequest(req) {
+        return this.getSessionUser(this.tokenFromRequest(req));
+    }
+
+    sessionCookie(token) {
+        const maxAge = token ? Math.floor(this.sessionTtlMs / 1000) : 0;
+        return `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}`;
+    }
+
+    roleFor(user, serverName) {
+        if (!user) return 'none';
+        const serverRole = serverName ? user.serverRoles?.[serverName] || 'none' : 'none';
+        return ROLES.indexOf(serverRole) > ROLES.indexOf(user.role) ? serverRole : user.role;
+    }
+
+    permissionsFor(user, serverName) {
+        if (!user) return [];
+        const global = ROLE_PERMISSIONS[user.role] || [];
+        const effective = ROLE_PERMISSIONS[this.roleFor(user, serverName)] || [];
+        return [...new Set([...global, ...effective.filter(p => !GLOBAL_PERMISSIONS.includes(p))])];
+    }
+
+    can(user, permission, serverName) {
+        return this.permissionsFor(user, serverName).includes(permission);
+    }
+}
+
+module.exports = { Auth, ROLES, ROLE_PERMISSIONS, SESSION_COOKIE };
@@ -0,0 +1,269 @@
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const tar = require('tar');
+const { minimatch } = require('minimatch');
+
+const BACKUP_NAME_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-(manual|auto|pre-restore|scheduled|pre-update)\.tar\.gz$/;
+const SAVE_TIMEOUT_MS = 60 * 1000;
+
+// "cache/**" should also match the "cache" directory itself, so the whole subtree is skipped.
+const matchesPattern = (relPath, pattern) => {
+    const options = { dot: true, matchBase: !pattern.includes('/') };
+    return minimatch(relPath, pattern, options) ||
+        (pattern.endsWith('/**') && minimatch(relPath, pattern.slice(0, -3), options));
+};
+
+// Directories are only checked against exclude patterns, so includes like "world/**" still reach their files.
+function createPathFilter({ include = ['**'], exclude = [] }) {
+    return (relPath, isDirectory) => {
+        if (exclude.some(pattern => matchesPattern(relPath, pattern))) return false;
+        if (isDirectory) return true;
+        return include.length === 0 || include.some(pattern => matchesPattern(relPath, pattern));
+    };
+}
+
+const backupTimestamp = (date = new Date()) => date.toISOString().replace(/[:.]/g, '-');
+
+function parseBackupName(fileName) {
+    const match = BACKUP_NAME_PATTERN.exec(fileName);
+    if (!match) return null;
+    const [, stamp, type] = match;
+    const iso = stamp.replace(/^(\d{4}-\d{2}-\d{2}T)(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1$2:$3:$4.$5Z');
+    return { file: fileName, type, time: Date.parse(iso) };
+}
+
+// Keeps the newest keepLast backups, plus the newest backup of each of the last
+// keepDaily days and keepWeekly weeks. All zero means keep everything.
+function selectBackupsToDelete(backups, { keepLast = 0, keepDaily = 0, keepWeekly = 0 }) {
+    if (!keepLast && !keepDaily && !keepWeekly) return [];
+    const sorted = [...backups].sort((a, b) => b.time - a.time);
+    const keep = new Set(sorted.slice(0, keepLast));
+    const keepNewestPerPeriod = (periodOf, count) => {
+        const seen = new Set();
+        for (const backup of sorted) {
+            const period = periodOf(new Date(backup.time));
+            if (seen.has(period)) continue;
+            if (seen.size >= count) break;
+            seen.add(period);
+            keep.add(backup);
+        }
+    };
+    if (keepDaily) keepNewestPerPeriod(date => date.toISOString().slice(0, 10), keepDaily);
+    if (keepWeekly) keepNewestPerPeriod(date => Math.floor((date.getTime() / 86400000 + 3) / 7), keepWeekly);
+    return sorted.filter(backup => !keep.has(backup));
+}
+
+// Compressed snapshots of server directories, stored in .panel/servers/<name>/backups.
+class BackupManager extends EventEmitter {
+    constructor(processes, settings) {
+        super();
+        this.processes = processes;
+        this.settings = settings;
+        this.busy = new Map(); // serverName -> 'backup' | 'restore'
+        this.autoTimer = null;
+    }
+
+    backupDir(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'backups');
+    }
+
+    resolveBackup(serverName, fileName) {
+        if (!parseBackupName(fileName || '')) throw new Error(`Invalid backup name: ${fileName}`);
+        return path.join(this.backupDir(serverName), fileName);
+    }
+
+    isBusy(serverName) {
+        return this.busy.get(serverName) || null;
+    }
+
+    async list(serverName) {
+        let files;
+        try {
+            files = await fsp.readdir(this.backupDir(serverName));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const backups = [];
+        for (const file of files) {
+            const info = parseBackupName(file);
+            if (!info) continue;
+            const { size } = await fsp.stat(path.join(this.backupDir(serverName), file));
+            backups.push({ ...info, size });
+        }
+        return backups.sort((a, b) => b.time - a.time);
+    }
+
+    // Asks a running server to flush everything to disk and pause autosave while the archive is written.
+    async withWorldSaved(server, task) {
+        if (server.state !== 'running') return task();
+        const saved = new Promise((resolve) => {
+            const timer = setTimeout(done, SAVE_TIMEOUT_MS);
+            function done() {
+                clearTimeout(timer);
+                server.off('line', onLine);
+                resolve();
+            }
+            function onLine(line) {
+                if (/Saved the (game|world)/i.test(line)) done();
+            }
+            server.on('line', onLine);
+        });
+        server.sendCommand('save-off');
+        server.sendCommand('save-all flush');
+        await saved;
+        try {
+            return await task();
+        } finally {
+            if (server.running) server.sendCommand('save-on');
+        }
+    }
+
+    // Retention is skipped for safety backups taken before a restore, so the backup being restored survives.
+    async create(serverName, type = 'manual', { applyRetention = true } = {}) {
+        if (this.busy.has(serverName)) throw new Error(`A ${this.busy.get(serverName)} is already in progress for '${serverName}'.`);
+        const server = this.processes.get(serverName);
+        if (server.state === 'installing') throw new Error(`Server '${serverName}' is still being installed.`);
+        const { backups: options } = await this.settings.get(serverName);
+        const fileName = `${backupTimestamp()}-${type}.tar.gz`;
+        const target = path.join(this.backupDir(serverName), fileName);
+        const tmpTarget = `${target}.partial`;
+        const filter = createPathFilter(options);
+
+        this.busy.set(serverName, 'backup');
+        this.emit('backup-started', serverName, { file: fileName, type });
+        try {
+            await fsp.mkdir(this.backupDir(serverName), { recursive: true });
+            await this.withWorldSaved(server, () => tar.create({
+                gzip: true,
+                cwd: server.dir,
+                file: tmpTarget,
+                portable: true,
+                filter: (entryPath, stat) => {
+                    const relPath = entryPath.replace(/^\.\//, '');
+                    return relPath === '.' || filter(relPath, stat.isDirectory());
+                }
+            }, ['.']));
+            await fsp.rename(tmpTarget, target);
+            const { size } = await fsp.stat(target);
+            const backup = { ...parseBackupName(fileName), size };
+            this.emit('backup-finished', serverName, backup);
+            if (applyRetention) await this.applyRetention(serverName);
+            return backup;
+        } catch (error) {
+            await fsp.rm(tmpTarget, { force: true });
+            this.emit('backup-failed', serverName, error);
+            throw error;
+        } finally {
+            this.busy.delete(serverName);
+        }
+    }
+
+    async applyRetention(serverName) {
+        const { backups: options } = await this.settings.get(serverName);
+        const toDelete = selectBackupsToDelete(await this.list(serverName), options.retention);
+        for (const backup of toDelete) {
+            await fsp.rm(path.join(this.backupDir(serverName), backup.file), { force: true });
+        }
+        if (toDelete.length) this.emit('backups-pruned', serverName, toDelete.map(b => b.file));
+    }
+
+    async remove(serverName, fileName) {
+        await fsp.unlink(this.resolveBackup(serverName, fileName));
+    }
+
+    // Deletes what the backup would contain (excluded paths such as libraries/ stay), then extracts it.
+    // A running server is stopped first; a safety backup of the current state is taken before anything is removed.
+    async restore(serverName, fileName) {
+        const archive = this.resolveBackup(serverName, fileName);
+        if (!fs.existsSync(archive)) throw new Error(`Backup ${fileName} not found.`);
+        if (this.busy.has(serverName)) throw new Error(`A ${this.busy.get(serverName)} is already in progress for '${serverName}'.`);
+        const server = this.processes.get(serverName);
+        if (server.state === 'installing') throw new Error(`Server '${serverName}' is still being installed.`);
+
+        server.lock('Restoring a backup');
+        try {
+            if (server.running) {
+                this.emit('restore-progress', serverName, 'Stopping the server before restoring...');
+                await server.stop();
+            }
+            this.emit('restore-progress', serverName, 'Taking a safety backup of the current state...');
+            await this.create(serverName, 'pre-restore', { applyRetention: false });
+
+            this.busy.set(serverName, 'restore');
+            this.emit('restore-progress', serverName, `Restoring ${fileName}...`);
+            const { backups: options } = await this.settings.get(serverName);
+            await this.clearIncluded(server.dir, '', createPathFilter(options));
+            await tar.extract({ file: archive, cwd: server.dir, preservePaths: false });
+            this.emit('restore-finished', serverName, fileName);
+        } catch (error) {
+            this.emit('restore-failed', serverName, error);
+            throw error;
+        } finally {
+            server.unlock();
+            this.busy.delete(serverName);
+        }
+    }
+
+    async clearIncluded(rootDir, relDir, filter) {
+        const entries = await fsp.readdir(path.join(rootDir, relDir), { withFileTypes: true });
+        for (const entry of entries) {
+            const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+            const fullPath = path.join(rootDir, relPath);
+            if (!filter(relPath, entry.isDirectory())) continue;
+            if (entry.isDirectory()) {
+                await this.clearIncluded(rootDir, relPath, filter);
+                if ((await fsp.readdir(fullPath)).length === 0) await fsp.rmdir(fullPath);
+            } else {
+                await fsp.rm(fullPath, { force: true });
+            }
+        }
+    }
+
+    // Checks every few minutes whether a server with automatic backups enabled is due for one.
+    startAutoBackups(listServers, intervalMs = 5 * 60 * 1000) {
+        const check = async () => {
+            for (const serverName of await listServers()) {
+                try {
+                    const { backups: options } = await this.settings.get(serverName);
+                    if (!options.auto.enabled || this.busy.has(serverName)) continue;
+                    if (this.processes.getState(serverName) === 'installing') continue;
+                    const latest = (await this.list(serverName))[0];
+                    if (latest && Date.now() - latest.time < options.auto.intervalHours * 3600 * 1000) continue;
+                    await this.create(serverName, 'auto');
+                } catch (error) {
+                    console.error(`Automatic backup of '${serverName}' failed:`, error.message);
+                }
+            }
+        };
+        this.autoTimer = setInterval(check, intervalMs);
+        this.autoTimer.unref();
+    }
+}
+
+function normalizeBackupSettings(value) {
+    const patterns = (list) => (Array.isArray(list) ? list : String(list || '').split('\n'))
+        .map(p => String(p).trim())
+        .filter(Boolean);
+    const count = (n) => {
+        const number = Math.floor(Number(n));
+        if (!Number.isFinite(number) || number < 0) throw new Error(`Invalid retention value: ${n}`);
+        return number;
+    };
+    const intervalHours = Number(value.auto?.intervalHours);
+    if (!Number.isFinite(intervalHours) || intervalHours <= 0) throw new Error('Backup interval must be a positive number of hours.');
+    return {
+        include: patterns(value.include),
+        exclude: patterns(value.exclude),
+        retention: {
+            keepLast: count(value.retention?.keepLast),
+            keepDaily: count(value.retention?.keepDaily),
+            keepWeekly: count(value.retention?.keepWeekly)
+        },
+        auto: { enabled: !!value.auto?.enabled, intervalHours }
+    };
+}
+
+module.exports = { BackupManager, normalizeBackupSettings, createPathFilter, selectBackupsToDelete };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'panel.config.json';
+
+// Every option the panel understands, with its default. panel.config.json in the
+// project root only needs the keys that differ.
+const defaults = {
+    stop: {
+        // Seconds to wait after sending "stop" before escalating to SIGTERM.
+        gracefulTimeout: 60,
+        // Seconds to wait after SIGTERM before escalating to SIGKILL.
+        terminateTimeout: 15
+    },
+    auth: {
+        // How long a login stays valid.
+        sessionTtlHours: 168
+    },
+    console: {
+        // Recent output kept in memory per server and replayed when a console is opened.
+        historyBytes: 256 * 1024,
+        // Size at which .panel/servers/<name>/console/console.log is rotated, and how many files are kept.
+        logMaxBytes: 5 * 1024 * 1024,
+        logFiles: 5
+    },
+    players: {
+        // How player names are turned into UUIDs when lists are edited while a server is stopped:
+        // "auto" follows the server's online-mode, "mojang" or "offline" force one.
+        uuidResolver: 'auto'
+    },
+    status: {
+        // How often running servers are pinged for players, MOTD and version, and how long a ping may take.
+        intervalSeconds: 10,
+        timeoutSeconds: 5
+    },
+    resources: {
+        // How often CPU and memory are sampled, TPS/MSPT are queried (over RCON) and directory sizes are measured.
+        intervalSeconds: 10,
+        tpsIntervalSeconds: 30,
+        diskIntervalSeconds: 300,
+        // Warnings: memory above this share of -Xmx, CPU above this share of all cores, TPS below this value.
+        memoryWarningPercent: 90,
+        cpuWarningPercent: 90,
+        tpsWarning: 15
+    },
+    metrics: {
+        // Serve Prometheus metrics at /metrics. Off by default: the endpoint is outside the login
+        // and lists every server, so set a token too unless only trusted hosts can reach the panel.
+        enabled: false,
+        // If set, scrapes must send "Authorization: Bearer <token>".
+        token: ''
+    },
+    installs: {
+        // Installs running at the same time; further ones wait in a queue.
+        concurrency: 1
+    },
+    catalog: {
+        // How long version lists and build metadata are reused before they are fetched again.
+        // Older copies are still used while the upstream can not be reached.
+        ttlMinutes: 60
+    },
+    files: {
+        // Earlier versions kept per file saved from the editor; the oldest are dropped first.
+        revisionsPerFile: 20
+    },
+    webhooks: {
+        // Failed deliveries are retried this many times, waiting backoffSeconds, then twice as long each time.
+        retries: 3,
+        backoffSeconds: 5,
+        timeoutSeconds: 10
+    }
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+function mergeDeep(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeDeep(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+function loadConfig(rootDir) {
+    const configPath = path.join(rootDir, CONFIG_FILE);
+    const config = structuredClone(defaults);
+    if (!fs.existsSync(configPath)) return config;
+    try {
+        return mergeDeep(config, JSON.parse(fs.readFileSync(configPath, 'utf-8')));
+    } catch (error) {
+        console.error(`Could not read ${CONFIG_FILE}, using defaults:`, error.message);
+        return config;
+    }
+}
+
+module.exports = { loadConfig, CONFIG_FILE };
@@ -0,0 +1,99 @@
+const path = require('path');
+const fs = require('fs');
+
+// Keeps the most recent console output of every server in memory (replayed to
+// clients when they open the console) and appends all of it to a size-rotated
+// file in .panel/servers/<name>/console/ (console.log, console.1.log, ...).
+class ConsoleLog {
+    constructor(settings, { historyBytes = 256 * 1024, logMaxBytes = 5 * 1024 * 1024, logFiles = 5 } = {}) {
+        this.settings = settings;
+        this.historyBytes = historyBytes;
+        this.logMaxBytes = logMaxBytes;
+        this.logFiles = logFiles;
+        this.history = new Map(); // serverName -> { chunks, length }
+        this.logs = new Map(); // serverName -> { stream, size }
+    }
+
+    logDir(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'console');
+    }
+
+    append(serverName, data) {
+        this.remember(serverName, data);
+        this.writeLog(serverName, data);
+    }
+
+    // Ring buffer of output chunks: the oldest chunks are dropped once the total exceeds historyBytes.
+    remember(serverName, data) {
+        let buffer = this.history.get(serverName);
+        if (!buffer) {
+            buffer = { chunks: [], length: 0 };
+            this.history.set(serverName, buffer);
+        }
+        buffer.chunks.push(data);
+        buffer.length += data.length;
+        while (buffer.length > this.historyBytes && buffer.chunks.length > 1) {
+            buffer.length -= buffer.chunks.shift().length;
+        }
+        if (buffer.length > this.historyBytes) {
+            buffer.chunks[0] = buffer.chunks[0].slice(-this.historyBytes);
+            buffer.length = buffer.chunks[0].length;
+        }
+    }
+
+    getHistory(serverName) {
+        return this.history.get(serverName)?.chunks.join('') || '';
+    }
+
+    // Writes to the log file only. Also used directly for markers that should not be replayed.
+    writeLog(serverName, data) {
+        const bytes = Buffer.byteLength(data);
+        let log = this.logs.get(serverName) || this.openLog(serverName);
+        if (log.size > 0 && log.size + bytes > this.logMaxBytes) log = this.rotate(serverName);
+        log.stream.write(data);
+        log.size += bytes;
+    }
+
+    openLog(serverName) {
+        const dir = this.logDir(serverName);
+        const file = path.join(dir, 'console.log');
+        fs.mkdirSync(dir, { recursive: true });
+        const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        const stream = fs.createWriteStream(file, { flags: 'a' });
+        stream.on('error', (error) => console.error(`Could not write the console log of '${serverName}':`, error.message));
+        const log = { stream, size };
+        this.logs.set(serverName, log);
+        return log;
+    }
+
+    // console.log becomes console.1.log, console.1.log becomes console.2.log, ...; the oldest is deleted.
+    // Writes still queued on the old stream follow the renamed file.
+    rotate(serverName) {
+        this.logs.get(serverName)?.stream.end();
+        this.logs.delete(serverName);
+        const dir = this.logDir(serverName);
+        const fileFor = (index) => path.join(dir, index === 0 ? 'console.log' : `console.${index}.log`);
+        fs.rmSync(fileFor(this.logFiles - 1), { force: true });
+        for (let index = this.logFiles - 2; index >= 0; index--) {
+            if (fs.existsSync(fileFor(index))) fs.renameSync(fileFor(index), fileFor(index + 1));
+        }
+        return this.openLog(serverName);
+    }
+
+    close(serverName) {
+        this.logs.get(serverName)?.stream.end();
+        this.logs.delete(serverName);
+    }
+
+    // For a deleted server; its log files go with the server's panel directory.
+    remove(serverName) {
+        this.close(serverName);
+        this.history.delete(serverName);
+    }
+
+    closeAll() {
+        for (const serverName of [...this.logs.keys()]) this.close(serverName);
+    }
+}
+
+module.exports = { ConsoleLog };
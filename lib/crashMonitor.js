@@ -0,0 +1,186 @@
+const EventEmitter = require('events');
+const path = require('path');
+const fsp = require('fs').promises;
+const { readJson, writeJson } = require('./storage');
+
+const CONSOLE_TAIL_LINES = 100;
+const MAX_CRASH_LOGS = 50;
+const MAX_CRASH_REPORT_BYTES = 256 * 1024;
+
+// Newest file in <server>/crash-reports/ written since the server was started, if any.
+async function findCrashReport(serverDir, since) {
+    const reportsDir = path.join(serverDir, 'crash-reports');
+    let entries;
+    try {
+        entries = await fsp.readdir(reportsDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    let newest = null;
+    for (const entry of entries.filter(e => e.isFile())) {
+        const filePath = path.join(reportsDir, entry.name);
+        const { mtimeMs } = await fsp.stat(filePath);
+        if (mtimeMs >= since && (!newest || mtimeMs > newest.mtimeMs)) {
+            newest = { name: entry.name, filePath, mtimeMs };
+        }
+    }
+    if (!newest) return null;
+    const content = await fsp.readFile(newest.filePath, 'utf-8');
+    return {
+        file: `crash-reports/${newest.name}`,
+        content: content.length > MAX_CRASH_REPORT_BYTES ? content.slice(0, MAX_CRASH_REPORT_BYTES) + '\n[truncated]' : content
+    };
+}
+
+function normalizeAutoRestartPolicy(policy) {
+    const positiveInt = (value, min) => {
+        const number = Math.floor(Number(value));
+        if (!Number.isFinite(number) || number < min) throw new Error(`Invalid auto-restart value: ${value}`);
+        return number;
+    };
+    return {
+        enabled: !!policy.enabled,
+        maxAttempts: positiveInt(policy.maxAttempts, 1),
+        windowSeconds: positiveInt(policy.windowSeconds, 1),
+        backoffSeconds: positiveInt(policy.backoffSeconds, 0),
+        maxBackoffSeconds: positiveInt(policy.maxBackoffSeconds, 0)
+    };
+}
+
+// Logs every crash and applies the server's auto-restart policy: exponential
+// backoff between attempts, and "crash-looping" once attempts run out.
+class CrashMonitor extends EventEmitter {
+    constructor(processes, settings) {
+        super();
+        this.processes = processes;
+        this.settings = settings;
+        this.crashTimes = new Map(); // serverName -> crash timestamps inside the current window
+        this.pendingRestarts = new Map(); // serverName -> { timer, attempt, at }
+        this.stats = new Map(); // serverName -> { crashes, autoRestarts }
+
+        processes.on('state', (serverName, state) => {
+            if (state !== 'crashed') return;
+            this.handleCrash(serverName).catch(error => {
+                console.error(`Error handling crash of '${serverName}':`, error);
+            });
+        });
+    }
+
+    crashDir(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'crashes');
+    }
+
+    getStats(serverName) {
+        if (!this.stats.has(serverName)) this.stats.set(serverName, { crashes: 0, autoRestarts: 0 });
+        return this.stats.get(serverName);
+    }
+
+    getPendingRestart(serverName) {
+        const pending = this.pendingRestarts.get(serverName);
+        return pending ? { attempt: pending.attempt, at: pending.at } : null;
+    }
+
+    async handleCrash(serverName) {
+        const server = this.processes.get(serverName);
+        const crash = await this.recordCrash(server);
+        this.getStats(serverName).crashes++;
+        this.emit('crash', serverName, crash);
+
+        const policy = (await this.settings.get(serverName)).autoRestart;
+        if (!policy.enabled) return;
+
+        const now = Date.now();
+        const recent = (this.crashTimes.get(serverName) || []).filter(time => now - time < policy.windowSeconds * 1000);
+        recent.push(now);
+        this.crashTimes.set(serverName, recent);
+
+        if (recent.length > policy.maxAttempts) {
+            server.setState('crash-looping');
+            this.emit('crash-looping', serverName, { crashes: recent.length, windowSeconds: policy.windowSeconds });
+            return;
+        }
+
+        const attempt = recent.length;
+        const delaySeconds = Math.min(policy.backoffSeconds * 2 ** (attempt - 1), policy.maxBackoffSeconds);
+        const timer = setTimeout(() => {
+            this.pendingRestarts.delete(serverName);
+            if (server.running || server.state !== 'crashed') return;
+            try {
+                server.start();
+                this.getStats(serverName).autoRestarts++;
+            } catch (error) {
+                this.emit('restart-failed', serverName, error);
+            }
+        }, delaySeconds * 1000);
+        this.pendingRestarts.set(serverName, { timer, attempt, at: now + delaySeconds * 1000 });
+        this.emit('restart-scheduled', serverName, { attempt, maxAttempts: policy.maxAttempts, delaySeconds });
+    }
+
+    async recordCrash(server) {
+        const time = server.lastExit?.time || Date.now();
+        const crash = {
+            id: String(time),
+            time,
+            exitCode: server.lastExit?.code ?? null,
+            signal: server.lastExit?.signal ?? null,
+            consoleTail: server.recentLines.slice(-CONSOLE_TAIL_LINES),
+            crashReport: await findCrashReport(server.dir, server.lastStartedAt || 0)
+        };
+        await writeJson(path.join(this.crashDir(server.name), `${crash.id}.json`), crash);
+        await this.pruneCrashLogs(server.name);
+        return crash;
+    }
+
+    async pruneCrashLogs(serverName) {
+        const files = (await fsp.readdir(this.crashDir(serverName))).filter(f => f.endsWith('.json')).sort();
+        const excess = files.slice(0, Math.max(0, files.length - MAX_CRASH_LOGS));
+        await Promise.all(excess.map(f => fsp.unlink(path.join(this.crashDir(serverName), f))));
+    }
+
+    // Summaries only, newest first; use getCrash() for the console tail and report.
+    async listCrashes(serverName) {
+        let files;
+        try {
+            files = await fsp.readdir(this.crashDir(serverName));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const crashes = await Promise.all(files.filter(f => f.endsWith('.json')).map(async (file) => {
+            const crash = await readJson(path.join(this.crashDir(serverName), file), null);
+            return crash && {
+                id: crash.id,
+                time: crash.time,
+                exitCode: crash.exitCode,
+                signal: crash.signal,
+                crashReportFile: crash.crashReport?.file || null
+            };
+        }));
+        return crashes.filter(Boolean).sort((a, b) => b.time - a.time);
+    }
+
+    async getCrash(serverName, id) {
+        if (!/^\d+$/.test(String(id))) throw new Error('Invalid crash id.');
+        const crash = await readJson(path.join(this.crashDir(serverName), `${id}.json`), null);
+        if (!crash) throw new Error(`Crash ${id} not found.`);
+        return crash;
+    }
+
+    // Cancels a scheduled restart. Returns true if one was pending.
+    cancel(serverName) {
+        const pending = this.pendingRestarts.get(serverName);
+        if (!pending) return false;
+        clearTimeout(pending.timer);
+        this.pendingRestarts.delete(serverName);
+        return true;
+    }
+
+    // Called when a user starts or stops a server by hand: the crash window starts over.
+    reset(serverName) {
+        this.cancel(serverName);
+        this.crashTimes.delete(serverName);
+    }
+}
+
+module.exports = { CrashMonitor, normalizeAutoRestartPolicy };
@@ -0,0 +1,119 @@
+// Standard five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in the panel's local time zone. Supports *, lists, ranges, steps,
+// month/day names and the @hourly, @daily, @weekly, @monthly and @yearly shorthands.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 7 is accepted as a second spelling of Sunday.
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Far enough to find the next 29 February of a "0 0 29 2 *" schedule.
+const SEARCH_LIMIT_YEARS = 8;
+
+function parseValue(text, field) {
+    const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = index !== -1 ? index + (field.min === 1 ? 1 : 0) : Number(text);
+    if (!/^\d+$/.test(text) && index === -1) throw new Error(`Invalid ${field.name}: "${text}"`);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} must be between ${field.min} and ${field.max}, got ${text}.`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [rangeText, stepText, extra] = part.split('/');
+        if (extra !== undefined || !rangeText) throw new Error(`Invalid ${field.name}: "${part}"`);
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: "${part}"`);
+
+        let start, end;
+        if (rangeText === '*') {
+            [start, end] = [field.min, field.max];
+        } else if (rangeText.includes('-')) {
+            const [from, to] = rangeText.split('-');
+            [start, end] = [parseValue(from, field), parseValue(to, field)];
+            if (start > end) throw new Error(`Invalid range in ${field.name}: "${rangeText}"`);
+        } else {
+            start = parseValue(rangeText, field);
+            // "5/15" means every 15 starting at 5.
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+function parseCron(expression) {
+    const source = String(expression || '').trim();
+    const parts = (ALIASES[source.toLowerCase()] || source).split(/\s+/);
+    if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields (minute hour day month weekday), got "${source}".`);
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+    return {
+        source,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // Classic cron: if both day fields are restricted, a day matching either one counts.
+        anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+}
+
+function dayMatches(schedule, date) {
+    const dom = schedule.daysOfMonth.has(date.getDate());
+    const dow = schedule.daysOfWeek.has(date.getDay());
+    return schedule.anyDay ? dom || dow : dom && dow;
+}
+
+function matches(schedule, date) {
+    return schedule.minutes.has(date.getMinutes()) &&
+        schedule.hours.has(date.getHours()) &&
+        schedule.months.has(date.getMonth() + 1) &&
+        dayMatches(schedule, date);
+}
+
+// The first matching minute strictly after `from`, or null if there is none (e.g. "0 0 31 2 *").
+function nextRun(schedule, from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+
+    while (date < limit) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!dayMatches(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, matches, nextRun };
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const axios = require('axios');
+const { readJson, writeJson } = require('./storage');
+
+const ALGORITHMS = ['sha1', 'sha256', 'md5'];
+// Time allowed for the server to start answering; the body itself may take as long as it takes.
+const RESPONSE_TIMEOUT_MS = 30000;
+// Progress is reported once per percent, or per this many bytes when the size is unknown.
+const PROGRESS_STEP_BYTES = 1024 * 1024;
+
+class ChecksumError extends Error {
+    constructor(name, algorithm, expected, actual) {
+        super(`Checksum mismatch for ${name}: expected ${algorithm} ${expected}, got ${actual}.`);
+        this.name = 'ChecksumError';
+    }
+}
+
+// Reads a Maven ".sha1" file ("<hash>" or "<hash>  <file name>"); null when none is published.
+async function fetchMavenSha1(url) {
+    try {
+        const response = await axios.get(`${url}.sha1`, { responseType: 'text', timeout: RESPONSE_TIMEOUT_MS });
+        const hash = String(response.data).trim().split(/\s+/)[0].toLowerCase();
+        return /^[0-9a-f]{40}$/.test(hash) ? hash : null;
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+    }
+}
+
+// Hashes everything that passes through and reports progress as it goes.
+function hashingStream(algorithms, total, onProgress) {
+    const hashes = Object.fromEntries(algorithms.map(algorithm => [algorithm, crypto.createHash(algorithm)]));
+    let received = 0;
+    let reported = -1;
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            for (const hash of Object.values(hashes)) hash.update(chunk);
+            received += chunk.length;
+            const mark = total ? Math.floor((received / total) * 100) : Math.floor(received / PROGRESS_STEP_BYTES);
+            if (mark !== reported) {
+                reported = mark;
+                onProgress(received);
+            }
+            callback(null, chunk);
+        }
+    });
+    stream.digests = () => Object.fromEntries(Object.entries(hashes).map(([algorithm, hash]) => [algorithm, hash.digest('hex')]));
+    stream.received = () => received;
+    return stream;
+}
+
+async function hashFile(filePath, algorithm) {
+    const hash = crypto.createHash(algorithm);
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+// Server jars and installers, downloaded once and kept in .panel/download-cache/objects/<sha256>.
+// index.json maps each URL to the object it produced, so installing the same version again
+// needs no network. Nothing is written at the destination until the file is complete and its
+// checksums match: downloads go to a temporary file and are renamed into place.
+class DownloadCache {
+    constructor(dataDir) {
+        this.dir = path.join(dataDir, 'download-cache');
+        this.index = {}; // url -> { sha256, size, sha1?, md5?, downloadedAt }
+        this.saving = Promise.resolve();
+    }
+
+    get indexFile() {
+        return path.join(this.dir, 'index.json');
+    }
+
+    objectFile(sha256) {
+        return path.join(this.dir, 'objects', sha256);
+    }
+
+    // Downloads cut short by a panel restart leave files in tmp/; they are dropped here.
+    async load() {
+        this.index = await readJson(this.indexFile, {});
+        await fsp.rm(path.join(this.dir, 'tmp'), { recursive: true, force: true });
+    }
+
+    save() {
+        this.saving = this.saving.catch(() => {}).then(() => writeJson(this.indexFile, this.index));
+        return this.saving;
+    }
+
+    // The cached object for a URL, or for the expected sha256 when another URL produced it.
+    // Objects are checked against their name before use, so a damaged one is downloaded again.
+    async lookup(url, expected) {
+        const entry = this.index[url];
+        const sha256 = expected.sha256 || entry?.sha256;
+        if (!sha256) return null;
+        const known = entry?.sha256 === sha256 ? entry : null;
+        for (const algorithm of ['sha1', 'md5']) {
+            if (expected[algorithm] && known?.[algorithm] !== expected[algorithm]) return null;
+        }
+        const file = this.objectFile(sha256);
+        try {
+            if (await hashFile(file, 'sha256') === sha256) return file;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        }
+        await fsp.rm(file, { force: true });
+        return null;
+    }
+
+    // options: sha1, sha256, md5 (expected hex digests), sha1Url (a Maven artifact whose ".sha1"
+    // is fetched on a cache miss), cache (false for URLs whose content changes, like "latest"),
+    // signal, log(text) and progress({ file, received, total, percent, cached }).
+    async fetch(url, destPath, { sha1Url, cache = true, signal, log = () => {}, progress = () => {}, ...hashes } = {}) {
+        const name = path.basename(destPath);
+        const expected = Object.fromEntries(ALGORITHMS.filter(a => hashes[a]).map(a => [a, String(hashes[a]).toLowerCase()]));
+
+        const cached = cache ? await this.lookup(url, expected) : null;
+        if (cached) {
+            const { size } = await fsp.stat(cached);
+            log(`Using the cached ${name} (${formatBytes(size)}).\n`);
+            await copyIntoPlace(cached, destPath);
+            progress({ file: name, received: size, total: size, percent: 100, cached: true });
+            return;
+        }
+
+        if (sha1Url && !expected.sha1) {
+            const sha1 = await fetchMavenSha1(sha1Url);
+            if (sha1) expected.sha1 = sha1;
+            else log(`No checksum is published for ${name}; it can not be verified.\n`);
+        }
+
+        log(`Downloading ${url}...\n`);
+        const tmpDir = path.join(this.dir, 'tmp');
+        await fsp.mkdir(tmpDir, { recursive: true });
+        const tmpFile = path.join(tmpDir, crypto.randomUUID());
+        try {
+            const response = await axios.get(url, { responseType: 'stream', signal, timeout: RESPONSE_TIMEOUT_MS });
+            const total = Number(response.headers['content-length']) || null;
+            const hasher = hashingStream(['sha256', ...Object.keys(expected).filter(a => a !== 'sha256')], total, (received) => {
+                progress({ file: name, received, total, percent: total ? Math.floor((received / total) * 100) : null, cached: false });
+            });
+            await pipeline(response.data, hasher, fs.createWriteStream(tmpFile), { signal });
+
+            const digests = hasher.digests();
+            if (total && hasher.received() !== total) throw new Error(`The download of ${name} ended early (${hasher.received()} of ${total} bytes).`);
+            for (const [algorithm, value] of Object.entries(expected)) {
+                if (digests[algorithm] !== value) throw new ChecksumError(name, algorithm, value, digests[algorithm]);
+            }
+            const verified = Object.keys(expected);
+            log(`Downloaded ${name} (${formatBytes(hasher.received())})${verified.length ? `, ${verified.join(' and ')} verified` : ''}.\n`);
+
+            if (!cache) {
+                await moveIntoPlace(tmpFile, destPath);
+                return;
+            }
+            await fsp.mkdir(path.dirname(this.objectFile(digests.sha256)), { recursive: true });
+            await fsp.rename(tmpFile, this.objectFile(digests.sha256));
+            this.index[url] = { sha256: digests.sha256, size: hasher.received(), sha1: digests.sha1, md5: digests.md5, downloadedAt: Date.now() };
+            await this.save();
+            await copyIntoPlace(this.objectFile(digests.sha256), destPath);
+        } catch (error) {
+            if (signal?.aborted || error instanceof ChecksumError) throw error;
+            throw new Error(`Downloading ${name} failed: ${error.message}`);
+        } finally {
+            await fsp.rm(tmpFile, { force: true });
+        }
+    }
+}
+
+// The destination only ever appears complete: it is written next to itself and renamed.
+async function copyIntoPlace(source, destPath) {
+    const partial = `${destPath}.partial`;
+    try {
+        await fsp.copyFile(source, partial);
+        await fsp.rename(partial, destPath);
+    } catch (error) {
+        await fsp.rm(partial, { force: true });
+        throw error;
+    }
+}
+
+async function moveIntoPlace(source, destPath) {
+    try {
+        await fsp.rename(source, destPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await copyIntoPlace(source, destPath);
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = { DownloadCache, ChecksumError };
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+const { readJson, writeJson } = require('./storage');
+const { isInside, resolvePath } = require('./sandbox');
+
+// Bigger files, and files with NUL bytes near the start, are offered as downloads instead of
+// being loaded into the text editor.
+const MAX_EDITOR_BYTES = 2 * 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+// Uploads nobody resumed for this long are dropped.
+const UPLOAD_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+class FileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'FileError';
+        this.status = status;
+    }
+}
+
+// --- Paths ---
+// Every path from the client goes through the sandbox's resolvePath (lib/sandbox.js).
+const relativePath = (serverDir, full) => path.relative(serverDir, full).split(path.sep).join('/');
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name === '.' || name === '..' || /[/\\\0]/.test(name)) {
+        throw new FileError(`Invalid name: '${name}'.`);
+    }
+    return name;
+}
+
+async function exists(file) {
+    try {
+        await fsp.lstat(file);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+// --- Listing and Reading ---
+async function listDirectory(serverDir, subDir) {
+    const dir = await resolvePath(serverDir, subDir, { allowRoot: true });
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    return Promise.all(entries.map(async (entry) => {
+        const stat = await fsp.stat(path.join(dir, entry.name)).catch(() => null);
+        return {
+            name: entry.name,
+            isDirectory: stat ? stat.isDirectory() : entry.isDirectory(),
+            size: stat && !stat.isDirectory() ? stat.size : null,
+            modified: stat ? stat.mtimeMs : null
+        };
+    }));
+}
+
+// Identifies a version of a text file, so a save can tell whether it changed since the editor loaded it.
+const contentHash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// { content, size, hash } for a text file; { binary: true, size } or { tooLarge: true, size } otherwise.
+// Files over MAX_EDITOR_BYTES are not read; a NUL byte near the start marks a file as binary.
+async function readEditableFile(serverDir, relPath) {
+    const file = await resolvePath(serverDir, relPath);
+    const stat = await fsp.stat(file);
+    if (!stat.isFile()) throw new FileError(`${relPath} is not a file.`);
+    if (stat.size > MAX_EDITOR_BYTES) return { tooLarge: true, size: stat.size };
+
+    const content = await fsp.readFile(file);
+    if (content.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return { binary: true, size: stat.size };
+    const text = content.toString('utf-8');
+    return { content: text, size: stat.size, hash: contentHash(text) };
+}
+
+// --- Create, Move, Copy, Delete ---
+async function createEntry(serverDir, parent, name, type) {
+    const target = path.join(await resolvePath(serverDir, parent, { allowRoot: true }), validateName(name));
+    if (await exists(target)) throw new FileError(`'${name}' already exists.`, 409);
+    if (type === 'folder') await fsp.mkdir(target);
+    else await fsp.writeFile(target, '', { flag: 'wx' });
+    return relativePath(serverDir, target);
+}
+
+// "name (copy).ext", "name (copy 2).ext", ... for copies into the folder the original is in.
+async function freeCopyName(dir, name) {
+    const ext = path.extname(name);
+    const base = ext && ext !== name ? name.slice(0, -ext.length) : name;
+    for (let n = 1; ; n++) {
+        const candidate = `${base} (copy${n > 1 ? ` ${n}` : ''})${ext && ext !== name ? ext : ''}`;
+        if (!(await exists(path.join(dir, candidate)))) return candidate;
+    }
+}
+
+// Moves or copies every path into the destination folder, keeping their names. Stops at the
+// first one that can not be moved; the ones before it stay moved.
+async function transferPaths(serverDir, relPaths, destination, mode) {
+    const destDir = await resolvePath(serverDir, destination, { allowRoot: true });
+    const destStat = await fsp.stat(destDir).catch(() => null);
+    if (!destStat?.isDirectory()) throw new FileError(`Folder '${destination || '/'}' not found.`, 404);
+
+    const done = [];
+    for (const relPath of relPaths) {
+        const source = await resolvePath(serverDir, relPath, { followLinks: false });
+        if (!(await exists(source))) throw new FileError(`'${relPath}' not found.`, 404);
+        if (isInside(source, destDir)) throw new FileError(`'${relPath}' can not be put inside itself.`);
+
+        let name = path.basename(source);
+        if (path.dirname(source) === destDir) {
+            if (mode === 'move') continue;
+            name = await freeCopyName(destDir, name);
+        }
+        const target = path.join(destDir, name);
+        if (await exists(target)) throw new FileError(`'${relativePath(serverDir, target)}' already exists.`, 409);
+
+        if (mode === 'copy') {
+            await fsp.cp(source, target, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+        } else {
+            try {
+                await fsp.rename(source, target);
+            } catch (error) {
+                if (error.code !== 'EXDEV') throw error;
+                await fsp.cp(source, target, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+                await fsp.rm(source, { recursive: true, force: true });
+            }
+        }
+        done.push(relativePath(serverDir, target));
+    }
+    return done;
+}
+
+const movePaths = (serverDir, relPaths, destination) => transferPaths(serverDir, relPaths, destination, 'move');
+const copyPaths = (serverDir, relPaths, destination) => transferPaths(serverDir, relPaths, destination, 'copy');
+
+async function deletePaths(serverDir, relPaths) {
+    const targets = [];
+    for (const relPath of relPaths) targets.push(await resolvePath(serverDir, relPath, { followLinks: false }));
+    for (const target of targets) await fsp.rm(target, { recursive: true, force: true });
+}
+
+// --- Archives ---
+function archiveFormat(fileName) {
+    if (/\.zip$/i.test(fileName)) return 'zip';
+    if (/\.(tar\.gz|tgz)$/i.test(fileName)) return 'tar.gz';
+    return null;
+}
+
+// Streams a zip of the given paths (relative to baseDir) to output. Symlinks are left out.
+async function writeZip(baseDir, relPaths, output, { exclude } = {}) {
+    const zip = new yazl.ZipFile();
+    const add = async (relPath) => {
+        const full = path.join(baseDir, relPath);
+        if (full === exclude) return;
+        const stat = await fsp.lstat(full);
+        const name = relPath.split(path.sep).join('/');
+        if (stat.isDirectory()) {
+            const children = await fsp.readdir(full);
+            if (!children.length) zip.addEmptyDirectory(name, { mtime: stat.mtime });
+            for (const child of children) await add(path.join(relPath, child));
+        } else if (stat.isFile()) {
+            zip.addFile(full, name, { mtime: stat.mtime, mode: stat.mode });
+        }
+    };
+    const written = pipeline(zip.outputStream, output);
+    try {
+        for (const relPath of relPaths) await add(relPath);
+    } finally {
+        zip.end();
+    }
+    await written;
+}
+
+// Packs the paths into a .zip or .tar.gz inside the server directory. The archive is written
+// next to itself and renamed once complete, and is never packed into itself.
+async function compressPaths(serverDir, relPaths, archivePath) {
+    const format = archiveFormat(archivePath);
+    if (!format) throw new FileError('Archives must end in .zip, .tar.gz or .tgz.');
+    const target = await resolvePath(serverDir, archivePath);
+    if (await exists(target)) throw new FileError(`'${archivePath}' already exists.`, 409);
+    if (!relPaths.length) throw new FileError('Nothing selected to compress.');
+    const sources = [];
+    for (const relPath of relPaths) sources.push(await resolvePath(serverDir, relPath));
+    const baseDir = path.dirname(target);
+    // Entries are named relative to the folder the archive is created in.
+    const entries = sources.map(source => {
+        if (!isInside(baseDir, source)) throw new FileError('Only files in the folder of the archive, or below it, can be compressed.');
+        return path.relative(baseDir, source);
+    });
+
+    const partial = `${target}.partial`;
+    try {
+        if (format === 'zip') {
+            await writeZip(baseDir, entries, fs.createWriteStream(partial), { exclude: partial });
+        } else {
+            await tar.create({
+                gzip: true,
+                cwd: baseDir,
+                file: partial,
+                portable: true,
+                filter: (entryPath, stat) => path.resolve(baseDir, entryPath) !== partial && !stat.isSymbolicLink()
+            }, entries);
+        }
+        await fsp.rename(partial, target);
+    } catch (error) {
+        await fsp.rm(partial, { force: true });
+        throw error;
+    }
+    return relativePath(serverDir, target);
+}
+
+// Checks every entry of an archive before anything is written, so one that would land outside
+// the destination ("zip slip": "../../x", "/etc/x") or is a link rejects the whole archive.
+const outsideError = (name) => new FileError(`The archive entry '${name}' points outside the destination folder; nothing was extracted.`);
+
+function checkEntry(destDir, name, { link = false } = {}) {
+    if (link) throw new FileError(`The archive contains a link (${name}); archives with links are not extracted.`);
+    const target = path.join(destDir, name);
+    if (path.isAbsolute(name) || /^[a-zA-Z]:/.test(name) || !isInside(destDir, target)) throw outsideError(name);
+    return target;
+}
+
+async function extractZip(archive, destDir) {
+    const zip = await yauzl.openPromise(archive, { autoClose: false });
+    try {
+        const entries = [];
+        try {
+            for await (const entry of zip.eachEntry()) {
+                const mode = entry.externalFileAttributes >>> 16;
+                checkEntry(destDir, entry.fileName, { link: (mode & 0o170000) === 0o120000 });
+                // A folder already in the destination may be a link that leads elsewhere.
+                await resolvePath(destDir, entry.fileName, { allowRoot: true }).catch(() => { throw outsideError(entry.fileName); });
+                if (entry.isEncrypted()) throw new FileError('Encrypted zip files are not supported.');
+                entries.push(entry);
+            }
+        } catch (error) {
+            // yauzl refuses names like "../x" and "/x" itself, before checkEntry sees them.
+            const refused = /^(?:invalid relative path|absolute path): (.*)$/.exec(error.message);
+            throw refused ? outsideError(refused[1]) : error;
+        }
+        await fsp.mkdir(destDir, { recursive: true });
+        for (const entry of entries) {
+            const target = checkEntry(destDir, entry.fileName);
+            if (entry.fileName.endsWith('/')) {
+                await fsp.mkdir(target, { recursive: true });
+                continue;
+            }
+            await fsp.mkdir(path.dirname(target), { recursive: true });
+            await pipeline(await zip.openReadStreamPromise(entry), fs.createWriteStream(target));
+        }
+        return entries.length;
+    } finally {
+        zip.close();
+    }
+}
+
+async function extractTar(archive, destDir) {
+    // Errors thrown while the archive is read are lost in the parser, so they are kept for later.
+    const names = [];
+    let problem = null;
+    await tar.list({
+        file: archive,
+        strict: true,
+        onReadEntry: (entry) => {
+            names.push(entry.path);
+            if (problem) return;
+            try {
+                checkEntry(destDir, entry.path, { link: ['SymbolicLink', 'Link'].includes(entry.type) });
+                if (!['File', 'OldFile', 'ContiguousFile', 'Directory'].includes(entry.type)) {
+                    throw new FileError(`The archive contains an unsupported entry (${entry.path}).`);
+                }
+            } catch (error) {
+                problem = error;
+            }
+        }
+    });
+    if (problem) throw problem;
+    // A folder already in the destination may be a link that leads elsewhere.
+    for (const name of names) {
+        await resolvePath(destDir, name, { allowRoot: true }).catch(() => { throw outsideError(name); });
+    }
+    await fsp.mkdir(destDir, { recursive: true });
+    await tar.extract({ file: archive, cwd: destDir, strict: true, preservePaths: false, noChmod: true });
+    return names.length;
+}
+
+async function extractArchive(serverDir, archivePath, destination) {
+    const archive = await resolvePath(serverDir, archivePath);
+    const format = archiveFormat(archivePath);
+    if (!format) throw new FileError('Only .zip, .tar.gz and .tgz files can be extracted.');
+    const destDir = await resolvePath(serverDir, destination, { allowRoot: true });
+    const count = format === 'zip' ? await extractZip(archive, destDir) : await extractTar(archive, destDir);
+    return { count, destination: relativePath(serverDir, destDir) };
+}
+
+// --- Uploads ---
+// Uploads arrive in chunks over HTTP and can be resumed after a dropped connection or a panel
+// restart: the bytes received so far live in .panel/uploads/<id>.part and the client asks how
+// many arrived before sending the rest. The file appears at its destination only once complete.
+class Uploads {
+    constructor(dataDir) {
+        this.dir = path.join(dataDir, 'uploads');
+        this.writing = new Set(); // ids with a chunk being received
+    }
+
+    partFile(id) {
+        return path.join(this.dir, `${id}.part`);
+    }
+
+    metaFile(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    async load() {
+        await fsp.mkdir(this.dir, { recursive: true });
+        for (const file of await fsp.readdir(this.dir)) {
+            if (!file.endsWith('.json')) continue;
+            const upload = await readJson(path.join(this.dir, file), null);
+            if (!upload || Date.now() - upload.updatedAt > UPLOAD_EXPIRY_MS) await this.remove(path.basename(file, '.json'));
+        }
+    }
+
+    async start(serverName, serverDir, { path: relPath, size, overwrite = false }, username) {
+        const target = await resolvePath(serverDir, relPath);
+        validateName(path.basename(target));
+        if (!Number.isSafeInteger(size) || size < 0) throw new FileError('The upload size is missing.');
+        if (!overwrite && await exists(target)) throw new FileError(`'${relPath}' already exists.`, 409);
+        const upload = {
+            id: crypto.randomUUID(),
+            serverName,
+            path: relativePath(serverDir, target),
+            size,
+            overwrite: Boolean(overwrite),
+            createdBy: username,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        await fsp.mkdir(this.dir, { recursive: true });
+        await fsp.writeFile(this.partFile(upload.id), '');
+        await writeJson(this.metaFile(upload.id), upload);
+        return { ...upload, received: 0 };
+    }
+
+    async get(serverName, id) {
+        const upload = /^[\w-]+$/.test(id) ? await readJson(this.metaFile(id), null) : null;
+        if (!upload || upload.serverName !== serverName) throw new FileError('Upload not found.', 404);
+        const { size: received } = await fsp.stat(this.partFile(id));
+        return { ...upload, received };
+    }
+
+    // Appends one chunk, which must start where the last one ended. Resolves with the upload;
+    // complete: true once every byte arrived and the file was moved to its destination.
+    async append(serverName, serverDir, id, offset, chunk) {
+        if (this.writing.has(id)) throw new FileError('Another chunk of this upload is still being received.', 409);
+        this.writing.add(id);
+        try {
+            const upload = await this.get(serverName, id);
+            if (offset !== upload.received) {
+                throw Object.assign(new FileError(`Expected the chunk at byte ${upload.received}.`, 409), { received: upload.received });
+            }
+            let received = upload.received;
+            try {
+                await pipeline(chunk, async function* (source) {
+                    for await (const data of source) {
+                        received += data.length;
+                        if (received > upload.size) throw new FileError('The upload is larger than announced.', 413);
+                        yield data;
+                    }
+                }, fs.createWriteStream(this.partFile(id), { flags: 'a' }));
+            } catch (error) {
+                // A chunk that broke off is kept, the client resumes after its last byte; one that
+                // overran the announced size is dropped.
+                if (error.status === 413) await fsp.truncate(this.partFile(id), upload.received);
+                throw error;
+            }
+            const { received: _, ...meta } = upload;
+            await writeJson(this.metaFile(id), { ...meta, updatedAt: Date.now() });
+            if (received < upload.size) return { ...upload, received, complete: false };
+
+            const target = await resolvePath(serverDir, upload.path);
+            if (!upload.overwrite && await exists(target)) throw new FileError(`'${upload.path}' already exists.`, 409);
+            await fsp.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await fsp.rename(this.partFile(id), target);
+            } catch (error) {
+                if (error.code !== 'EXDEV') throw error;
+                await fsp.copyFile(this.partFile(id), target);
+            }
+            await this.remove(id);
+            return { ...upload, received, complete: true };
+        } finally {
+            this.writing.delete(id);
+        }
+    }
+
+    async cancel(serverName, id) {
+        await this.get(serverName, id);
+        await this.remove(id);
+    }
+
+    async remove(id) {
+        await fsp.rm(this.partFile(id), { force: true });
+        await fsp.rm(this.metaFile(id), { force: true });
+    }
+}
+
+module.exports = {
+    FileError,
+    Uploads,
+    validateName,
+    listDirectory,
+    contentHash,
+    readEditableFile,
+    MAX_EDITOR_BYTES,
+    createEntry,
+    movePaths,
+    copyPaths,
+    deletePaths,
+    archiveFormat,
+    writeZip,
+    compressPaths,
+    extractArchive
+};
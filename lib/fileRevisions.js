@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const path = require('path');
+const { readJson, writeJson } = require('./storage');
+const { resolvePath } = require('./sandbox');
+const { FileError, contentHash } = require('./fileManager');
+const { diffHunks } = require('./textDiff');
+
+const REVISION_ID = /^[0-9a-f-]{36}$/;
+
+// Earlier contents of the text files saved from the editor, per server in
+// .panel/servers/<name>/revisions/<sha1 of the file's path>/: index.json lists the revisions,
+// newest first, as { id, author, timestamp, size, hash, source, restoredFrom }, and <id>.txt
+// holds each one's content. Only the newest maxPerFile revisions of a file are kept.
+//
+// source is "save" or "rollback" for saves from the panel and "disk" for contents found on disk
+// before a save that the history did not have yet (the first save, or a change the server made).
+class FileRevisions {
+    constructor(settings, { maxPerFile = 20 } = {}) {
+        this.settings = settings;
+        this.maxPerFile = maxPerFile;
+        this.pending = new Map(); // revisions directory -> last queued change
+    }
+
+    dirFor(serverName, relPath) {
+        const key = crypto.createHash('sha1').update(relPath).digest('hex');
+        return path.join(this.settings.dirFor(serverName), 'revisions', key);
+    }
+
+    // Changes to one file's history run one after another, like PlayerManager.withList.
+    withHistory(dir, change) {
+        const run = (this.pending.get(dir) || Promise.resolve()).catch(() => {}).then(change);
+        this.pending.set(dir, run);
+        return run.finally(() => {
+            if (this.pending.get(dir) === run) this.pending.delete(dir);
+        });
+    }
+
+    // The client may send "config/../paper-global.yml"; the history belongs to the resolved path.
+    async locate(serverName, serverDir, filePath) {
+        const full = await resolvePath(serverDir, filePath);
+        const relPath = path.relative(serverDir, full).split(path.sep).join('/');
+        return { full, relPath, dir: this.dirFor(serverName, relPath) };
+    }
+
+    async readIndex(dir, relPath) {
+        return readJson(path.join(dir, 'index.json'), { path: relPath, revisions: [] });
+    }
+
+    async list(serverName, serverDir, filePath) {
+        const { relPath, dir } = await this.locate(serverName, serverDir, filePath);
+        return (await this.readIndex(dir, relPath)).revisions;
+    }
+
+    async readRevision(dir, relPath, id) {
+        const { revisions } = await this.readIndex(dir, relPath);
+        if (!REVISION_ID.test(String(id)) || !revisions.some(revision => revision.id === id)) {
+            throw new FileError(`Revision ${id} of ${relPath} does not exist.`, 404);
+        }
+        return fsp.readFile(path.join(dir, `${id}.txt`), 'utf-8');
+    }
+
+    // Adds a revision unless the newest one has the same content, and drops the oldest ones
+    // beyond maxPerFile. Call inside withHistory.
+    async record(dir, relPath, content, { author = null, source, restoredFrom = null }) {
+        const index = await this.readIndex(dir, relPath);
+        const hash = contentHash(content);
+        if (index.revisions[0]?.hash === hash) return index.revisions[0];
+
+        const revision = {
+            id: crypto.randomUUID(),
+            author,
+            timestamp: Date.now(),
+            size: Buffer.byteLength(content),
+            hash,
+            source,
+            restoredFrom
+        };
+        await fsp.mkdir(dir, { recursive: true });
+        await fsp.writeFile(path.join(dir, `${revision.id}.txt`), content);
+        const dropped = index.revisions.splice(this.maxPerFile - 1);
+        index.revisions.unshift(revision);
+        await writeJson(path.join(dir, 'index.json'), index);
+        await Promise.all(dropped.map(old => fsp.rm(path.join(dir, `${old.id}.txt`), { force: true })));
+        return revision;
+    }
+
+    // Writes the file and records the new content. baseHash is the hash the editor loaded the
+    // file with: when the file changed on disk since, nothing is written (a 409 FileError with the
+    // current hash) unless force is set. Either way the version on disk is kept in the history first.
+    async save(serverName, serverDir, filePath, content, { author = null, baseHash = null, force = false, source = 'save', restoredFrom = null } = {}) {
+        const { full, relPath, dir } = await this.locate(serverName, serverDir, filePath);
+        return this.withHistory(dir, async () => {
+            let onDisk = null;
+            try {
+                onDisk = await fsp.readFile(full, 'utf-8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            if (onDisk !== null) await this.record(dir, relPath, onDisk, { source: 'disk' });
+
+            const diskHash = onDisk === null ? null : contentHash(onDisk);
+            if (baseHash && diskHash !== baseHash && !force) {
+                const error = new FileError(`${relPath} was changed on disk since it was opened.`, 409);
+                error.hash = diskHash;
+                throw error;
+            }
+
+            await fsp.writeFile(full, content);
+            return this.record(dir, relPath, content, { author, source, restoredFrom });
+        });
+    }
+
+    // Writes an earlier revision back, as a new revision.
+    async rollback(serverName, serverDir, filePath, id, author) {
+        const { relPath, dir } = await this.locate(serverName, serverDir, filePath);
+        const content = await this.readRevision(dir, relPath, id);
+        const revision = await this.save(serverName, serverDir, filePath, content, { author, force: true, source: 'rollback', restoredFrom: id });
+        return { revision, content };
+    }
+
+    // from and to are revision ids, or "current" for what is on disk now.
+    async diff(serverName, serverDir, filePath, from, to) {
+        const { full, relPath, dir } = await this.locate(serverName, serverDir, filePath);
+        const contentOf = (id) => id === 'current' ? fsp.readFile(full, 'utf-8') : this.readRevision(dir, relPath, id);
+        const [oldText, newText] = await Promise.all([contentOf(from), contentOf(to)]);
+        const hunks = diffHunks(oldText, newText);
+        return { hunks, identical: hunks.length === 0 };
+    }
+}
+
+module.exports = { FileRevisions };
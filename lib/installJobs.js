@@ -0,0 +1,233 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { readJson, writeJson } = require('./storage');
+const { runProcess, signalGroup, nixShellPath } = require('./processRunner');
+
+const ACTIVE = ['queued', 'running'];
+const MAX_JOBS = 50;
+// Output kept in memory per running job and sent to clients that start watching it.
+const HISTORY_CHARS = 200000;
+// Time between SIGTERM and SIGKILL when a job is cancelled.
+const KILL_GRACE_MS = 5000;
+
+class InstallCancelledError extends Error {
+    constructor() {
+        super('The install was cancelled.');
+        this.name = 'InstallCancelledError';
+    }
+}
+
+// Runs a program with an argument array (no shell) in its own process group, so cancelling the
+// job also reaches what it started (java, git). packages are nix packages put on its PATH.
+async function runCommand(command, args, { cwd, packages = [] }, { signal, onOutput, children }) {
+    if (signal.aborted) throw new InstallCancelledError();
+    const env = packages.length ? { PATH: await nixShellPath(packages, { onOutput, children }) } : undefined;
+    if (signal.aborted) throw new InstallCancelledError();
+    const code = await runProcess(command, args, { cwd, env, onOutput, children });
+    if (signal.aborted) throw new InstallCancelledError();
+    if (code !== 0) throw new Error(`Command failed with code ${code}: ${command} ${args.join(' ')}`);
+}
+
+// Server installs and in-place updates as jobs that outlive the browser tab that started them. Jobs run one
+// at a time by default (installs.concurrency) and the rest wait in a queue. Each has
+// steps, a status (queued, running, succeeded, failed, cancelled) and a log in
+// .panel/install-jobs/<id>.log; the newest 50 are listed in .panel/install-jobs/jobs.json.
+//
+// run(job, context) does the work. context has log(text), step(name), run(command, args, { cwd, packages }),
+// progress(info) and signal, which is aborted when the job is cancelled.
+class InstallJobs extends EventEmitter {
+    constructor(dataDir, { concurrency = 1, run }) {
+        super();
+        this.dir = path.join(dataDir, 'install-jobs');
+        this.concurrency = concurrency;
+        this.runner = run;
+        this.jobs = []; // newest first
+        this.active = new Map(); // id -> { controller, children, history, log }
+        this.saving = Promise.resolve();
+    }
+
+    get jobsFile() {
+        return path.join(this.dir, 'jobs.json');
+    }
+
+    logFile(id) {
+        return path.join(this.dir, `${id}.log`);
+    }
+
+    // Jobs that were queued or running when the panel stopped can not be resumed.
+    async load() {
+        this.jobs = await readJson(this.jobsFile, []);
+        const interrupted = this.jobs.filter(job => ACTIVE.includes(job.status));
+        for (const job of interrupted) {
+            this.finish(job, 'failed', 'The panel stopped before the job finished.');
+        }
+        if (interrupted.length) await this.save();
+    }
+
+    // Writes are chained so updates close together land in order.
+    save() {
+        this.saving = this.saving.catch(() => {}).then(() => writeJson(this.jobsFile, this.jobs));
+        return this.saving;
+    }
+
+    list() {
+        return this.jobs;
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    isBusy(serverName) {
+        return this.jobs.some(job => job.serverName === serverName && ACTIVE.includes(job.status));
+    }
+
+    count(status) {
+        return this.jobs.filter(job => job.status === status).length;
+    }
+
+    // params: { kind ('install' or 'update'), serverName, serverType, versionName, createdBy, ... }; steps: names in order.
+    async enqueue(params, steps) {
+        if (this.isBusy(params.serverName)) throw new Error(`Server '${params.serverName}' is already being installed or updated.`);
+        const job = {
+            id: crypto.randomUUID(),
+            ...params,
+            status: 'queued',
+            steps: steps.map(name => ({ name, status: 'pending' })),
+            error: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.unshift(job);
+        for (const old of this.jobs.splice(MAX_JOBS)) {
+            fsp.rm(this.logFile(old.id), { force: true }).catch(() => {});
+        }
+        await this.save();
+        this.emit('update', job);
+        this.pump();
+        return job;
+    }
+
+    async cancel(id) {
+        const job = this.get(id);
+        if (!job) throw new Error('Install job not found.');
+        if (job.status === 'queued') {
+            this.finish(job, 'cancelled', null);
+            await this.save();
+            this.emit('update', job);
+            return job;
+        }
+        const active = this.active.get(id);
+        if (job.status !== 'running' || !active) throw new Error(`The job has already ${job.status}.`);
+        if (active.controller.signal.aborted) return job;
+        active.controller.abort();
+        this.append(job, '\n--- Cancelling... ---\n');
+        for (const proc of active.children) signalGroup(proc, 'SIGTERM');
+        setTimeout(() => {
+            for (const proc of active.children) signalGroup(proc, 'SIGKILL');
+        }, KILL_GRACE_MS).unref();
+        return job;
+    }
+
+    // Kills what running jobs started; used when the panel shuts down.
+    killAll() {
+        for (const { controller, children } of this.active.values()) {
+            controller.abort();
+            for (const proc of children) signalGroup(proc, 'SIGKILL');
+        }
+    }
+
+    // The output so far: from memory while a job runs, from its log file afterwards.
+    async output(id) {
+        const active = this.active.get(id);
+        if (active) return active.history;
+        try {
+            const text = await fsp.readFile(this.logFile(id), 'utf-8');
+            return text.slice(-HISTORY_CHARS);
+        } catch (error) {
+            if (error.code === 'ENOENT') return '';
+            throw error;
+        }
+    }
+
+    append(job, text) {
+        const active = this.active.get(job.id);
+        if (!active) return;
+        active.history = (active.history + text).slice(-HISTORY_CHARS);
+        active.log.write(text);
+        this.emit('output', job, text);
+    }
+
+    pump() {
+        while (this.active.size < this.concurrency) {
+            const next = [...this.jobs].reverse().find(job => job.status === 'queued');
+            if (!next) return;
+            this.execute(next);
+        }
+    }
+
+    finish(job, status, error) {
+        job.status = status;
+        job.error = error;
+        job.finishedAt = Date.now();
+        for (const step of job.steps) {
+            if (step.status === 'running') step.status = status;
+        }
+    }
+
+    async execute(job) {
+        const controller = new AbortController();
+        fs.mkdirSync(this.dir, { recursive: true });
+        const log = fs.createWriteStream(this.logFile(job.id), { flags: 'a' });
+        log.on('error', (error) => console.error(`Could not write the log of install job ${job.id}:`, error.message));
+        const active = { controller, children: new Set(), history: '', log };
+        this.active.set(job.id, active);
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this.save().catch(() => {});
+        this.emit('update', job);
+
+        const context = {
+            signal: controller.signal,
+            log: (text) => this.append(job, text),
+            // Download progress goes to the clients watching the job; it is not logged.
+            progress: (info) => this.emit('progress', job, info),
+            // Marks the running step done and the named one running.
+            step: (name) => {
+                if (controller.signal.aborted) throw new InstallCancelledError();
+                for (const step of job.steps) {
+                    if (step.status === 'running') step.status = 'succeeded';
+                }
+                const step = job.steps.find(s => s.name === name);
+                if (step) step.status = 'running';
+                this.save().catch(() => {});
+                this.emit('update', job);
+            },
+            run: (command, args, options) => runCommand(command, args, options, {
+                signal: controller.signal,
+                onOutput: (text) => this.append(job, text),
+                children: active.children
+            })
+        };
+
+        try {
+            await this.runner(job, context);
+            this.finish(job, 'succeeded', null);
+        } catch (error) {
+            if (controller.signal.aborted) this.finish(job, 'cancelled', null);
+            else this.finish(job, 'failed', error.message);
+        } finally {
+            this.active.delete(job.id);
+            log.end();
+            await this.save().catch(error => console.error('Could not save install jobs:', error.message));
+            this.emit('update', job);
+            this.pump();
+        }
+    }
+}
+
+module.exports = { InstallJobs, InstallCancelledError };
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { STATES } = require('./processManager');
+
+// --- Text Format ---
+// Prometheus text exposition format 0.0.4: "# HELP" and "# TYPE" lines, then one
+// "name{label="value"} number" line per sample. Samples without a value are left out.
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatMetrics(families) {
+    const lines = [];
+    for (const { name, help, type, samples } of families) {
+        const present = samples.filter(sample => sample.value !== null && sample.value !== undefined && Number.isFinite(Number(sample.value)));
+        if (!present.length) continue;
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const { labels = {}, value } of present) {
+            const labelText = Object.entries(labels).map(([key, v]) => `${key}="${escapeLabel(v)}"`).join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number(value)}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Constant-time comparison, so the token cannot be guessed byte by byte from response times.
+function tokenMatches(expected, given) {
+    const a = crypto.createHash('sha256').update(String(expected)).digest();
+    const b = crypto.createHash('sha256').update(String(given || '')).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Collects the panel's view of every server for the /metrics endpoint. Counters start
+// at zero when the panel starts, as Prometheus expects of counters.
+class Metrics {
+    constructor({ processes, crashMonitor, backups, statusPoller, resources, installJobs, countClients }) {
+        this.processes = processes;
+        this.crashMonitor = crashMonitor;
+        this.backups = backups;
+        this.statusPoller = statusPoller;
+        this.resources = resources;
+        this.installJobs = installJobs;
+        this.countClients = countClients;
+        this.starts = new Map(); // serverName -> starts since the panel started
+
+        processes.on('started', (serverName) => {
+            this.starts.set(serverName, (this.starts.get(serverName) || 0) + 1);
+        });
+    }
+
+    async render(serverNames) {
+        const now = Date.now();
+        const perServer = (fn) => serverNames.map(name => ({ labels: { server: name }, value: fn(name) }));
+        const servers = new Map(serverNames.map(name => [name, this.processes.get(name)]));
+        const status = (name) => this.statusPoller.get(name);
+        const sample = (name) => this.resources.current(name).sample;
+        const lastBackup = new Map();
+        for (const name of serverNames) {
+            const [newest] = await this.backups.list(name).catch(() => []);
+            lastBackup.set(name, newest?.time ?? null);
+        }
+
+        return formatMetrics([
+            {
+                name: 'mcpanel_server_state',
+                help: 'Current lifecycle state of the server (1 for the current state, 0 otherwise).',
+                type: 'gauge',
+                samples: serverNames.flatMap(name => STATES.map(state => ({
+                    labels: { server: name, state },
+                    value: servers.get(name).state === state ? 1 : 0
+                })))
+            },
+            {
+                name: 'mcpanel_server_up',
+                help: 'Whether the server is running and has finished starting.',
+                type: 'gauge',
+                samples: perServer(name => servers.get(name).state === 'running' ? 1 : 0)
+            },
+            {
+                name: 'mcpanel_server_uptime_seconds',
+                help: 'Seconds since the server process was started.',
+                type: 'gauge',
+                samples: perServer(name => servers.get(name).startedAt ? (now - servers.get(name).startedAt) / 1000 : null)
+            },
+            {
+                name: 'mcpanel_server_starts_total',
+                help: 'Server starts (including restarts) since the panel started.',
+                type: 'counter',
+                samples: perServer(name => this.starts.get(name) || 0)
+            },
+            {
+                name: 'mcpanel_server_auto_restarts_total',
+                help: 'Automatic restarts after a crash since the panel started.',
+                type: 'counter',
+                samples: perServer(name => this.crashMonitor.getStats(name).autoRestarts)
+            },
+            {
+                name: 'mcpanel_server_crashes_total',
+                help: 'Crashes since the panel started.',
+                type: 'counter',
+                samples: perServer(name => this.crashMonitor.getStats(name).crashes)
+            },
+            {
+                name: 'mcpanel_server_cpu_percent',
+                help: 'CPU use of the server process group, in percent of one core.',
+                type: 'gauge',
+                samples: perServer(name => sample(name)?.cpu)
+            },
+            {
+                name: 'mcpanel_server_memory_bytes',
+                help: 'Resident memory of the server process group.',
+                type: 'gauge',
+                samples: perServer(name => sample(name)?.memory)
+            },
+            {
+                name: 'mcpanel_server_memory_max_bytes',
+                help: 'Maximum Java heap (-Xmx) of the server.',
+                type: 'gauge',
+                samples: perServer(name => this.resources.current(name).xmx)
+            },
+            {
+                name: 'mcpanel_server_disk_bytes',
+                help: 'Size of the server directory.',
+                type: 'gauge',
+                samples: perServer(name => this.resources.current(name).disk?.bytes)
+            },
+            {
+                name: 'mcpanel_server_tps',
+                help: 'Ticks per second over the last minute, as reported by the tps command.',
+                type: 'gauge',
+                samples: perServer(name => sample(name)?.tps)
+            },
+            {
+                name: 'mcpanel_server_mspt',
+                help: 'Average milliseconds per tick, as reported by the mspt command.',
+                type: 'gauge',
+                samples: perServer(name => sample(name)?.mspt)
+            },
+            {
+                name: 'mcpanel_server_players_online',
+                help: 'Players online, from the last status ping.',
+                type: 'gauge',
+                samples: perServer(name => status(name)?.online ? status(name).players.online : null)
+            },
+            {
+                name: 'mcpanel_server_players_max',
+                help: 'Player slots, from the last status ping.',
+                type: 'gauge',
+                samples: perServer(name => status(name)?.online ? status(name).players.max : null)
+            },
+            {
+                name: 'mcpanel_server_last_backup_timestamp_seconds',
+                help: 'Unix time of the newest backup.',
+                type: 'gauge',
+                samples: perServer(name => lastBackup.get(name) !== null ? lastBackup.get(name) / 1000 : null)
+            },
+            {
+                name: 'mcpanel_server_backup_age_seconds',
+                help: 'Seconds since the newest backup was taken.',
+                type: 'gauge',
+                samples: perServer(name => lastBackup.get(name) !== null ? (now - lastBackup.get(name)) / 1000 : null)
+            },
+            {
+                name: 'mcpanel_servers',
+                help: 'Servers known to the panel.',
+                type: 'gauge',
+                samples: [{ value: serverNames.length }]
+            },
+            {
+                name: 'mcpanel_socket_clients',
+                help: 'Browser connections to the panel.',
+                type: 'gauge',
+                samples: [{ value: this.countClients() }]
+            },
+            {
+                name: 'mcpanel_install_jobs_running',
+                help: 'Server installs in progress.',
+                type: 'gauge',
+                samples: [{ value: this.installJobs.count('running') }]
+            },
+            {
+                name: 'mcpanel_install_jobs_queued',
+                help: 'Server installs waiting for a free slot.',
+                type: 'gauge',
+                samples: [{ value: this.installJobs.count('queued') }]
+            },
+            {
+                name: 'mcpanel_uptime_seconds',
+                help: 'Seconds since the panel started.',
+                type: 'gauge',
+                samples: [{ value: process.uptime() }]
+            }
+        ]);
+    }
+}
+
+module.exports = { Metrics, formatMetrics, tokenMatches };
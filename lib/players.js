@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const fsp = require('fs').promises;
+const axios = require('axios');
+const { readServerProperties } = require('./serverProperties');
+const { writeFileAtomic } = require('./storage');
+
+// The four player lists a server keeps in its directory, keyed the way the panel refers to them.
+const LISTS = {
+    whitelist: { file: 'whitelist.json', key: 'name' },
+    ops: { file: 'ops.json', key: 'name' },
+    bannedPlayers: { file: 'banned-players.json', key: 'name' },
+    bannedIps: { file: 'banned-ips.json', key: 'ip' }
+};
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{1,16}$/;
+// How long to wait for the server to write its JSON after a console command.
+const COMMAND_SETTLE_MS = 1000;
+// Replies of the list commands that mean nothing was changed.
+const COMMAND_FAILURES = /^(That player does not exist|Invalid IP address|Unknown or incomplete command)/i;
+
+// --- UUID Resolvers ---
+// A resolver turns a username into { uuid, name }. Servers in online mode need the
+// Mojang account UUID; offline-mode servers derive one from the name, as below.
+
+function offlineUuid(username) {
+    const bytes = crypto.createHash('md5').update(`OfflinePlayer:${username}`).digest();
+    bytes[6] = (bytes[6] & 0x0f) | 0x30; // version 3
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // IETF variant
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+const offlineResolver = {
+    name: 'offline',
+    resolve: async (username) => ({ uuid: offlineUuid(username), name: username })
+};
+
+function createMojangResolver({ timeout = 5000 } = {}) {
+    const cache = new Map(); // lower-case name -> { uuid, name }
+    return {
+        name: 'mojang',
+        async resolve(username) {
+            const cached = cache.get(username.toLowerCase());
+            if (cached) return cached;
+            const response = await axios.get(`https://api.mojang.com/users/profiles/minecraft/${encodeURIComponent(username)}`, {
+                timeout,
+                validateStatus: status => status === 200 || status === 204 || status === 404
+            });
+            if (response.status !== 200 || !response.data?.id) throw new Error(`No Minecraft account named '${username}'.`);
+            const hex = response.data.id;
+            const profile = {
+                uuid: `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`,
+                name: response.data.name
+            };
+            cache.set(username.toLowerCase(), profile);
+            return profile;
+        }
+    };
+}
+
+// "Steve joined the game" / "Steve left the game" in the console; null for any other line.
+function parsePlayerEvent(line) {
+    const match = /\]:\s+([A-Za-z0-9_]{1,16}) (joined|left) the game\s*$/.exec(line);
+    return match ? { player: match[1], type: match[2] === 'joined' ? 'join' : 'leave' } : null;
+}
+
+// --- Entries ---
+// Dates in the ban lists use the server's own format, e.g. "2024-05-01 10:00:00 +0000".
+const formatBanDate = (date) => `${date.toISOString().slice(0, 10)} ${date.toISOString().slice(11, 19)} +0000`;
+
+function parseExpiry(expires) {
+    if (expires === undefined || expires === null || expires === '' || expires === 'forever') return 'forever';
+    const date = new Date(expires);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid expiry date: ${expires}`);
+    if (date.getTime() <= Date.now()) throw new Error('The expiry date must be in the future.');
+    return formatBanDate(date);
+}
+
+// Reasons and names end up in console commands, so they must stay on one line.
+const singleLine = (text) => String(text || '').replace(/[\r\n]+/g, ' ').trim();
+
+function validateUsername(name) {
+    if (!USERNAME_PATTERN.test(name || '')) throw new Error(`Invalid player name: ${name}`);
+    return name;
+}
+
+function validateIp(ip) {
+    if (!net.isIP(ip || '')) throw new Error(`Invalid IP address: ${ip}`);
+    return ip;
+}
+
+// Reads, changes and writes whitelist.json, ops.json, banned-players.json and banned-ips.json.
+// A running server owns these files, so changes go through its console instead.
+class PlayerManager {
+    constructor(processes, { mode = 'auto', resolvers = {}, rcon = null } = {}) {
+        this.processes = processes;
+        this.rcon = rcon;
+        // 'auto' follows the server's online-mode; 'mojang' or 'offline' force one resolver.
+        this.mode = mode;
+        this.resolvers = { mojang: createMojangResolver(), offline: offlineResolver, ...resolvers };
+        this.pending = new Map(); // list file -> last queued edit
+    }
+
+    // Edits of one file run one after another so concurrent requests do not overwrite each other.
+    withList(serverName, list, edit) {
+        const file = this.listFile(serverName, list);
+        const run = (this.pending.get(file) || Promise.resolve()).catch(() => {}).then(edit);
+        this.pending.set(file, run);
+        return run.finally(() => {
+            if (this.pending.get(file) === run) this.pending.delete(file);
+        });
+    }
+
+    async resolverFor(serverName) {
+        let name = this.mode;
+        if (name === 'auto') {
+            const properties = await readServerProperties(this.processes.get(serverName).dir);
+            name = properties.get('online-mode')?.trim() === 'false' ? 'offline' : 'mojang';
+        }
+        const resolver = this.resolvers[name];
+        if (!resolver) throw new Error(`Unknown UUID resolver: ${name}`);
+        return resolver;
+    }
+
+    listFile(serverName, list) {
+        if (!LISTS[list]) throw new Error(`Unknown player list: ${list}`);
+        return path.join(this.processes.get(serverName).dir, LISTS[list].file);
+    }
+
+    // A broken file is reported rather than silently replaced, so nothing in it is lost.
+    async readList(serverName, list) {
+        const file = this.listFile(serverName, list);
+        let text;
+        try {
+            text = await fsp.readFile(file, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        if (!text.trim()) return [];
+        let entries;
+        try {
+            entries = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${LISTS[list].file} is not valid JSON (${error.message}). Fix or delete it first.`);
+        }
+        if (!Array.isArray(entries)) throw new Error(`${LISTS[list].file} does not contain a list.`);
+        return entries;
+    }
+
+    async writeList(serverName, list, entries) {
+        await writeFileAtomic(this.listFile(serverName, list), JSON.stringify(entries, null, 2));
+    }
+
+    async getLists(serverName) {
+        const lists = {};
+        const errors = {};
+        for (const list of Object.keys(LISTS)) {
+            try {
+                lists[list] = await this.readList(serverName, list);
+            } catch (error) {
+                lists[list] = [];
+                errors[list] = error.message;
+            }
+        }
+        return { lists, errors };
+    }
+
+    // entry: { name } for the whitelist; { name, level, bypassesPlayerLimit } for ops;
+    // { name, reason, expires } for bans; { ip, reason, expires } for IP bans.
+    // Resolves with { command, response } if a command was used, or null if the file was edited.
+    async add(serverName, list, entry, source = 'Panel') {
+        if (!LISTS[list]) throw new Error(`Unknown player list: ${list}`);
+        const server = this.processes.get(serverName);
+        const reason = singleLine(entry.reason);
+        const expires = list === 'bannedPlayers' || list === 'bannedIps' ? parseExpiry(entry.expires) : null;
+        const level = entry.level === undefined || entry.level === '' ? null : Number(entry.level);
+        if (level !== null && (!Number.isInteger(level) || level < 1 || level > 4)) throw new Error('Op level must be between 1 and 4.');
+        if (list === 'bannedIps') validateIp(entry.ip);
+        else validateUsername(entry.name);
+
+        if (server.running) {
+            if (list === 'ops' && (level !== null || entry.bypassesPlayerLimit)) {
+                throw new Error('Op level and bypassesPlayerLimit can only be set while the server is stopped; "op" always uses op-permission-level.');
+            }
+            if (expires !== 'forever' && expires !== null) throw new Error('Temporary bans can only be added while the server is stopped.');
+            const commands = {
+                whitelist: `whitelist add ${entry.name}`,
+                ops: `op ${entry.name}`,
+                bannedPlayers: `ban ${entry.name}${reason ? ` ${reason}` : ''}`,
+                bannedIps: `ban-ip ${entry.ip}${reason ? ` ${reason}` : ''}`
+            };
+            return this.runCommand(serverName, commands[list]);
+        }
+
+        const now = formatBanDate(new Date());
+        let added;
+        if (list === 'bannedIps') {
+            added = { ip: entry.ip, created: now, source, expires, reason: reason || 'Banned by an operator.' };
+        } else {
+            const profile = await (await this.resolverFor(serverName)).resolve(entry.name);
+            added = {
+                whitelist: () => ({ uuid: profile.uuid, name: profile.name }),
+                ops: () => ({ uuid: profile.uuid, name: profile.name, level: level ?? 4, bypassesPlayerLimit: !!entry.bypassesPlayerLimit }),
+                bannedPlayers: () => ({ uuid: profile.uuid, name: profile.name, created: now, source, expires, reason: reason || 'Banned by an operator.' })
+            }[list]();
+        }
+        const key = LISTS[list].key;
+        const sameEntry = (e) => String(e[key]).toLowerCase() === String(added[key]).toLowerCase() || (added.uuid && e.uuid === added.uuid);
+        await this.withList(serverName, list, async () => {
+            const entries = await this.readList(serverName, list);
+            const index = entries.findIndex(sameEntry);
+            if (index === -1) entries.push(added);
+            else entries[index] = { ...entries[index], ...added };
+            await this.writeList(serverName, list, entries);
+        });
+        return null;
+    }
+
+    // Resolves with { command, response } if a command was used, or null if the file was edited.
+    async remove(serverName, list, value) {
+        if (!LISTS[list]) throw new Error(`Unknown player list: ${list}`);
+        const server = this.processes.get(serverName);
+        if (list === 'bannedIps') validateIp(value);
+        else validateUsername(value);
+
+        if (server.running) {
+            const commands = {
+                whitelist: `whitelist remove ${value}`,
+                ops: `deop ${value}`,
+                bannedPlayers: `pardon ${value}`,
+                bannedIps: `pardon-ip ${value}`
+            };
+            return this.runCommand(serverName, commands[list]);
+        }
+
+        const key = LISTS[list].key;
+        await this.withList(serverName, list, async () => {
+            const entries = await this.readList(serverName, list);
+            const remaining = entries.filter(e => String(e[key]).toLowerCase() !== value.toLowerCase());
+            if (remaining.length === entries.length) throw new Error(`${value} is not on the list.`);
+            await this.writeList(serverName, list, remaining);
+        });
+        return null;
+    }
+
+    // Over RCON the reply arrives once the server has handled the command; failures such as
+    // "That player does not exist" are reported as errors. The console gives no reply, so
+    // the server is given a moment to write its file instead.
+    async runCommand(serverName, command) {
+        if (this.rcon) {
+            const { response, via } = await this.rcon.command(serverName, command);
+            if (via === 'rcon') {
+                if (COMMAND_FAILURES.test(response)) throw new Error(response.trim());
+                return { command, response: response.trim() };
+            }
+        } else {
+            this.processes.get(serverName).sendCommand(command);
+        }
+        await new Promise(resolve => setTimeout(resolve, COMMAND_SETTLE_MS));
+        return { command, response: null };
+    }
+}
+
+module.exports = { PlayerManager, LISTS, offlineUuid, offlineResolver, createMojangResolver, parsePlayerEvent };
@@ -0,0 +1,286 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const sandbox = require('./sandbox');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const STATES = ['installing', 'starting', 'running', 'stopping', 'stopped', 'crashed', 'crash-looping'];
+
+// Lines kept per server so a crash can be logged with the console output that led up to it.
+const RECENT_LINES_LIMIT = 200;
+
+// The readiness line printed by Vanilla, Paper, Spigot, Fabric, Forge and NeoForge, e.g.
+//   [12:00:00] [Server thread/INFO]: Done (12.345s)! For help, type "help"
+//   [12:00:00] [Server thread/INFO] [minecraft/DedicatedServer]: Done (9,870s)! For help, type "help" or "?"
+const READY_PATTERN = /Done \(\d+(?:[.,]\d+)?m?s\)! For help, type/;
+
+// Lines that mean the server is going down because of an error, even if the
+// wrapper script still exits with code 0 (start.sh files written before exit codes were propagated).
+const CRASH_PATTERNS = [
+    /This crash report has been saved to/,
+    /Encountered an unexpected exception/,
+    /Failed to start the minecraft server/
+];
+
+// Calls onLine for every complete line; keeps the unterminated tail for the next chunk.
+function createLineSplitter(onLine) {
+    let partial = '';
+    return (chunk) => {
+        const lines = (partial + chunk).split(/\r?\n/);
+        partial = lines.pop();
+        lines.forEach(onLine);
+    };
+}
+
+// A single Minecraft server directory and the process running it (if any).
+class ManagedServer extends EventEmitter {
+    constructor(name, dir, stopOptions = {}) {
+        super();
+        this.name = name;
+        this.dir = dir;
+        this.stopOptions = stopOptions;
+        this.process = null;
+        this.startedAt = null;
+        this.stopPromise = null;
+        this.state = 'stopped';
+        this.stopRequested = false;
+        this.crashDetected = false;
+        this.recentLines = [];
+        this.lastStartedAt = null;
+        this.lastExit = null;
+        this.lockReason = null;
+    }
+
+    get running() {
+        return !!this.process;
+    }
+
+    setState(state) {
+        if (!STATES.includes(state)) throw new Error(`Unknown server state: ${state}`);
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        this.emit('state', state, previous);
+    }
+
+    // Resolves when the server reaches one of the target states; rejects on
+    // timeout (ms, 0 = none) or if it reaches one of the failOn states first.
+    waitForState(target, { timeout = 0, failOn = [] } = {}) {
+        const targets = [].concat(target);
+        if (targets.includes(this.state)) return Promise.resolve(this.state);
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.off('state', onState);
+            };
+            const onState = (state) => {
+                if (targets.includes(state)) {
+                    cleanup();
+                    resolve(state);
+                } else if (failOn.includes(state)) {
+                    cleanup();
+                    reject(new Error(`Server '${this.name}' is ${state}.`));
+                }
+            };
+            this.on('state', onState);
+            if (timeout) {
+                timer = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`Timed out waiting for '${this.name}' to be ${targets.join(' or ')}.`));
+                }, timeout);
+            }
+        });
+    }
+
+    waitUntilReady(timeout = 0) {
+        return this.waitForState('running', { timeout, failOn: ['stopped', 'crashed'] });
+    }
+
+    handleLine(line) {
+        if (this.state === 'starting' && READY_PATTERN.test(line)) this.setState('running');
+        if (CRASH_PATTERNS.some(pattern => pattern.test(line))) this.crashDetected = true;
+        this.recentLines.push(line);
+        if (this.recentLines.length > RECENT_LINES_LIMIT) this.recentLines.shift();
+        this.emit('line', line);
+    }
+
+    // While locked (e.g. a backup is being restored into the directory) the server cannot be started.
+    lock(reason) {
+        this.lockReason = reason;
+    }
+
+    unlock() {
+        this.lockReason = null;
+    }
+
+    start() {
+        if (this.process) throw new Error(`Server '${this.name}' is already running.`);
+        if (this.state === 'installing') throw new Error(`Server '${this.name}' is still being installed.`);
+        if (this.lockReason) throw new Error(`Server '${this.name}' is busy: ${this.lockReason}.`);
+        const scriptPath = path.join(this.dir, 'start.sh');
+        if (!fs.existsSync(scriptPath)) throw new Error(`'start.sh' not found in '${this.name}'.`);
+
+        // detached puts the wrapper, java and the tunnel in their own process group,
+        // so stopping this server never touches processes belonging to another one.
+        const proc = spawn('bash', [scriptPath], { cwd: this.dir, stdio: 'pipe', detached: true });
+        this.process = proc;
+        this.startedAt = Date.now();
+        this.lastStartedAt = this.startedAt;
+        this.stopRequested = false;
+        this.crashDetected = false;
+        this.recentLines = [];
+        this.setState('starting');
+
+        const stdoutLines = createLineSplitter(line => this.handleLine(line));
+        const stderrLines = createLineSplitter(line => this.handleLine(line));
+        proc.stdout.on('data', (data) => {
+            const text = data.toString();
+            this.emit('output', text);
+            stdoutLines(text);
+        });
+        proc.stderr.on('data', (data) => {
+            const text = data.toString();
+            this.emit('output', `STDERR: ${text}`);
+            stderrLines(text);
+        });
+        proc.on('error', (err) => this.emit('output', `\n--- Failed to start process: ${err.message} ---\n`));
+        proc.on('exit', (code, signal) => {
+            if (this.process !== proc) return;
+            this.process = null;
+            this.startedAt = null;
+            // The wrapper is gone; take down anything it left behind in its group (e.g. the tunnel).
+            this.signalGroup(proc.pid, 'SIGTERM');
+            this.lastExit = { code, signal, time: Date.now() };
+            const crashed = !this.stopRequested && (signal !== null || code !== 0 || this.crashDetected);
+            this.setState(crashed ? 'crashed' : 'stopped');
+            this.emit('exit', code, signal);
+        });
+        this.emit('started');
+    }
+
+    // Resolves once the process has exited. Concurrent callers share the same sequence.
+    stop(options = {}) {
+        if (!this.process) return Promise.resolve();
+        if (!this.stopPromise) {
+            this.stopRequested = true;
+            this.setState('stopping');
+            this.stopPromise = this.runStopSequence({ ...this.stopOptions, ...options })
+                .finally(() => { this.stopPromise = null; });
+        }
+        return this.stopPromise;
+    }
+
+    // "stop" on stdin lets the server save its worlds; signals are only a fallback.
+    async runStopSequence({ gracefulTimeout = 60, terminateTimeout = 15 }) {
+        const exited = new Promise(resolve => this.once('exit', resolve));
+        const waitForExit = (seconds) => Promise.race([
+            exited.then(() => true),
+            delay(seconds * 1000).then(() => false)
+        ]);
+
+        if (this.process.stdin.writable) {
+            this.emit('stop-progress', 'saving', 'Sent "stop", waiting for the server to save and exit...');
+            this.process.stdin.write('stop\n');
+            if (await waitForExit(gracefulTimeout)) return;
+            this.emit('stop-progress', 'stopping', `Server did not exit within ${gracefulTimeout}s, sending SIGTERM...`);
+        } else {
+            this.emit('stop-progress', 'stopping', 'Console is not writable, sending SIGTERM...');
+        }
+
+        this.killGroup('SIGTERM');
+        if (await waitForExit(terminateTimeout)) return;
+
+        this.emit('stop-progress', 'killed', `Server did not exit within ${terminateTimeout}s after SIGTERM, sending SIGKILL.`);
+        this.killGroup('SIGKILL');
+        await exited;
+    }
+
+    async restart(delayMs = 1500) {
+        await this.stop();
+        await delay(delayMs);
+        this.start();
+    }
+
+    sendCommand(command) {
+        if (!this.process || !this.process.stdin.writable) {
+            throw new Error(`Server '${this.name}' is not running.`);
+        }
+        // A "stop" typed in the console is a deliberate shutdown, not a crash.
+        if (command.trim().replace(/^\//, '') === 'stop') {
+            this.stopRequested = true;
+            this.setState('stopping');
+        }
+        this.process.stdin.write(command + '\n');
+    }
+
+    killGroup(signal) {
+        if (!this.process) return;
+        if (!this.signalGroup(this.process.pid, signal)) {
+            try { this.process.kill(signal); } catch (e) { /* already exited */ }
+        }
+    }
+
+    signalGroup(pgid, signal) {
+        try {
+            process.kill(-pgid, signal);
+            return true;
+        } catch (error) {
+            return false; // ESRCH: nothing left in the group
+        }
+    }
+}
+
+// Registry of every server known to the panel, keyed by directory name.
+// Events from individual servers are re-emitted with the server name as first argument.
+class ProcessManager extends EventEmitter {
+    constructor(rootDir, { stop = {} } = {}) {
+        super();
+        this.rootDir = rootDir;
+        this.stopOptions = stop;
+        this.servers = new Map();
+    }
+
+    // Throws a PathError for a name that is not a server directory ("." would be the panel itself).
+    get(name) {
+        let server = this.servers.get(name);
+        if (!server) {
+            server = new ManagedServer(name, sandbox.serverDir(this.rootDir, name), this.stopOptions);
+            server.on('output', (data) => this.emit('output', name, data));
+            server.on('line', (line) => this.emit('line', name, line));
+            server.on('started', () => this.emit('started', name));
+            server.on('stop-progress', (phase, message) => this.emit('stop-progress', name, phase, message));
+            server.on('state', (state, previous) => this.emit('state', name, state, previous));
+            server.on('exit', (code, signal) => this.emit('exit', name, code, signal));
+            this.servers.set(name, server);
+        }
+        return server;
+    }
+
+    isRunning(name) {
+        return this.servers.get(name)?.running || false;
+    }
+
+    getState(name) {
+        return this.servers.get(name)?.state || 'stopped';
+    }
+
+    getRunning() {
+        return [...this.servers.values()].filter(s => s.running);
+    }
+
+    remove(name) {
+        const server = this.servers.get(name);
+        if (server?.running) throw new Error(`Server '${name}' is still running.`);
+        if (server) server.removeAllListeners();
+        this.servers.delete(name);
+    }
+
+    stopAll() {
+        return Promise.all(this.getRunning().map(s => s.stop()));
+    }
+}
+
+module.exports = { ProcessManager, ManagedServer, STATES, READY_PATTERN };
@@ -0,0 +1,60 @@
+const { spawn } = require('child_process');
+
+// Packages as nix-shell -p takes them, e.g. "pkgs.jdk17_headless" or "git".
+const NIX_PACKAGE = /^(pkgs\.)?[A-Za-z0-9_-]+$/;
+
+// Runs a program with an argument array. There is no shell in between, so version names, file
+// names and paths reach the program exactly as given, whatever characters they contain.
+//
+// The program runs in its own process group, so killing the group (see signalGroup) also reaches
+// what it started. Resolves with the exit code, or rejects when the program could not be started.
+function runProcess(command, args, { cwd, env, onOutput = () => {}, children } = {}) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(command, args, { cwd, env: env ? { ...process.env, ...env } : undefined, detached: true });
+        children?.add(proc);
+        proc.stdout.on('data', (data) => onOutput(data.toString(), 'stdout'));
+        proc.stderr.on('data', (data) => onOutput(data.toString(), 'stderr'));
+        proc.on('close', (code) => {
+            children?.delete(proc);
+            resolve(code);
+        });
+        proc.on('error', (error) => {
+            children?.delete(proc);
+            reject(error);
+        });
+    });
+}
+
+const signalGroup = (proc, signal) => {
+    try {
+        process.kill(-proc.pid, signal);
+    } catch {
+        // Already exited.
+    }
+};
+
+// PATH with the given nix packages on it, for runProcess's env. nix-shell is asked for it with a
+// fixed command, so nothing from the caller is ever part of a shell string. What nix-shell prints
+// while fetching packages goes to onOutput; children is as for runProcess. Cached once found.
+const nixPaths = new Map();
+async function nixShellPath(packages, { onOutput = () => {}, children } = {}) {
+    for (const pkg of packages) {
+        if (!NIX_PACKAGE.test(pkg)) throw new Error(`Invalid nix package: ${pkg}`);
+    }
+    const key = [...packages].sort().join(' ');
+    if (nixPaths.has(key)) return nixPaths.get(key);
+
+    let stdout = '';
+    const code = await runProcess('nix-shell', ['-p', ...packages, '--run', 'printf %s "$PATH"'], {
+        children,
+        onOutput: (text, stream) => {
+            if (stream === 'stdout') stdout += text;
+            else onOutput(text);
+        }
+    });
+    if (code !== 0 || !stdout) throw new Error(`nix-shell could not provide ${packages.join(', ')} (exit code ${code}).`);
+    nixPaths.set(key, stdout);
+    return stdout;
+}
+
+module.exports = { runProcess, signalGroup, nixShellPath };
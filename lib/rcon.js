@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const net = require('net');
+const { readServerProperties } = require('./serverProperties');
+
+// --- Protocol ---
+// Every packet is: int32 length, int32 request id, int32 type, body, two NUL bytes (little-endian).
+const TYPE_RESPONSE = 0;
+const TYPE_COMMAND = 2;
+const TYPE_AUTH = 3;
+const TYPE_AUTH_RESPONSE = 2;
+// The server rejects longer commands.
+const MAX_COMMAND_BYTES = 1446;
+const DEFAULT_RCON_PORT = 25575;
+
+function encodePacket(id, type, body) {
+    const bodyBytes = Buffer.from(body, 'utf-8');
+    const packet = Buffer.alloc(14 + bodyBytes.length);
+    packet.writeInt32LE(10 + bodyBytes.length, 0);
+    packet.writeInt32LE(id, 4);
+    packet.writeInt32LE(type, 8);
+    bodyBytes.copy(packet, 12);
+    return packet;
+}
+
+// One authenticated connection. Commands are sent one at a time; long responses
+// arrive in several packets, so each command is followed by a packet of an unknown
+// type whose reply ("Unknown request 0") marks the end of the response.
+class RconClient {
+    constructor({ host = '127.0.0.1', port, password, timeout = 5000 }) {
+        this.host = host;
+        this.port = port;
+        this.password = password;
+        this.timeout = timeout;
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+        this.nextId = 1;
+        this.pending = null; // { id, endId, chunks, resolve, reject, timer }
+        this.queue = Promise.resolve();
+    }
+
+    get connected() {
+        return !!this.socket && !this.socket.destroyed && !this.connecting;
+    }
+
+    connect() {
+        if (this.connected) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const fail = (error) => {
+                socket.destroy();
+                reject(error);
+            };
+            socket.setTimeout(this.timeout, () => fail(new Error(`RCON connection to port ${this.port} timed out.`)));
+            socket.once('error', fail);
+            socket.once('connect', () => {
+                this.socket = socket;
+                this.buffer = Buffer.alloc(0);
+                const authId = this.nextId++;
+                this.pending = {
+                    id: authId,
+                    auth: true,
+                    resolve: () => {
+                        socket.setTimeout(0);
+                        socket.off('error', fail);
+                        socket.on('error', (error) => this.handleClose(error));
+                        resolve();
+                    },
+                    reject: fail
+                };
+                socket.write(encodePacket(authId, TYPE_AUTH, this.password));
+            });
+            socket.on('data', (data) => this.handleData(data));
+            socket.on('close', () => this.handleClose(new Error('RCON connection closed.')));
+        }).finally(() => { this.connecting = null; });
+        return this.connecting;
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.buffer.length >= 4) {
+            const length = this.buffer.readInt32LE(0);
+            if (this.buffer.length < 4 + length) break;
+            const id = this.buffer.readInt32LE(4);
+            const type = this.buffer.readInt32LE(8);
+            const body = this.buffer.toString('utf-8', 12, 4 + length - 2);
+            this.buffer = this.buffer.subarray(4 + length);
+            this.handlePacket(id, type, body);
+        }
+    }
+
+    handlePacket(id, type, body) {
+        const pending = this.pending;
+        if (!pending) return;
+        if (pending.auth) {
+            if (type !== TYPE_AUTH_RESPONSE) return;
+            this.pending = null;
+            if (id === -1) pending.reject(new Error('RCON authentication failed: wrong rcon.password.'));
+            else pending.resolve();
+        } else if (id === pending.id) {
+            pending.chunks.push(body);
+        } else if (id === pending.endId) {
+            this.pending = null;
+            clearTimeout(pending.timer);
+            pending.resolve(pending.chunks.join(''));
+        }
+    }
+
+    handleClose(error) {
+        const pending = this.pending;
+        this.pending = null;
+        this.socket?.destroy();
+        this.socket = null;
+        if (pending) {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+    }
+
+    // Resolves with the server's reply. A timeout drops the connection, since later
+    // packets could no longer be matched to their command.
+    send(command) {
+        if (Buffer.byteLength(command) > MAX_COMMAND_BYTES) {
+            return Promise.reject(new Error(`Command is longer than ${MAX_COMMAND_BYTES} bytes.`));
+        }
+        const run = async () => {
+            await this.connect();
+            return new Promise((resolve, reject) => {
+                const id = this.nextId++;
+                const endId = this.nextId++;
+                const timer = setTimeout(() => {
+                    this.handleClose(new Error(`No RCON response to "${command}" within ${this.timeout / 1000}s.`));
+                }, this.timeout);
+                this.pending = { id, endId, chunks: [], resolve, reject, timer };
+                this.socket.write(encodePacket(id, TYPE_COMMAND, command));
+                this.socket.write(encodePacket(endId, TYPE_RESPONSE, ''));
+            });
+        };
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    close() {
+        this.socket?.end();
+        this.socket = null;
+    }
+}
+
+// --- Per-server Connections ---
+// Uses each server's own enable-rcon / rcon.port / rcon.password from server.properties.
+class RconManager {
+    constructor(processes, { timeout = 5000 } = {}) {
+        this.processes = processes;
+        this.timeout = timeout;
+        this.clients = new Map(); // serverName -> { client, key }
+
+        processes.on('state', (serverName, state) => {
+            if (state !== 'running') this.close(serverName);
+        });
+    }
+
+    async configFor(serverName) {
+        const properties = await readServerProperties(this.processes.get(serverName).dir);
+        const port = Number(properties.get('rcon.port') || DEFAULT_RCON_PORT);
+        return {
+            enabled: properties.get('enable-rcon')?.trim() === 'true' && !!properties.get('rcon.password'),
+            port,
+            password: properties.get('rcon.password') || ''
+        };
+    }
+
+    // RCON only listens once the server has finished starting.
+    async isAvailable(serverName) {
+        return this.processes.getState(serverName) === 'running' && (await this.configFor(serverName)).enabled;
+    }
+
+    async clientFor(serverName) {
+        const { enabled, port, password } = await this.configFor(serverName);
+        if (!enabled) throw new Error(`RCON is not enabled for '${serverName}'.`);
+        const key = `${port}:${password}`;
+        const existing = this.clients.get(serverName);
+        if (existing?.key === key) return existing.client;
+        existing?.client.close();
+        const client = new RconClient({ port, password, timeout: this.timeout });
+        this.clients.set(serverName, { client, key });
+        return client;
+    }
+
+    // Sends a command over RCON and resolves with the response text.
+    async sendCommand(serverName, command) {
+        if (this.processes.getState(serverName) !== 'running') throw new Error(`Server '${serverName}' is not running.`);
+        return (await this.clientFor(serverName)).send(command);
+    }
+
+    // RCON when it is available, otherwise the console (stdin), where no response can be returned.
+    // "stop" always goes through the console so the shutdown is recorded as intentional.
+    async command(serverName, command) {
+        const server = this.processes.get(serverName);
+        if (command.trim().replace(/^\//, '') !== 'stop' && await this.isAvailable(serverName)) {
+            const client = await this.clientFor(serverName);
+            try {
+                await client.connect();
+            } catch (error) {
+                console.error(`RCON unavailable for '${serverName}', using the console instead:`, error.message);
+                server.sendCommand(command);
+                return { response: null, via: 'console' };
+            }
+            return { response: await client.send(command.replace(/^\//, '')), via: 'rcon' };
+        }
+        server.sendCommand(command);
+        return { response: null, via: 'console' };
+    }
+
+    close(serverName) {
+        this.clients.get(serverName)?.client.close();
+        this.clients.delete(serverName);
+    }
+
+    closeAll() {
+        for (const serverName of [...this.clients.keys()]) this.close(serverName);
+    }
+}
+
+// --- Setup ---
+// Settings for a new server: RCON on the first free port from 25575, with a random password.
+async function createRconProperties(serverDirs) {
+    const used = new Set();
+    for (const dir of serverDirs) {
+        const properties = await readServerProperties(dir);
+        for (const key of ['rcon.port', 'server-port', 'query.port']) {
+            if (properties.get(key)) used.add(Number(properties.get(key)));
+        }
+    }
+    let port = DEFAULT_RCON_PORT;
+    while (used.has(port)) port++;
+    return {
+        'enable-rcon': 'true',
+        'rcon.port': String(port),
+        'rcon.password': crypto.randomBytes(18).toString('base64url'),
+        'broadcast-rcon-to-ops': 'false'
+    };
+}
+
+module.exports = { RconClient, RconManager, createRconProperties };
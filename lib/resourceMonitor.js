@@ -0,0 +1,259 @@
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+
+// /proc/<pid>/stat reports CPU time in clock ticks; Linux fixes USER_HZ at 100 for userspace.
+const CLOCK_TICKS = 100;
+const RANGES = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+// Charts get at most this many points; longer ranges are averaged into buckets.
+const CHART_POINTS = 360;
+const UNKNOWN_COMMAND = /Unknown or incomplete command|Unknown command/i;
+
+// --- /proc ---
+// A server runs in its own process group (see ManagedServer.start), so its whole tree
+// (start.sh, java, the tunnel) is every process whose group id is the wrapper's pid.
+async function readGroupProcesses(pgid) {
+    const result = [];
+    for (const entry of await fsp.readdir('/proc')) {
+        if (!/^\d+$/.test(entry)) continue;
+        try {
+            const stat = await fsp.readFile(`/proc/${entry}/stat`, 'utf-8');
+            // The command name is in parentheses and may contain spaces.
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            if (Number(fields[2]) !== pgid) continue;
+            const status = await fsp.readFile(`/proc/${entry}/status`, 'utf-8');
+            const rssKb = Number(/^VmRSS:\s+(\d+)/m.exec(status)?.[1] || 0);
+            const cmdline = (await fsp.readFile(`/proc/${entry}/cmdline`, 'utf-8')).split('\0').join(' ');
+            result.push({ pid: Number(entry), cpuTicks: Number(fields[11]) + Number(fields[12]), rss: rssKb * 1024, cmdline });
+        } catch {
+            // The process exited while it was being read.
+        }
+    }
+    return result;
+}
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+function parseXmx(cmdline) {
+    const match = /-Xmx(\d+)([kmgt]?)\b/i.exec(cmdline);
+    return match ? Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()] : null;
+}
+
+async function directorySize(dir) {
+    let total = 0;
+    let entries;
+    try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch {
+        return 0;
+    }
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += await directorySize(fullPath);
+        } else if (!entry.isSymbolicLink()) {
+            try {
+                total += (await fsp.stat(fullPath)).size;
+            } catch {
+                // Deleted while walking.
+            }
+        }
+    }
+    return total;
+}
+
+// --- TPS / MSPT ---
+// Paper, Spigot and Purpur answer "tps" with "TPS from last 1m, 5m, 15m: 20.0, 20.0, 20.0"
+// (a leading * marks a value capped at 20) and Paper's "mspt" with
+// "Server tick times (avg/min/max) from last 5s, 10s, 1m:\n◴ 2.3/1.1/5.5, ...".
+const stripFormatting = (text) => String(text || '').replace(/§./g, '');
+
+function parseTps(text) {
+    const match = /TPS from last[^:]*:\s*\*?([\d.]+)/i.exec(stripFormatting(text));
+    return match ? Number(match[1]) : null;
+}
+
+function parseMspt(text) {
+    const match = /tick times[^:]*:\s*[^\d]*([\d.]+)\//i.exec(stripFormatting(text));
+    return match ? Number(match[1]) : null;
+}
+
+const average = (values) => {
+    const present = values.filter(value => value !== null && value !== undefined);
+    return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+// Samples CPU and memory of every running server's process tree, its TPS/MSPT over RCON
+// where the server has those commands, and the size of each server directory. Keeps a
+// day of samples per server in memory and raises warnings when a threshold is crossed.
+class ResourceMonitor extends EventEmitter {
+    constructor(processes, rcon, {
+        intervalSeconds = 10,
+        tpsIntervalSeconds = 30,
+        diskIntervalSeconds = 300,
+        memoryWarningPercent = 90,
+        cpuWarningPercent = 90,
+        tpsWarning = 15
+    } = {}) {
+        super();
+        this.processes = processes;
+        this.rcon = rcon;
+        this.interval = intervalSeconds * 1000;
+        this.tpsInterval = tpsIntervalSeconds * 1000;
+        this.diskInterval = diskIntervalSeconds * 1000;
+        this.thresholds = { memoryWarningPercent, cpuWarningPercent, tpsWarning };
+        this.series = new Map(); // serverName -> samples, oldest first
+        this.live = new Map(); // serverName -> { cpuTicks, time, xmx, tps, mspt, tpsCheckedAt, unsupported, warnings }
+        this.disk = new Map(); // serverName -> { bytes, checkedAt }
+        this.sampling = false;
+        this.timer = null;
+
+        processes.on('state', (serverName, state) => {
+            if (state === 'starting') this.live.delete(serverName);
+            if (state === 'stopped' || state === 'crashed') this.refreshDisk(serverName).catch(() => {});
+        });
+    }
+
+    start() {
+        this.timer = setInterval(() => this.sampleAll(), this.interval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    removeServer(serverName) {
+        this.series.delete(serverName);
+        this.live.delete(serverName);
+        this.disk.delete(serverName);
+    }
+
+    async sampleAll() {
+        // A slow /proc walk must not pile up behind itself.
+        if (this.sampling) return;
+        this.sampling = true;
+        try {
+            for (const server of this.processes.getRunning()) {
+                try {
+                    await this.sample(server);
+                } catch (error) {
+                    console.error(`Could not sample resources of '${server.name}':`, error.message);
+                }
+            }
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    async sample(server) {
+        const serverName = server.name;
+        const pid = server.process?.pid;
+        if (!pid) return;
+        const now = Date.now();
+        const live = this.live.get(serverName) || { cpuTicks: null, time: null, xmx: null, tps: null, mspt: null, tpsCheckedAt: 0, unsupported: new Set(), warnings: [] };
+        this.live.set(serverName, live);
+
+        const group = await readGroupProcesses(pid);
+        const cpuTicks = group.reduce((sum, p) => sum + p.cpuTicks, 0);
+        const memory = group.reduce((sum, p) => sum + p.rss, 0);
+        // Percent of one core, as top shows it; the first sample has nothing to compare with.
+        const cpu = live.cpuTicks === null ? null : Math.max(0, ((cpuTicks - live.cpuTicks) / CLOCK_TICKS) / ((now - live.time) / 1000) * 100);
+        live.cpuTicks = cpuTicks;
+        live.time = now;
+        live.xmx = group.map(p => parseXmx(p.cmdline)).find(Boolean) || null;
+
+        if (server.state === 'running' && now - live.tpsCheckedAt >= this.tpsInterval) {
+            live.tpsCheckedAt = now;
+            await this.sampleTicks(serverName, live);
+        }
+        if (now - (this.disk.get(serverName)?.checkedAt || 0) >= this.diskInterval) await this.refreshDisk(serverName);
+
+        const sample = { time: now, cpu, memory, tps: live.tps, mspt: live.mspt };
+        const series = this.series.get(serverName) || [];
+        series.push(sample);
+        while (series.length && series[0].time < now - RANGES.day) series.shift();
+        this.series.set(serverName, series);
+
+        const previous = new Set(live.warnings.map(w => w.type));
+        live.warnings = this.checkThresholds(sample, live.xmx);
+        for (const warning of live.warnings) {
+            if (!previous.has(warning.type)) this.emit('warning', serverName, warning);
+        }
+        this.emit('sample', serverName, sample, this.current(serverName));
+    }
+
+    // Only over RCON, where the reply belongs to the command; a server without the command is not asked again until it restarts.
+    async sampleTicks(serverName, live) {
+        if (!this.rcon || !(await this.rcon.isAvailable(serverName))) return;
+        for (const [command, parse] of [['tps', parseTps], ['mspt', parseMspt]]) {
+            if (live.unsupported.has(command)) continue;
+            try {
+                const response = await this.rcon.sendCommand(serverName, command);
+                if (UNKNOWN_COMMAND.test(stripFormatting(response))) live.unsupported.add(command);
+                else live[command] = parse(response);
+            } catch (error) {
+                live[command] = null;
+            }
+        }
+    }
+
+    async refreshDisk(serverName) {
+        const disk = { bytes: await directorySize(this.processes.get(serverName).dir), checkedAt: Date.now() };
+        this.disk.set(serverName, disk);
+        return disk;
+    }
+
+    checkThresholds(sample, xmx) {
+        const { memoryWarningPercent, cpuWarningPercent, tpsWarning } = this.thresholds;
+        const warnings = [];
+        if (xmx && sample.memory > xmx * memoryWarningPercent / 100) {
+            warnings.push({ type: 'memory', message: `Memory use is above ${memoryWarningPercent}% of -Xmx (${Math.round(sample.memory / xmx * 100)}%).` });
+        }
+        const cores = os.cpus().length;
+        if (sample.cpu !== null && sample.cpu / cores > cpuWarningPercent) {
+            warnings.push({ type: 'cpu', message: `CPU use is above ${cpuWarningPercent}% of all ${cores} cores.` });
+        }
+        if (sample.tps !== null && sample.tps < tpsWarning) {
+            warnings.push({ type: 'tps', message: `TPS is ${sample.tps}, below ${tpsWarning}.` });
+        }
+        return warnings;
+    }
+
+    // The latest values, for the dashboard's summary.
+    current(serverName) {
+        const series = this.series.get(serverName);
+        const live = this.live.get(serverName);
+        return {
+            sample: this.processes.isRunning(serverName) ? series?.[series.length - 1] || null : null,
+            xmx: live?.xmx || null,
+            disk: this.disk.get(serverName) || null,
+            warnings: this.processes.isRunning(serverName) ? live?.warnings || [] : [],
+            cores: os.cpus().length
+        };
+    }
+
+    // Samples of the last hour or day, averaged into at most CHART_POINTS buckets.
+    history(serverName, range = 'hour') {
+        if (!RANGES[range]) throw new Error(`Unknown range: ${range}`);
+        const now = Date.now();
+        const bucketMs = RANGES[range] / CHART_POINTS;
+        const buckets = new Map();
+        for (const sample of this.series.get(serverName) || []) {
+            if (sample.time < now - RANGES[range]) continue;
+            const key = Math.floor(sample.time / bucketMs);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(sample);
+        }
+        return [...buckets.values()].map(samples => ({
+            time: samples[samples.length - 1].time,
+            cpu: average(samples.map(s => s.cpu)),
+            memory: average(samples.map(s => s.memory)),
+            tps: average(samples.map(s => s.tps)),
+            mspt: average(samples.map(s => s.mspt))
+        }));
+    }
+}
+
+module.exports = { ResourceMonitor, parseTps, parseMspt, parseXmx, RANGES };
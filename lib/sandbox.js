@@ -0,0 +1,77 @@
+const fsp = require('fs').promises;
+const path = require('path');
+
+// Directories of the panel itself, next to the server directories. Names starting with "." are
+// never servers either (.panel, .git, ...).
+const RESERVED_NAMES = ['node_modules', 'public', 'lib'];
+// New servers: letters, digits, "_", "-" and ".", starting with a letter or digit.
+const NEW_SERVER_NAME = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+class PathError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'PathError';
+        this.status = status;
+    }
+}
+
+// --- Server Names ---
+// Whether a directory of the project root can be a server. Looser than validateServerName, so
+// servers created before names were checked keep working.
+function isServerName(name) {
+    return typeof name === 'string' && name.length > 0 && !name.startsWith('.') &&
+        !/[/\\\0]/.test(name) && !RESERVED_NAMES.includes(name);
+}
+
+function validateServerName(name) {
+    if (!isServerName(name) || !NEW_SERVER_NAME.test(name)) {
+        throw new PathError('Server names may only contain letters, digits, "_", "-" and ".", start with a letter or digit and be at most 64 characters long.', 400);
+    }
+    if (RESERVED_NAMES.includes(name.toLowerCase())) throw new PathError(`'${name}' is reserved by the panel.`, 400);
+    return name;
+}
+
+// The directory of a server; rejects names that are not one.
+function serverDir(rootDir, serverName) {
+    if (!isServerName(serverName)) throw new PathError(`Invalid server name: '${serverName}'.`, 400);
+    return path.join(rootDir, serverName);
+}
+
+// --- Paths ---
+// Separator-aware: "/srv/survival2" is not inside "/srv/survival".
+function isInside(parent, child) {
+    const rel = path.relative(parent, child);
+    return rel === '' || (rel !== '..' && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel));
+}
+
+// realpath of a path that may not exist yet: its nearest existing ancestor resolved, the rest appended.
+async function realpathOfNearest(target) {
+    try {
+        return await fsp.realpath(target);
+    } catch (error) {
+        const parent = path.dirname(target);
+        if (error.code !== 'ENOENT' || parent === target) throw error;
+        return path.join(await realpathOfNearest(parent), path.basename(target));
+    }
+}
+
+// Resolves a path from the client (relative to the server directory) to an absolute one inside it.
+// "../other", "/etc/passwd" and symlinks that lead out of the server directory are refused.
+//
+// options: allowRoot (the server directory itself is fine, e.g. to list it), followLinks (false
+// for operations on a link itself, like deleting or renaming it: only its folder is checked).
+async function resolvePath(dir, relPath = '', { allowRoot = false, followLinks = true } = {}) {
+    const root = path.resolve(dir);
+    const full = path.join(root, String(relPath ?? ''));
+    if (!isInside(root, full)) throw new PathError('Access denied.');
+    if (full === root && !allowRoot) throw new PathError('The server directory itself can not be changed.');
+
+    const realRoot = await realpathOfNearest(root);
+    const real = followLinks || full === root
+        ? await realpathOfNearest(full)
+        : path.join(await realpathOfNearest(path.dirname(full)), path.basename(full));
+    if (!isInside(realRoot, real)) throw new PathError('Access denied: the path leads outside the server directory.');
+    return full;
+}
+
+module.exports = { PathError, RESERVED_NAMES, isServerName, validateServerName, serverDir, isInside, resolvePath };
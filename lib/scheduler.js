@@ -0,0 +1,258 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { readJson, writeJson } = require('./storage');
+const { parseCron, matches, nextRun } = require('./cron');
+
+const ACTION_TYPES = ['command', 'restart', 'start', 'stop', 'backup', 'wait'];
+const MAX_RUNS = 100;
+const START_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_WAIT_SECONDS = 24 * 60 * 60;
+
+function normalizeAction(action) {
+    const type = action?.type;
+    if (!ACTION_TYPES.includes(type)) throw new Error(`Unknown action: ${type}`);
+    if (type === 'command') {
+        const command = String(action.command || '').trim();
+        if (!command) throw new Error('A command action needs a command.');
+        return { type, command };
+    }
+    if (type === 'wait') {
+        const seconds = Math.floor(Number(action.seconds));
+        if (!Number.isFinite(seconds) || seconds < 1 || seconds > MAX_WAIT_SECONDS) {
+            throw new Error(`Wait must be between 1 and ${MAX_WAIT_SECONDS} seconds.`);
+        }
+        return { type, seconds };
+    }
+    return { type };
+}
+
+function normalizeSchedule(value) {
+    const name = String(value.name || '').trim();
+    if (!name) throw new Error('A schedule needs a name.');
+    const cron = parseCron(value.cron).source;
+    if (!Array.isArray(value.actions) || value.actions.length === 0) throw new Error('A schedule needs at least one action.');
+    return { name, cron, enabled: value.enabled !== false, actions: value.actions.map(normalizeAction) };
+}
+
+const describeAction = (action) => {
+    if (action.type === 'command') return `command "${action.command}"`;
+    if (action.type === 'wait') return `wait ${action.seconds}s`;
+    return action.type;
+};
+
+// Cron-style tasks per server, stored in .panel/servers/<name>/schedules.json. Each
+// run executes the task's actions in order and is recorded in schedule-runs.json.
+// Runs missed while the panel was down are not made up.
+//
+// control: { start, stop, restart } by server name, the same ones the panel's buttons use
+// (start may throw, stop resolves with { stopped }, restart with false if not running).
+class Scheduler extends EventEmitter {
+    constructor(processes, backups, settings, rcon = null, control) {
+        super();
+        this.processes = processes;
+        this.backups = backups;
+        this.settings = settings;
+        this.rcon = rcon;
+        this.control = control;
+        this.schedules = new Map(); // serverName -> schedules
+        this.active = new Map(); // schedule id -> { serverName, controller }
+        this.runWrites = new Map(); // serverName -> pending write of the run log
+        this.timer = null;
+    }
+
+    schedulesFile(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'schedules.json');
+    }
+
+    runsFile(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'schedule-runs.json');
+    }
+
+    async load(serverNames) {
+        for (const serverName of serverNames) {
+            this.schedules.set(serverName, await readJson(this.schedulesFile(serverName), []));
+        }
+    }
+
+    async getSchedules(serverName) {
+        if (!this.schedules.has(serverName)) {
+            this.schedules.set(serverName, await readJson(this.schedulesFile(serverName), []));
+        }
+        return this.schedules.get(serverName);
+    }
+
+    // Schedules as shown in the UI, with the next run time filled in.
+    async list(serverName) {
+        return (await this.getSchedules(serverName)).map(schedule => ({
+            ...schedule,
+            running: this.active.has(schedule.id),
+            nextRun: schedule.enabled ? nextRun(parseCron(schedule.cron))?.getTime() ?? null : null
+        }));
+    }
+
+    async save(serverName) {
+        await writeJson(this.schedulesFile(serverName), this.schedules.get(serverName));
+    }
+
+    async create(serverName, value) {
+        const schedules = await this.getSchedules(serverName);
+        const schedule = { id: crypto.randomUUID(), ...normalizeSchedule(value), createdAt: Date.now(), lastRun: null };
+        schedules.push(schedule);
+        await this.save(serverName);
+        return schedule;
+    }
+
+    async update(serverName, id, value) {
+        const schedule = (await this.getSchedules(serverName)).find(s => s.id === id);
+        if (!schedule) throw new Error('Schedule not found.');
+        Object.assign(schedule, normalizeSchedule(value));
+        await this.save(serverName);
+        return schedule;
+    }
+
+    async remove(serverName, id) {
+        const schedules = await this.getSchedules(serverName);
+        const index = schedules.findIndex(s => s.id === id);
+        if (index === -1) throw new Error('Schedule not found.');
+        schedules.splice(index, 1);
+        this.active.get(id)?.controller.abort();
+        await this.save(serverName);
+    }
+
+    // Forgets a deleted server; its files go with the server's panel directory.
+    removeServer(serverName) {
+        for (const schedule of this.schedules.get(serverName) || []) this.active.get(schedule.id)?.controller.abort();
+        this.schedules.delete(serverName);
+    }
+
+    async listRuns(serverName) {
+        return readJson(this.runsFile(serverName), []);
+    }
+
+    // Writes are chained per server so runs finishing together do not overwrite each other.
+    recordRun(serverName, run) {
+        const write = (this.runWrites.get(serverName) || Promise.resolve()).catch(() => {}).then(async () => {
+            const runs = await this.listRuns(serverName);
+            runs.unshift(run);
+            await writeJson(this.runsFile(serverName), runs.slice(0, MAX_RUNS));
+        });
+        this.runWrites.set(serverName, write);
+        return write;
+    }
+
+    // Checks once at the start of every minute which schedules are due.
+    start() {
+        const scheduleTick = () => {
+            const now = new Date();
+            this.timer = setTimeout(() => {
+                scheduleTick();
+                this.runDue(new Date());
+            }, 60000 - (now.getSeconds() * 1000 + now.getMilliseconds()));
+            this.timer.unref();
+        };
+        scheduleTick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        for (const { controller } of this.active.values()) controller.abort();
+    }
+
+    runDue(now) {
+        for (const [serverName, schedules] of this.schedules) {
+            for (const schedule of schedules) {
+                if (!schedule.enabled || !matches(parseCron(schedule.cron), now)) continue;
+                this.run(serverName, schedule.id, 'schedule').catch(error => {
+                    console.error(`Scheduled task '${schedule.name}' of '${serverName}' failed:`, error.message);
+                });
+            }
+        }
+    }
+
+    // Runs a schedule's actions in order. Resolves with the recorded run; a failing
+    // action ends the run and marks it failed.
+    async run(serverName, id, trigger = 'manual') {
+        const schedule = (await this.getSchedules(serverName)).find(s => s.id === id);
+        if (!schedule) throw new Error('Schedule not found.');
+        const run = { scheduleId: id, name: schedule.name, trigger, startedAt: Date.now(), finishedAt: null, status: 'running', steps: [] };
+        if (this.active.has(id)) {
+            Object.assign(run, { finishedAt: run.startedAt, status: 'skipped', error: 'The previous run has not finished yet.' });
+        } else {
+            const controller = new AbortController();
+            this.active.set(id, { serverName, controller });
+            this.emit('run-started', serverName, run);
+            try {
+                for (const action of schedule.actions) {
+                    const step = { action: describeAction(action), startedAt: Date.now() };
+                    run.steps.push(step);
+                    this.emit('step-started', serverName, run, step);
+                    try {
+                        step.result = await this.runAction(serverName, action, controller.signal);
+                        step.status = 'succeeded';
+                    } catch (error) {
+                        step.status = 'failed';
+                        throw controller.signal.aborted ? new Error('Cancelled: the schedule or server was removed.') : error;
+                    }
+                }
+                run.status = 'succeeded';
+            } catch (error) {
+                run.status = 'failed';
+                run.error = error.message;
+            } finally {
+                run.finishedAt = Date.now();
+                this.active.delete(id);
+            }
+        }
+
+        // The schedule may have been deleted while it ran. A skipped run leaves lastRun to the run still in progress.
+        if (this.schedules.get(serverName)?.includes(schedule)) {
+            if (run.status !== 'skipped') {
+                schedule.lastRun = { startedAt: run.startedAt, finishedAt: run.finishedAt, status: run.status, error: run.error };
+                await this.save(serverName);
+            }
+            await this.recordRun(serverName, run);
+        }
+        this.emit('run-finished', serverName, run);
+        return run;
+    }
+
+    // Returns a short result for the run log; throws if the action failed.
+    async runAction(serverName, action, signal) {
+        if (signal.aborted) throw new Error('Cancelled.');
+        const server = this.processes.get(serverName);
+        switch (action.type) {
+            case 'command': {
+                if (!this.rcon) {
+                    server.sendCommand(action.command);
+                    return `Sent "${action.command}"`;
+                }
+                const { response, via } = await this.rcon.command(serverName, action.command);
+                return via === 'rcon' ? `Sent "${action.command}" over RCON: ${response.trim() || '(no response)'}` : `Sent "${action.command}"`;
+            }
+            case 'wait':
+                await sleep(action.seconds * 1000, null, { signal });
+                return `Waited ${action.seconds}s`;
+            case 'start':
+                if (server.running) return 'Already running';
+                this.control.start(serverName);
+                await server.waitUntilReady(START_TIMEOUT_MS);
+                return 'Started';
+            case 'stop':
+                return (await this.control.stop(serverName)).stopped ? 'Stopped' : 'Not running';
+            case 'restart':
+                if (!(await this.control.restart(serverName))) return 'Not running, nothing to restart';
+                await server.waitUntilReady(START_TIMEOUT_MS);
+                return 'Restarted';
+            case 'backup': {
+                const backup = await this.backups.create(serverName, 'scheduled');
+                return `Created ${backup.file}`;
+            }
+            default:
+                throw new Error(`Unknown action: ${action.type}`);
+        }
+    }
+}
+
+module.exports = { Scheduler, normalizeSchedule, ACTION_TYPES };
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { resolvePath } = require('./sandbox');
+
+const LOG_DIR = 'logs';
+// latest.log and the rotated "2024-05-01-1.log.gz"; nothing with a path in it.
+const LOG_FILE_PATTERN = /^[\w.-]+\.log(\.gz)?$/;
+const LEVELS = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
+const TYPES = ['join', 'leave', 'chat', 'command', 'death', 'advancement', 'warning', 'exception', 'other'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Line Formats ---
+// Vanilla, Paper and Fabric: "[12:00:00] [Server thread/INFO]: message".
+// Forge and NeoForge: "[01Jan2024 12:00:00.123] [Server thread/INFO] [net.minecraft.server.MinecraftServer/]: message".
+const VANILLA_LINE = /^\[(\d{2}):(\d{2}):(\d{2})\] \[([^\]]+)\/([A-Z]+)\]: ?(.*)$/;
+const FORGE_LINE = /^\[(\d{2})([A-Za-z]{3})(\d{4}) (\d{2}):(\d{2}):(\d{2})\.(\d{3})\] \[([^\]]+)\/([A-Z]+)\] \[[^\]]*\]: ?(.*)$/;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// --- Events ---
+const NAME = '([A-Za-z0-9_]{1,16})';
+const EVENT_PATTERNS = [
+    ['join', new RegExp(`^${NAME}(?:\\[[^\\]]*\\])? joined the game$`)],
+    ['leave', new RegExp(`^${NAME} left the game$`)],
+    ['chat', new RegExp(`^(?:\\[Not Secure\\] )?<${NAME}> `)],
+    // Bukkit logs commands as "Steve issued server command: /time set day"; vanilla echoes the feedback as "[Steve: Set the time to 1000]".
+    ['command', new RegExp(`^${NAME} issued server command: `)],
+    ['command', new RegExp(`^\\[${NAME}: .*\\]$`)],
+    ['advancement', new RegExp(`^${NAME} has (?:made the advancement|completed the challenge|reached the goal) \\[`)],
+    ['death', new RegExp(`^${NAME} (?:was (?:slain|shot|killed|blown up|fireballed|pummeled|impaled|skewered|squashed|squished|struck by lightning|pricked to death|stung to death|poked to death|obliterated|burnt to a crisp|doomed to fall|frozen to death|roasted)|drowned|died|blew up|burned to death|went up in flames|walked into (?:fire|a cactus|danger zone)|tried to swim in lava|suffocated|starved to death|withered away|froze to death|fell (?:from|off|out of the world|too far|while)|hit the ground too hard|experienced kinetic energy|discovered the floor was lava|didn't want to live|went off with a bang|left the confines of this world)\\b`)]
+];
+
+function classify(entry) {
+    for (const [type, pattern] of EVENT_PATTERNS) {
+        const match = pattern.exec(entry.message);
+        if (match) return { type, player: match[1] };
+    }
+    if (entry.stack.length || entry.level === 'ERROR' || entry.level === 'FATAL') return { type: 'exception', player: null };
+    if (entry.level === 'WARN') return { type: 'warning', player: null };
+    return { type: 'other', player: null };
+}
+
+// --- Files ---
+// A logs folder that is a link out of the server directory is refused.
+async function resolveLogFile(serverDir, file) {
+    if (!LOG_FILE_PATTERN.test(file || '')) throw new Error(`Invalid log file: ${file}`);
+    return resolvePath(serverDir, path.join(LOG_DIR, file));
+}
+
+// Newest first: latest.log, then the rotated files by name (which starts with the date).
+async function listLogFiles(serverDir) {
+    let names;
+    try {
+        names = await fsp.readdir(await resolvePath(serverDir, LOG_DIR));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const files = [];
+    for (const name of names.filter(n => LOG_FILE_PATTERN.test(n))) {
+        const stat = await fsp.stat(path.join(serverDir, LOG_DIR, name));
+        if (stat.isFile()) files.push({ file: name, size: stat.size, modified: stat.mtimeMs, compressed: name.endsWith('.gz') });
+    }
+    return files.sort((a, b) => {
+        if (a.file === 'latest.log') return -1;
+        if (b.file === 'latest.log') return 1;
+        return b.file.localeCompare(a.file, undefined, { numeric: true });
+    });
+}
+
+// Vanilla lines only carry the time of day. The date of the last line is taken from the
+// file name ("2024-05-01-1.log.gz") or, for latest.log, its modification time, and earlier
+// lines are dated backwards, one day per midnight the times wrap around.
+function lastLineDate(file, modified) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(file);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(modified);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+// Reads one file's entries in order: { file, line, time, thread, level, message, stack, type, player, raw }.
+// Lines that do not start a new entry (stack traces, multi-line messages) belong to the one before.
+// Each entry is passed to onEntry once it is complete; onEntry may return a promise to wait for,
+// or false to stop reading. Vanilla times are only known at the end of the file: until then they
+// count from the first line's day and the entry is marked undated. Resolves with that day.
+async function readEntries(filePath, file, modified, onEntry) {
+    const source = fs.createReadStream(filePath);
+    const stream = file.endsWith('.gz') ? source.pipe(zlib.createGunzip()) : source;
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    let current = null;
+    let lineNumber = 0;
+    let previousSeconds = -1;
+    let dayOffset = 0; // midnights passed since the first line
+    let stopped = false;
+    const begin = async (entry) => {
+        if (current && (await onEntry(Object.assign(current, classify(current)))) === false) stopped = true;
+        current = entry;
+    };
+    try {
+        for await (const line of lines) {
+            lineNumber++;
+            let match;
+            if ((match = VANILLA_LINE.exec(line))) {
+                const [, h, m, s, thread, level, message] = match;
+                const seconds = Number(h) * 3600 + Number(m) * 60 + Number(s);
+                if (seconds < previousSeconds) dayOffset++;
+                previousSeconds = seconds;
+                await begin({ file, line: lineNumber, time: dayOffset * DAY_MS + seconds * 1000, thread, level, message, stack: [], raw: line, undated: true });
+            } else if ((match = FORGE_LINE.exec(line))) {
+                const [, day, month, year, h, m, s, ms, thread, level, message] = match;
+                const time = new Date(Number(year), MONTHS.indexOf(month), Number(day), Number(h), Number(m), Number(s), Number(ms)).getTime();
+                await begin({ file, line: lineNumber, time, thread, level, message, stack: [], raw: line, undated: false });
+            } else if (current) {
+                current.stack.push(line);
+                current.raw += `\n${line}`;
+            }
+            if (stopped) break;
+        }
+        if (!stopped) await begin(null);
+    } finally {
+        lines.close();
+        stream.destroy();
+        source.destroy();
+    }
+    return lastLineDate(file, modified) - dayOffset * DAY_MS;
+}
+
+// --- Search ---
+// filter: { levels, types, from, to, player, text }, all optional; from and to are ms or date strings.
+function matchesFilter(entry, { levels, types, from, to, player, text }) {
+    if (levels?.length && !levels.includes(entry.level)) return false;
+    if (types?.length && !types.includes(entry.type)) return false;
+    if (from && entry.time < from) return false;
+    if (to && entry.time > to) return false;
+    if (player && entry.player?.toLowerCase() !== player.toLowerCase()) return false;
+    if (text && !entry.raw.toLowerCase().includes(text.toLowerCase())) return false;
+    return true;
+}
+
+function normalizeFilter(filter = {}) {
+    const list = (value, allowed) => (Array.isArray(value) ? value : []).filter(v => allowed.includes(v));
+    const time = (value) => {
+        if (value === undefined || value === null || value === '') return null;
+        const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        if (Number.isNaN(ms)) throw new Error(`Invalid time: ${value}`);
+        return ms;
+    };
+    return {
+        levels: list(filter.levels, LEVELS),
+        types: list(filter.types, TYPES),
+        from: time(filter.from),
+        to: time(filter.to),
+        player: String(filter.player || '').trim(),
+        text: String(filter.text || '').trim()
+    };
+}
+
+// Checks a query before any file is parsed. Resolves with { files, criteria }; files are newest
+// first and are one named file, or every log file when file is "all".
+async function resolveQuery(serverDir, { file = 'latest.log', ...filter } = {}) {
+    const criteria = normalizeFilter(filter);
+    if (file === 'all') return { files: (await listLogFiles(serverDir)).map(f => f.file), criteria };
+    await fsp.access(await resolveLogFile(serverDir, file));
+    return { files: [file], criteria };
+}
+
+// Passes the entries of one file that match criteria to onMatch, as readEntries does. A time
+// range needs the real times while matching, so the file is then read twice: first only to find
+// the day it starts on. Resolves with that day.
+async function scanLogFile(serverDir, file, criteria, onMatch) {
+    const filePath = await resolveLogFile(serverDir, file);
+    const { mtimeMs } = await fsp.stat(filePath);
+    const firstDay = criteria.from || criteria.to ? await readEntries(filePath, file, mtimeMs, () => {}) : null;
+    return readEntries(filePath, file, mtimeMs, (entry) => {
+        if (firstDay !== null && entry.undated) {
+            entry.time += firstDay;
+            entry.undated = false;
+        }
+        return matchesFilter(entry, criteria) ? onMatch(entry) : undefined;
+    });
+}
+
+// The newest `limit` matches in one file, oldest first, and how many there are in all. Only
+// those are kept while reading, in a ring buffer.
+async function findInLogFile(serverDir, file, criteria, limit) {
+    const kept = [];
+    let oldest = 0; // index of the oldest kept match once the buffer is full
+    let total = 0;
+    const firstDay = await scanLogFile(serverDir, file, criteria, (entry) => {
+        total++;
+        if (limit <= 0) return;
+        if (kept.length < limit) {
+            kept.push(entry);
+        } else {
+            kept[oldest] = entry;
+            oldest = (oldest + 1) % limit;
+        }
+    });
+    const entries = [...kept.slice(oldest), ...kept.slice(0, oldest)];
+    for (const entry of entries) {
+        if (entry.undated) entry.time += firstDay;
+        delete entry.undated;
+    }
+    return { entries, total };
+}
+
+// Resolves with { entries, total, truncated }: the newest `limit` matches, oldest first.
+async function searchLogs(serverDir, { limit = 1000, ...query } = {}) {
+    const { files, criteria } = await resolveQuery(serverDir, query);
+    const matches = [];
+    let total = 0;
+    for (const name of files) {
+        const found = await findInLogFile(serverDir, name, criteria, limit - matches.length);
+        total += found.total;
+        matches.unshift(...found.entries);
+    }
+    const entries = matches.map(({ raw, ...entry }) => entry);
+    return { entries, total, truncated: total > entries.length };
+}
+
+// Resolves with true once output wants more data, or false if it is closed first (the client went away).
+function whenWritable(output) {
+    return new Promise(resolve => {
+        if (output.destroyed) return resolve(false);
+        const settle = (open) => {
+            output.off('drain', onDrain);
+            output.off('close', onClose);
+            output.off('error', onClose);
+            resolve(open);
+        };
+        const onDrain = () => settle(true);
+        const onClose = () => settle(false);
+        output.on('drain', onDrain);
+        output.on('close', onClose);
+        output.on('error', onClose);
+    });
+}
+
+// Writes every entry matching a resolved query, with its stack trace, as plain log text. Stops
+// early if output is closed.
+async function writeMatchingLines(serverDir, { files, criteria }, output) {
+    let open = true;
+    for (const name of [...files].reverse()) { // oldest first, like the logs themselves
+        await scanLogFile(serverDir, name, criteria, async (entry) => {
+            if (output.destroyed) open = false;
+            else if (!output.write(`${entry.raw}\n`)) open = await whenWritable(output);
+            return open;
+        });
+        if (!open) return;
+    }
+}
+
+module.exports = { listLogFiles, resolveQuery, searchLogs, writeMatchingLines, classify, LEVELS, TYPES };
@@ -0,0 +1,294 @@
+const path = require('path');
+const fsp = require('fs').promises;
+const { readJson, writeJson, writeFileAtomic } = require('./storage');
+const sandbox = require('./sandbox');
+
+const PLAYIT_EXECUTABLE = 'playit-linux-amd64';
+const JDK_PACKAGES = ['pkgs.jdk8_headless', 'pkgs.jdk11_headless', 'pkgs.jdk17_headless', 'pkgs.jdk21_headless'];
+const TUNNELS = ['playit', 'none'];
+const MEMORY_LIMITS = { min: 256, max: 1024 * 1024 }; // MB
+// Anything else could break out of the nix-shell --run "..." string in start.sh.
+const SAFE_JVM_ARG = /^-[A-Za-z0-9_.:=+\-/,@%]+$/;
+// Arguments for the server itself after ./run.sh, such as "nogui"; the same characters, without the leading "-".
+const SAFE_PROGRAM_ARG = /^[A-Za-z0-9_.:=+\-/,@%]+$/;
+const JAR_NAME = /^[\w.+-]+\.jar$/;
+const JVM_ARGS_FILE = 'user_jvm_args.txt';
+
+// https://docs.papermc.io/paper/aikars-flags, for heaps up to 12 GB.
+const AIKAR_FLAGS = [
+    '-XX:+UseG1GC', '-XX:+ParallelRefProcEnabled', '-XX:MaxGCPauseMillis=200', '-XX:+UnlockExperimentalVMOptions',
+    '-XX:+DisableExplicitGC', '-XX:+AlwaysPreTouch', '-XX:G1NewSizePercent=30', '-XX:G1MaxNewSizePercent=40',
+    '-XX:G1HeapRegionSize=8M', '-XX:G1ReservePercent=20', '-XX:G1HeapWastePercent=5', '-XX:G1MixedGCCountTarget=4',
+    '-XX:InitiatingHeapOccupancyPercent=15', '-XX:G1MixedGCLiveThresholdPercent=90', '-XX:G1RSetUpdatingPauseTimePercent=5',
+    '-XX:SurvivorRatio=32', '-XX:+PerfDisableSharedMem', '-XX:MaxTenuringThreshold=1',
+    '-Dusing.aikars.flags=https://mcflags.emc.gs', '-Daikars.new.flags=true'
+];
+
+// "20.4.237" -> "1.20.4", "21.0.30" -> "1.21"
+const neoForgeMcVersion = (version) => {
+    const [major, minor] = String(version).split('.');
+    return `1.${major}${minor && minor !== '0' ? `.${minor}` : ''}`;
+};
+
+// --- Validation ---
+function normalizeMemory(memory = {}) {
+    const minMb = Number(memory.minMb);
+    const maxMb = Number(memory.maxMb);
+    for (const value of [minMb, maxMb]) {
+        if (!Number.isInteger(value) || value < MEMORY_LIMITS.min || value > MEMORY_LIMITS.max) {
+            throw new Error(`Memory must be a whole number of MB between ${MEMORY_LIMITS.min} and ${MEMORY_LIMITS.max}.`);
+        }
+    }
+    if (minMb > maxMb) throw new Error('Minimum memory can not be larger than maximum memory.');
+    return { minMb, maxMb };
+}
+
+// Accepts an array or one string with the arguments separated by whitespace.
+function normalizeJvmArgs(value = []) {
+    const args = Array.isArray(value) ? value : String(value).split(/\s+/);
+    const result = args.map(arg => String(arg).trim()).filter(Boolean);
+    const memoryArg = result.find(arg => /^-Xm[sx]/.test(arg));
+    if (memoryArg) throw new Error(`Set memory with the memory fields, not ${memoryArg}.`);
+    const unsafe = result.find(arg => !SAFE_JVM_ARG.test(arg));
+    if (unsafe) throw new Error(`Invalid JVM argument: ${unsafe}`);
+    return result;
+}
+
+function normalizeProgramArgs(value = []) {
+    const args = (Array.isArray(value) ? value : String(value).split(/\s+/)).map(arg => String(arg).trim()).filter(Boolean);
+    const unsafe = args.find(arg => !SAFE_PROGRAM_ARG.test(arg));
+    if (unsafe) throw new Error(`Invalid server argument: ${unsafe}`);
+    return args;
+}
+
+function normalizeJdk(jdk) {
+    if (!JDK_PACKAGES.includes(jdk)) throw new Error(`Unknown Java runtime: ${jdk}`);
+    return jdk;
+}
+
+function normalizeLaunch(launch = {}) {
+    if (launch.kind === 'jar' && JAR_NAME.test(launch.jar || '')) return { kind: 'jar', jar: launch.jar };
+    if (launch.kind === 'script' && launch.script === './run.sh') {
+        return { kind: 'script', script: launch.script, args: normalizeProgramArgs(launch.args || []) };
+    }
+    throw new Error('Invalid launch target.');
+}
+
+// --- Launch Files ---
+const memoryArgs = ({ minMb, maxMb }) => [`-Xms${minMb}M`, `-Xmx${maxMb}M`];
+
+// Forge and NeoForge start through their own run.sh, which reads JVM arguments from user_jvm_args.txt.
+function launchCommand(manifest) {
+    const { launch } = manifest;
+    if (launch.kind === 'script') return [launch.script, ...launch.args].join(' ');
+    return ['java', ...memoryArgs(manifest.memory), ...manifest.jvmArgs, '-jar', launch.jar, 'nogui'].join(' ');
+}
+
+function buildStartScript(manifest, projectRoot) {
+    const run = `nix-shell -p ${manifest.jdk} --run "${launchCommand(manifest)}"`;
+    const header = '#!/bin/bash\n# Generated by the panel from the server\'s launch settings; change those instead of this file.\n';
+    if (manifest.tunnel !== 'playit') {
+        return `${header}\necho "Starting Minecraft server..."\n${run}\nEXIT_CODE=$?\n\necho "Minecraft server process has finished."\nexit $EXIT_CODE\n`;
+    }
+    const playitPath = path.resolve(projectRoot, PLAYIT_EXECUTABLE);
+    return `${header}# Runs the server with a playit.gg tunnel.\n\necho "Starting playit.gg tunnel in the background..."\n${playitPath} > /dev/null 2>&1 &\nPLAYIT_PID=$!\n\ntrap 'echo "Stopping playit.gg tunnel..."; kill $PLAYIT_PID' EXIT\n\necho "Waiting for the tunnel to establish..."\nsleep 5\n\necho "Starting Minecraft server..."\n${run}\nEXIT_CODE=$?\n\necho "Minecraft server process has finished."\nexit $EXIT_CODE\n`;
+}
+
+function buildJvmArgsFile(manifest) {
+    return ['# Written by the panel from the server\'s launch settings.', ...memoryArgs(manifest.memory), ...manifest.jvmArgs, ''].join('\n');
+}
+
+// --- Detection ---
+// Servers created before manifests existed: read what start.sh (and, for Forge, user_jvm_args.txt)
+// runs, and guess type and version from the jar name and the libraries the installer left behind.
+const SIZE_MB = { k: 1 / 1024, m: 1, g: 1024, t: 1024 * 1024 };
+
+function parseMemoryMb(arg) {
+    const match = /^-Xm[sx](\d+)([kmgt])?$/i.exec(arg);
+    if (!match) return null;
+    return Math.round(Number(match[1]) * (match[2] ? SIZE_MB[match[2].toLowerCase()] : 1 / 1048576));
+}
+
+async function listDir(dir) {
+    try {
+        return (await fsp.readdir(dir)).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+    } catch {
+        return [];
+    }
+}
+
+async function detectType(serverDir, launch) {
+    if (launch.kind === 'script') {
+        const [neoForge] = await listDir(path.join(serverDir, 'libraries/net/neoforged/neoforge'));
+        if (neoForge) return { type: 'neoforge', mcVersion: neoForgeMcVersion(neoForge), build: neoForge };
+        const [forge] = await listDir(path.join(serverDir, 'libraries/net/minecraftforge/forge'));
+        if (forge) {
+            const [mcVersion, build] = forge.split('-');
+            return { type: 'forge', mcVersion, build: build || null };
+        }
+        return { type: 'unknown', mcVersion: null, build: null };
+    }
+    // Vanilla 1.18+ unpacks itself into versions/<version>/, also under Paper and Fabric.
+    const [bundled] = await listDir(path.join(serverDir, 'versions'));
+    let match;
+    if ((match = /^paper-(.+)-(\d+)\.jar$/.exec(launch.jar))) return { type: 'paper', mcVersion: match[1], build: match[2] };
+    if ((match = /^(purpur|spigot)-(.+)\.jar$/.exec(launch.jar))) return { type: match[1], mcVersion: match[2], build: null };
+    if (launch.jar === 'fabric-server-launch.jar') {
+        const [loader] = await listDir(path.join(serverDir, 'libraries/net/fabricmc/fabric-loader'));
+        return { type: 'fabric', mcVersion: bundled || null, build: loader || null };
+    }
+    if (launch.jar === 'server.jar') return { type: 'vanilla', mcVersion: bundled || null, build: null };
+    return { type: 'unknown', mcVersion: bundled || null, build: null };
+}
+
+async function detectManifest(serverDir) {
+    let script;
+    try {
+        script = await fsp.readFile(path.join(serverDir, 'start.sh'), 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    const jdk = /nix-shell -p (\S+)/.exec(script)?.[1];
+    const tokens = (/--run "([^"]*)"/.exec(script)?.[1] || '').split(/\s+/).filter(Boolean);
+    let launch;
+    let jvmTokens;
+    const jarIndex = tokens.indexOf('-jar');
+    if (tokens[0] === 'java' && jarIndex !== -1 && JAR_NAME.test(tokens[jarIndex + 1] || '')) {
+        launch = { kind: 'jar', jar: tokens[jarIndex + 1] };
+        jvmTokens = tokens.slice(1, jarIndex);
+    } else if (tokens[0] === './run.sh') {
+        launch = { kind: 'script', script: './run.sh', args: tokens.slice(1) };
+        const argsFile = await fsp.readFile(path.join(serverDir, JVM_ARGS_FILE), 'utf-8').catch(() => '');
+        jvmTokens = argsFile.split('\n').filter(line => !line.trim().startsWith('#')).join(' ').split(/\s+/).filter(Boolean);
+    } else {
+        return null;
+    }
+
+    const minMb = jvmTokens.map(arg => /^-Xms/.test(arg) ? parseMemoryMb(arg) : null).find(Boolean);
+    const maxMb = jvmTokens.map(arg => /^-Xmx/.test(arg) ? parseMemoryMb(arg) : null).find(Boolean);
+    const fallbackMb = maxMb || minMb || 2048;
+    return {
+        ...(await detectType(serverDir, launch)),
+        launch,
+        memory: { minMb: Math.min(minMb || fallbackMb, fallbackMb), maxMb: fallbackMb },
+        jdk: JDK_PACKAGES.includes(jdk) ? jdk : 'pkgs.jdk17_headless',
+        jvmArgs: jvmTokens.filter(arg => !/^-Xm[sx]/.test(arg) && SAFE_JVM_ARG.test(arg)),
+        tunnel: script.includes(PLAYIT_EXECUTABLE) ? 'playit' : 'none',
+        detected: true
+    };
+}
+
+// What a server is and how it is started, in .panel/servers/<name>/manifest.json:
+// { type, mcVersion, build, launch, memory: { minMb, maxMb }, jdk, jvmArgs, tunnel, ... }.
+// start.sh (and user_jvm_args.txt for Forge/NeoForge) are generated from it.
+class ServerManifests {
+    constructor(settings, projectRoot) {
+        this.settings = settings;
+        this.projectRoot = projectRoot;
+        this.cache = new Map();
+    }
+
+    manifestFile(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'manifest.json');
+    }
+
+    serverDir(serverName) {
+        return sandbox.serverDir(this.projectRoot, serverName);
+    }
+
+    // Resolves with null for a server whose start.sh the panel can not make sense of.
+    async get(serverName) {
+        if (this.cache.has(serverName)) return this.cache.get(serverName);
+        let manifest = await readJson(this.manifestFile(serverName), null);
+        if (!manifest) {
+            const detected = await detectManifest(this.serverDir(serverName));
+            if (detected) {
+                manifest = { ...detected, createdAt: null, updatedAt: Date.now() };
+                await writeJson(this.manifestFile(serverName), manifest);
+                console.log(`Detected the launch settings of '${serverName}' (${manifest.type} ${manifest.mcVersion || 'unknown version'}).`);
+            }
+        }
+        if (manifest) this.cache.set(serverName, manifest);
+        return manifest;
+    }
+
+    // For servers created before manifests existed; each one is only detected once.
+    async migrateAll(serverNames) {
+        for (const serverName of serverNames) {
+            try {
+                await this.get(serverName);
+            } catch (error) {
+                console.error(`Could not detect the launch settings of '${serverName}':`, error.message);
+            }
+        }
+    }
+
+    async create(serverName, { type, mcVersion, build = null, launch, memory, jdk, jvmArgs = [], tunnel = 'playit' }) {
+        const manifest = {
+            type,
+            mcVersion,
+            build,
+            launch: normalizeLaunch(launch),
+            memory: normalizeMemory(memory),
+            jdk: normalizeJdk(jdk),
+            jvmArgs: normalizeJvmArgs(jvmArgs),
+            tunnel: TUNNELS.includes(tunnel) ? tunnel : 'playit',
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        await this.save(serverName, manifest);
+        return manifest;
+    }
+
+    // changes: any of { memory, jvmArgs, jdk, tunnel }. Nothing is written if one is invalid.
+    async update(serverName, changes = {}) {
+        const current = await this.get(serverName);
+        if (!current) throw new Error(`The launch settings of '${serverName}' could not be detected from its start.sh.`);
+        const manifest = { ...current, updatedAt: Date.now() };
+        if (changes.memory !== undefined) manifest.memory = normalizeMemory(changes.memory);
+        if (changes.jvmArgs !== undefined) manifest.jvmArgs = normalizeJvmArgs(changes.jvmArgs);
+        if (changes.jdk !== undefined) manifest.jdk = normalizeJdk(changes.jdk);
+        if (changes.tunnel !== undefined) {
+            if (!TUNNELS.includes(changes.tunnel)) throw new Error(`Unknown tunnel: ${changes.tunnel}`);
+            manifest.tunnel = changes.tunnel;
+        }
+        delete manifest.detected;
+        await this.save(serverName, manifest);
+        return manifest;
+    }
+
+    // After an in-place update: the new version and how to start it. Memory, JVM flags and tunnel are kept.
+    async setVersion(serverName, { mcVersion, build = null, launch, jdk }) {
+        const current = await this.get(serverName);
+        if (!current) throw new Error(`The launch settings of '${serverName}' could not be detected from its start.sh.`);
+        const manifest = { ...current, mcVersion, build, launch: normalizeLaunch(launch), jdk: normalizeJdk(jdk), updatedAt: Date.now() };
+        delete manifest.detected;
+        await this.save(serverName, manifest);
+        return manifest;
+    }
+
+    async save(serverName, manifest) {
+        await writeJson(this.manifestFile(serverName), manifest);
+        this.cache.set(serverName, manifest);
+        await this.writeLaunchFiles(serverName, manifest);
+    }
+
+    // start.sh is run by the panel, so neither file may be written through a link out of the server directory.
+    async writeLaunchFiles(serverName, manifest) {
+        const dir = this.serverDir(serverName);
+        if (manifest.launch.kind === 'script') {
+            await writeFileAtomic(await sandbox.resolvePath(dir, JVM_ARGS_FILE), buildJvmArgsFile(manifest));
+        }
+        await writeFileAtomic(await sandbox.resolvePath(dir, 'start.sh'), buildStartScript(manifest, this.projectRoot), { mode: 0o755 });
+    }
+
+    removeServer(serverName) {
+        this.cache.delete(serverName);
+    }
+}
+
+module.exports = {
+    ServerManifests, detectManifest, buildStartScript, normalizeLaunch, neoForgeMcVersion,
+    AIKAR_FLAGS, JDK_PACKAGES, TUNNELS, PLAYIT_EXECUTABLE
+};
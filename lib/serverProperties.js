@@ -0,0 +1,302 @@
+const fsp = require('fs').promises;
+const { writeFileAtomic } = require('./storage');
+const { resolvePath } = require('./sandbox');
+
+// --- Properties Format ---
+// Java .properties as written by Minecraft: "key=value" lines, "#" or "!" comments,
+// backslash escapes and continuation lines. Lines that are not touched are written
+// back exactly as they were read, so comments, order and unknown keys survive.
+
+function unescape(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+        if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+        return { t: '\t', n: '\n', r: '\r', f: '\f' }[escape] ?? escape;
+    });
+}
+
+// Same escaping as java.util.Properties#store; non-ASCII becomes \uXXXX so every server version reads it back.
+function escape(text, isKey) {
+    let result = '';
+    for (const [index, char] of [...text].entries()) {
+        const code = char.charCodeAt(0);
+        if (char === '\\') result += '\\\\';
+        else if (char === '\n') result += '\\n';
+        else if (char === '\r') result += '\\r';
+        else if (char === '\t') result += '\\t';
+        else if (char === '\f') result += '\\f';
+        else if ('=:#!'.includes(char)) result += `\\${char}`;
+        else if (char === ' ' && (isKey || index === 0)) result += '\\ ';
+        else if (code < 0x20 || code > 0x7e) {
+            for (const unit of char.split('')) result += `\\u${unit.charCodeAt(0).toString(16).padStart(4, '0')}`;
+        } else result += char;
+    }
+    return result;
+}
+
+// Splits a logical line into key and value at the first unescaped "=", ":" or whitespace.
+function splitEntry(line) {
+    const text = line.replace(/^\s+/, '');
+    let index = 0;
+    while (index < text.length && !/[=:\s]/.test(text[index])) index += text[index] === '\\' ? 2 : 1;
+    const key = text.slice(0, index);
+    let rest = text.slice(index).replace(/^\s*/, '');
+    if (/^[=:]/.test(rest)) rest = rest.slice(1).replace(/^\s*/, '');
+    return { key: unescape(key), value: unescape(rest) };
+}
+
+const endsWithContinuation = (line) => /(^|[^\\])(\\\\)*\\$/.test(line);
+
+class PropertiesDocument {
+    constructor(text = '') {
+        // Each item is { raw, line } for comments and blank lines, or { raw, line, key, value } for
+        // entries; line is the (1-based) line of the file the item starts on.
+        this.lines = [];
+        const physical = text.split(/\r?\n/);
+        if (physical[physical.length - 1] === '') physical.pop();
+        for (let i = 0; i < physical.length; i++) {
+            const raw = [physical[i]];
+            const line = i + 1;
+            if (/^\s*([#!]|$)/.test(physical[i])) {
+                this.lines.push({ raw: raw.join('\n'), line });
+                continue;
+            }
+            let logical = physical[i];
+            while (endsWithContinuation(logical) && i + 1 < physical.length) {
+                raw.push(physical[++i]);
+                logical = logical.slice(0, -1) + physical[i].replace(/^\s+/, '');
+            }
+            this.lines.push({ raw: raw.join('\n'), line, ...splitEntry(logical) });
+        }
+    }
+
+    // Later duplicates win, as with java.util.Properties.
+    get(key) {
+        const entry = this.lines.findLast(line => line.key === key);
+        return entry ? entry.value : undefined;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    set(key, value) {
+        const raw = `${escape(key, true)}=${escape(String(value), false)}`;
+        const entry = this.lines.findLast(line => line.key === key);
+        if (entry) {
+            if (entry.value === String(value)) return;
+            Object.assign(entry, { raw, value: String(value) });
+        } else {
+            this.lines.push({ raw, key, value: String(value) });
+        }
+    }
+
+    toObject() {
+        const result = {};
+        for (const line of this.lines) {
+            if (line.key !== undefined) result[line.key] = line.value;
+        }
+        return result;
+    }
+
+    toString() {
+        return this.lines.map(line => line.raw).join('\n') + '\n';
+    }
+}
+
+// --- Schema ---
+// Keys written by current and older vanilla servers. Anything else is shown as a plain text field.
+const PROPERTY_SCHEMA = {
+    'motd': { type: 'string', category: 'General', default: 'A Minecraft Server', description: 'Message shown in the server list.' },
+    'gamemode': { type: 'enum', category: 'General', default: 'survival', values: ['survival', 'creative', 'adventure', 'spectator'], aliases: ['0', '1', '2', '3'] },
+    'difficulty': { type: 'enum', category: 'General', default: 'easy', values: ['peaceful', 'easy', 'normal', 'hard'], aliases: ['0', '1', '2', '3'] },
+    'hardcore': { type: 'boolean', category: 'General', default: false },
+    'pvp': { type: 'boolean', category: 'General', default: true },
+    'force-gamemode': { type: 'boolean', category: 'General', default: false },
+    'enable-command-block': { type: 'boolean', category: 'General', default: false },
+
+    'max-players': { type: 'integer', category: 'Players', default: 20, min: 0 },
+    'online-mode': { type: 'boolean', category: 'Players', default: true, description: 'Check accounts against Mojang. Turn off only behind a proxy that does it.' },
+    'white-list': { type: 'boolean', category: 'Players', default: false },
+    'enforce-whitelist': { type: 'boolean', category: 'Players', default: false },
+    'enforce-secure-profile': { type: 'boolean', category: 'Players', default: true },
+    'op-permission-level': { type: 'integer', category: 'Players', default: 4, min: 0, max: 4 },
+    'function-permission-level': { type: 'integer', category: 'Players', default: 2, min: 1, max: 4 },
+    'player-idle-timeout': { type: 'integer', category: 'Players', default: 0, min: 0, description: 'Minutes before idle players are kicked; 0 disables.' },
+    'spawn-protection': { type: 'integer', category: 'Players', default: 16, min: 0 },
+    'allow-flight': { type: 'boolean', category: 'Players', default: false },
+    'hide-online-players': { type: 'boolean', category: 'Players', default: false },
+    'log-ips': { type: 'boolean', category: 'Players', default: true },
+
+    'level-name': { type: 'string', category: 'World', default: 'world', required: true },
+    'level-seed': { type: 'string', category: 'World', default: '' },
+    'level-type': { type: 'string', category: 'World', default: 'minecraft:normal', suggestions: ['minecraft:normal', 'minecraft:flat', 'minecraft:large_biomes', 'minecraft:amplified', 'minecraft:single_biome_surface'] },
+    'generator-settings': { type: 'string', category: 'World', default: '{}' },
+    'generate-structures': { type: 'boolean', category: 'World', default: true },
+    'allow-nether': { type: 'boolean', category: 'World', default: true },
+    'spawn-animals': { type: 'boolean', category: 'World', default: true },
+    'spawn-monsters': { type: 'boolean', category: 'World', default: true },
+    'spawn-npcs': { type: 'boolean', category: 'World', default: true },
+    'view-distance': { type: 'integer', category: 'World', default: 10, min: 2, max: 32 },
+    'simulation-distance': { type: 'integer', category: 'World', default: 10, min: 2, max: 32 },
+    'max-world-size': { type: 'integer', category: 'World', default: 29999984, min: 1, max: 29999984 },
+    'max-build-height': { type: 'integer', category: 'World', default: 256, min: 1 },
+
+    'server-ip': { type: 'string', category: 'Network', default: '', description: 'Leave empty to listen on all addresses.' },
+    'server-port': { type: 'port', category: 'Network', default: 25565 },
+    'network-compression-threshold': { type: 'integer', category: 'Network', default: 256, min: -1 },
+    'rate-limit': { type: 'integer', category: 'Network', default: 0, min: 0 },
+    'prevent-proxy-connections': { type: 'boolean', category: 'Network', default: false },
+    'use-native-transport': { type: 'boolean', category: 'Network', default: true },
+    'enable-status': { type: 'boolean', category: 'Network', default: true },
+    'accepts-transfers': { type: 'boolean', category: 'Network', default: false },
+    'resource-pack': { type: 'string', category: 'Network', default: '' },
+    'resource-pack-sha1': { type: 'string', category: 'Network', default: '', pattern: /^([0-9a-fA-F]{40})?$/, patternMessage: 'must be a 40-character hex SHA-1 or empty' },
+    'resource-pack-prompt': { type: 'string', category: 'Network', default: '' },
+    'require-resource-pack': { type: 'boolean', category: 'Network', default: false },
+
+    'enable-rcon': { type: 'boolean', category: 'Remote Access', default: false },
+    'rcon.port': { type: 'port', category: 'Remote Access', default: 25575 },
+    'rcon.password': { type: 'string', category: 'Remote Access', default: '', secret: true },
+    'broadcast-rcon-to-ops': { type: 'boolean', category: 'Remote Access', default: true },
+    'enable-query': { type: 'boolean', category: 'Remote Access', default: false },
+    'query.port': { type: 'port', category: 'Remote Access', default: 25565 },
+
+    'max-tick-time': { type: 'integer', category: 'Advanced', default: 60000, min: -1, description: 'Milliseconds before the watchdog stops a stuck server; -1 disables.' },
+    'entity-broadcast-range-percentage': { type: 'integer', category: 'Advanced', default: 100, min: 10, max: 1000 },
+    'max-chained-neighbor-updates': { type: 'integer', category: 'Advanced', default: 1000000 },
+    'sync-chunk-writes': { type: 'boolean', category: 'Advanced', default: true },
+    'enable-jmx-monitoring': { type: 'boolean', category: 'Advanced', default: false },
+    'broadcast-console-to-ops': { type: 'boolean', category: 'Advanced', default: true },
+    'region-file-compression': { type: 'enum', category: 'Advanced', default: 'deflate', values: ['deflate', 'lz4', 'none'] },
+    'pause-when-empty-seconds': { type: 'integer', category: 'Advanced', default: 60, min: 0 }
+};
+
+// Returns the value as it is written to the file, or throws with a message naming the key.
+function validateProperty(key, value) {
+    const spec = PROPERTY_SCHEMA[key];
+    const text = typeof value === 'string' ? value.trim() : String(value ?? '');
+    if (!spec) return typeof value === 'string' ? value : text;
+
+    switch (spec.type) {
+        case 'boolean':
+            if (value === true || value === false) return String(value);
+            if (!['true', 'false'].includes(text.toLowerCase())) throw new Error(`${key} must be true or false, got "${value}".`);
+            return text.toLowerCase();
+        case 'integer':
+        case 'port': {
+            if (!/^-?\d+$/.test(text)) throw new Error(`${key} must be a whole number, got "${value}".`);
+            const number = Number(text);
+            const min = spec.type === 'port' ? 1 : spec.min ?? -2147483648;
+            const max = spec.type === 'port' ? 65535 : spec.max ?? 2147483647;
+            if (number < min || number > max) throw new Error(`${key} must be between ${min} and ${max}, got ${number}.`);
+            return String(number);
+        }
+        case 'enum':
+            if (!spec.values.includes(text) && !(spec.aliases || []).includes(text)) {
+                throw new Error(`${key} must be one of ${spec.values.join(', ')}, got "${value}".`);
+            }
+            return text;
+        default:
+            if (spec.required && !text) throw new Error(`${key} must not be empty.`);
+            if (spec.pattern && !spec.pattern.test(text)) throw new Error(`${key} ${spec.patternMessage}.`);
+            return String(value ?? '');
+    }
+}
+
+// Validates every change first; returns { values } or { errors: [{ key, message }] }.
+function validateProperties(changes) {
+    const values = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(changes || {})) {
+        try {
+            if (!/^[^\s=:#!][^\s=:]*$/.test(key)) throw new Error(`Invalid property name: "${key}".`);
+            values[key] = validateProperty(key, value);
+        } catch (error) {
+            errors.push({ key, message: error.message });
+        }
+    }
+    return errors.length ? { errors } : { values };
+}
+
+// What a server would trip over in a .properties file, as [{ line, column, message }]: malformed
+// \uXXXX escapes (java.util.Properties refuses to load the file) and, with schema, values of
+// known server.properties keys that the form would not accept either.
+function propertiesErrors(text, { schema = false } = {}) {
+    const errors = [];
+    for (const entry of new PropertiesDocument(text).lines) {
+        if (entry.key === undefined) continue;
+        entry.raw.split('\n').forEach((physical, offset) => {
+            for (const match of physical.matchAll(/(^|[^\\])((?:\\\\)*)\\u(?![0-9a-fA-F]{4})/g)) {
+                const column = match.index + match[1].length + match[2].length + 1;
+                errors.push({ line: entry.line + offset, column, message: 'Malformed \\uXXXX escape.' });
+            }
+        });
+        if (schema && PROPERTY_SCHEMA[entry.key]) {
+            try {
+                validateProperty(entry.key, entry.value);
+            } catch (error) {
+                const column = /^\s*(?:\\.|[^=:\s\\])*\s*[=:]?\s*/.exec(entry.raw)[0].length + 1;
+                errors.push({ line: entry.line, column, message: error.message });
+            }
+        }
+    }
+    return errors;
+}
+
+// The schema as sent to the browser (RegExps do not survive JSON).
+const publicSchema = () => Object.fromEntries(Object.entries(PROPERTY_SCHEMA).map(([key, { pattern, ...spec }]) => [key, spec]));
+
+const SECRET_KEYS = Object.keys(PROPERTY_SCHEMA).filter(key => PROPERTY_SCHEMA[key].secret);
+
+// The values as sent to the browser, with secrets (the RCON password) blanked. secretsSet lists
+// the secret keys that have a value in the file.
+function publicProperties(doc) {
+    const properties = doc.toObject();
+    const secretsSet = SECRET_KEYS.filter(key => properties[key]);
+    for (const key of SECRET_KEYS) if (key in properties) properties[key] = '';
+    return { properties, secretsSet };
+}
+
+// Changes from the browser: it never had the secrets, so a blank one means "keep it".
+function withoutBlankSecrets(changes = {}) {
+    return Object.fromEntries(Object.entries(changes).filter(([key, value]) => !SECRET_KEYS.includes(key) || String(value ?? '') !== ''));
+}
+
+// --- Files ---
+const PROPERTIES_FILE = 'server.properties';
+
+// A server.properties that is a link out of the server directory is refused.
+async function readServerProperties(serverDir) {
+    try {
+        return new PropertiesDocument(await fsp.readFile(await resolvePath(serverDir, PROPERTIES_FILE), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return new PropertiesDocument();
+        throw error;
+    }
+}
+
+// Nothing is written unless every change is valid.
+async function updateServerProperties(serverDir, changes) {
+    const { values, errors } = validateProperties(changes);
+    if (errors) {
+        const error = new Error(errors.map(e => e.message).join(' '));
+        error.errors = errors;
+        throw error;
+    }
+    const doc = await readServerProperties(serverDir);
+    for (const [key, value] of Object.entries(values)) doc.set(key, value);
+    await writeFileAtomic(await resolvePath(serverDir, PROPERTIES_FILE), doc.toString());
+    return doc;
+}
+
+module.exports = {
+    PropertiesDocument,
+    PROPERTY_SCHEMA,
+    validateProperties,
+    propertiesErrors,
+    publicSchema,
+    publicProperties,
+    withoutBlankSecrets,
+    readServerProperties,
+    updateServerProperties
+};
@@ -0,0 +1,84 @@
+const path = require('path');
+const { rimraf } = require('rimraf');
+const { readJson, writeJson } = require('./storage');
+const { isServerName } = require('./sandbox');
+
+// Panel-side settings for one server. Missing keys fall back to these defaults.
+const defaultSettings = {
+    autoRestart: {
+        enabled: false,
+        // Give up after this many crashes within windowSeconds.
+        maxAttempts: 3,
+        windowSeconds: 600,
+        // Delay before the first restart; doubled for every further crash in the window.
+        backoffSeconds: 5,
+        maxBackoffSeconds: 300
+    },
+    backups: {
+        // Glob patterns relative to the server directory. Patterns without "/" match at any depth.
+        include: ['**'],
+        exclude: [
+            'cache/**', 'libraries/**', 'logs/**', 'crash-reports/**',
+            '*-installer.jar', '*-installer.jar.log', 'BuildTools.jar', 'BuildTools.log.txt',
+            'work/**', 'BuildData/**', 'Bukkit/**', 'CraftBukkit/**', 'Spigot/**', 'apache-maven-*/**'
+        ],
+        // 0 disables a rule; all 0 keeps every backup.
+        retention: { keepLast: 5, keepDaily: 7, keepWeekly: 4 },
+        auto: { enabled: false, intervalHours: 24 }
+    }
+};
+
+function mergeWithDefaults(defaults, value) {
+    const merged = { ...defaults };
+    for (const key of Object.keys(defaults)) {
+        if (value?.[key] === undefined) continue;
+        const isSection = defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key]);
+        merged[key] = isSection ? { ...defaults[key], ...value[key] } : value[key];
+    }
+    return merged;
+}
+
+class ServerSettings {
+    constructor(dataDir) {
+        this.serversDir = path.join(dataDir, 'servers');
+        this.cache = new Map();
+    }
+
+    // Directory for everything the panel stores about a server (settings, crash logs, ...).
+    dirFor(serverName) {
+        if (!isServerName(serverName)) {
+            throw new Error(`Invalid server name: ${serverName}`);
+        }
+        return path.join(this.serversDir, serverName);
+    }
+
+    async get(serverName) {
+        if (!this.cache.has(serverName)) {
+            const stored = await readJson(path.join(this.dirFor(serverName), 'settings.json'), {});
+            this.cache.set(serverName, mergeWithDefaults(defaultSettings, stored));
+        }
+        return this.cache.get(serverName);
+    }
+
+    // Shallow-merges each section of the patch, e.g. { autoRestart: { enabled: true } }.
+    async update(serverName, patch) {
+        const current = await this.get(serverName);
+        const updated = mergeWithDefaults(defaultSettings, {
+            ...current,
+            ...Object.fromEntries(Object.entries(patch).map(([key, value]) => [
+                key,
+                value && typeof value === 'object' && !Array.isArray(value) ? { ...current[key], ...value } : value
+            ]))
+        });
+        await writeJson(path.join(this.dirFor(serverName), 'settings.json'), updated);
+        this.cache.set(serverName, updated);
+        return updated;
+    }
+
+    async remove(serverName) {
+        this.cache.delete(serverName);
+        await rimraf(this.dirFor(serverName));
+    }
+}
+
+module.exports = { ServerSettings, defaultSettings };
@@ -0,0 +1,244 @@
+const EventEmitter = require('events');
+const net = require('net');
+const { readServerProperties } = require('./serverProperties');
+
+// --- Server List Ping ---
+// The packets the multiplayer screen sends: a handshake asking for the status state, a
+// status request answered with a JSON document, then a ping whose echo gives the latency.
+// Every packet is a VarInt length followed by a VarInt packet id and its fields.
+
+function writeVarInt(value) {
+    const bytes = [];
+    let rest = value >>> 0;
+    do {
+        let byte = rest & 0x7f;
+        rest >>>= 7;
+        if (rest !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (rest !== 0);
+    return Buffer.from(bytes);
+}
+
+// Returns { value, size }, or null if the buffer does not hold the whole VarInt yet.
+function readVarInt(buffer, offset = 0) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+        if (offset + i >= buffer.length) return null;
+        const byte = buffer[offset + i];
+        value |= (byte & 0x7f) << (7 * i);
+        if (!(byte & 0x80)) return { value, size: i + 1 };
+    }
+    throw new Error('Malformed VarInt in the status response.');
+}
+
+function writeString(text) {
+    const bytes = Buffer.from(text, 'utf-8');
+    return Buffer.concat([writeVarInt(bytes.length), bytes]);
+}
+
+const packet = (id, ...fields) => {
+    const body = Buffer.concat([writeVarInt(id), ...fields]);
+    return Buffer.concat([writeVarInt(body.length), body]);
+};
+
+// Resolves with the server's status JSON plus { latency } in ms. Protocol -1 asks the server
+// to report its own version instead of judging ours.
+function pingServer({ host = '127.0.0.1', port = 25565, timeout = 5000 }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let buffer = Buffer.alloc(0);
+        let status = null;
+        let pingSentAt = 0;
+        const finish = (error, result) => {
+            clearTimeout(timer);
+            socket.destroy();
+            if (error) reject(error);
+            else resolve(result);
+        };
+        const timer = setTimeout(() => finish(new Error(`No status response within ${timeout / 1000}s.`)), timeout);
+
+        socket.on('connect', () => {
+            const portBytes = Buffer.alloc(2);
+            portBytes.writeUInt16BE(port);
+            socket.write(packet(0x00, writeVarInt(-1), writeString(host), portBytes, writeVarInt(1)));
+            socket.write(packet(0x00));
+        });
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            try {
+                for (;;) {
+                    const length = readVarInt(buffer);
+                    if (!length || buffer.length < length.size + length.value) return;
+                    const body = buffer.subarray(length.size, length.size + length.value);
+                    buffer = buffer.subarray(length.size + length.value);
+                    const id = readVarInt(body);
+                    if (!status) {
+                        if (id.value !== 0x00) throw new Error(`Unexpected packet 0x${id.value.toString(16)} instead of the status response.`);
+                        const textLength = readVarInt(body, id.size);
+                        const start = id.size + textLength.size;
+                        status = JSON.parse(body.toString('utf-8', start, start + textLength.value));
+                        const payload = Buffer.alloc(8);
+                        pingSentAt = Date.now();
+                        payload.writeBigInt64BE(BigInt(pingSentAt));
+                        socket.write(packet(0x01, payload));
+                    } else if (id.value === 0x01) {
+                        return finish(null, { ...status, latency: Date.now() - pingSentAt });
+                    }
+                }
+            } catch (error) {
+                finish(error);
+            }
+        });
+        socket.on('error', (error) => {
+            finish(error.code === 'ECONNREFUSED' ? new Error(`Nothing is listening on port ${port}.`) : error);
+        });
+        // Some servers close the connection instead of answering the ping; the status still counts.
+        socket.on('close', () => {
+            if (status) finish(null, { ...status, latency: null });
+            else finish(new Error('The server closed the connection without a status response.'));
+        });
+    });
+}
+
+// --- MOTD ---
+// The description is either a string with legacy § codes or a chat component
+// ({ text, color, bold, ..., extra: [...] }). Both are flattened into styled segments
+// so the browser can render them without interpreting any markup.
+const COLORS = {
+    black: '#000000', dark_blue: '#0000AA', dark_green: '#00AA00', dark_aqua: '#00AAAA',
+    dark_red: '#AA0000', dark_purple: '#AA00AA', gold: '#FFAA00', gray: '#AAAAAA',
+    dark_gray: '#555555', blue: '#5555FF', green: '#55FF55', aqua: '#55FFFF',
+    red: '#FF5555', light_purple: '#FF55FF', yellow: '#FFFF55', white: '#FFFFFF'
+};
+const LEGACY_COLORS = Object.values(COLORS); // §0 to §f, in the same order
+const LEGACY_FORMATS = { k: 'obfuscated', l: 'bold', m: 'strikethrough', n: 'underlined', o: 'italic' };
+const FORMATS = Object.values(LEGACY_FORMATS);
+
+const plainStyle = () => ({ color: null, bold: false, italic: false, underlined: false, strikethrough: false, obfuscated: false });
+
+function legacySegments(text, baseStyle, segments) {
+    let style = { ...baseStyle };
+    for (const [index, part] of text.split('§').entries()) {
+        let content = part;
+        if (index > 0) {
+            const code = part.charAt(0).toLowerCase();
+            content = part.slice(1);
+            if (/[0-9a-f]/.test(code)) style = { ...plainStyle(), color: LEGACY_COLORS[parseInt(code, 16)] };
+            else if (LEGACY_FORMATS[code]) style = { ...style, [LEGACY_FORMATS[code]]: true };
+            else if (code === 'r') style = { ...baseStyle };
+        }
+        if (content) segments.push({ text: content, ...style });
+    }
+}
+
+function componentSegments(component, parentStyle, segments) {
+    if (component === null || component === undefined) return;
+    if (typeof component !== 'object') {
+        legacySegments(String(component), parentStyle, segments);
+        return;
+    }
+    if (Array.isArray(component)) {
+        component.forEach(child => componentSegments(child, parentStyle, segments));
+        return;
+    }
+    const style = { ...parentStyle };
+    if (typeof component.color === 'string') {
+        style.color = COLORS[component.color] || (/^#[0-9a-f]{6}$/i.test(component.color) ? component.color : style.color);
+    }
+    for (const format of FORMATS) {
+        if (typeof component[format] === 'boolean') style[format] = component[format];
+    }
+    legacySegments(String(component.text ?? component.translate ?? ''), style, segments);
+    for (const child of component.extra || []) componentSegments(child, style, segments);
+}
+
+function motdSegments(description) {
+    const segments = [];
+    componentSegments(description, plainStyle(), segments);
+    return segments;
+}
+
+const stripFormatting = (text) => String(text || '').replace(/§./g, '');
+
+// --- Polling ---
+// Pings every running server on an interval and keeps the latest result per server.
+// A server that has just finished starting is pinged right away.
+class StatusPoller extends EventEmitter {
+    constructor(processes, { intervalSeconds = 10, timeoutSeconds = 5 } = {}) {
+        super();
+        this.processes = processes;
+        this.interval = intervalSeconds * 1000;
+        this.timeout = timeoutSeconds * 1000;
+        this.statuses = new Map(); // serverName -> latest status
+        this.polling = new Set();
+        this.timer = null;
+
+        processes.on('state', (serverName, state) => {
+            if (state === 'running') {
+                this.poll(serverName);
+            } else if (this.statuses.has(serverName)) {
+                this.statuses.delete(serverName);
+                this.emit('status', serverName, null);
+            }
+        });
+    }
+
+    start() {
+        this.timer = setInterval(() => {
+            for (const server of this.processes.getRunning()) {
+                if (server.state === 'running') this.poll(server.name);
+            }
+        }, this.interval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    get(serverName) {
+        return this.statuses.get(serverName) || null;
+    }
+
+    async address(serverName) {
+        const properties = await readServerProperties(this.processes.get(serverName).dir);
+        const ip = properties.get('server-ip')?.trim();
+        return {
+            host: ip && ip !== '0.0.0.0' ? ip : '127.0.0.1',
+            port: Number(properties.get('server-port') || 25565)
+        };
+    }
+
+    // A failed ping is reported as { online: false, error }; a server that is busy
+    // (e.g. a long tick) can miss one and answer the next.
+    async poll(serverName) {
+        if (this.polling.has(serverName)) return;
+        this.polling.add(serverName);
+        let status;
+        try {
+            const response = await pingServer({ ...(await this.address(serverName)), timeout: this.timeout });
+            status = {
+                online: true,
+                players: {
+                    online: response.players?.online ?? 0,
+                    max: response.players?.max ?? 0,
+                    sample: (response.players?.sample || []).map(p => ({ name: stripFormatting(p.name), id: p.id }))
+                },
+                motd: motdSegments(response.description),
+                version: { name: stripFormatting(response.version?.name), protocol: response.version?.protocol ?? null },
+                latency: response.latency
+            };
+        } catch (error) {
+            status = { online: false, error: error.message };
+        } finally {
+            this.polling.delete(serverName);
+        }
+        status.checkedAt = Date.now();
+        // The server may have stopped while the ping was in flight.
+        if (this.processes.getState(serverName) !== 'running') return;
+        this.statuses.set(serverName, status);
+        this.emit('status', serverName, status);
+    }
+}
+
+module.exports = { StatusPoller, pingServer, motdSegments };
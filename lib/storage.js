@@ -0,0 +1,39 @@
+const path = require('path');
+const fsp = require('fs').promises;
+
+// Panel-owned data (settings, crash logs, ...) lives here. getExistingServers()
+// skips dot-directories, so it is never mistaken for a server.
+const DATA_DIR_NAME = '.panel';
+
+async function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(await fsp.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+let tmpCounter = 0;
+
+// Write to a temporary file first so a crash mid-write never leaves a truncated file behind.
+// Each write gets its own temporary file, so concurrent writes to one file cannot collide; it
+// must not exist yet, so a link planted under that name is not written through. The rename
+// replaces a link at filePath itself rather than writing to where it points.
+async function writeFileAtomic(filePath, content, { mode } = {}) {
+    const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    try {
+        await fsp.writeFile(tmpPath, content, { flag: 'wx', mode });
+        await fsp.rename(tmpPath, filePath);
+    } catch (error) {
+        await fsp.rm(tmpPath, { force: true });
+        throw error;
+    }
+}
+
+async function writeJson(filePath, data) {
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+module.exports = { DATA_DIR_NAME, readJson, writeJson, writeFileAtomic };
@@ -0,0 +1,163 @@
+const path = require('path');
+const YAML = require('yaml');
+const TOML = require('smol-toml');
+const { propertiesErrors } = require('./serverProperties');
+
+// Config formats checked before the editor saves a file, by extension.
+const SYNTAXES = {
+    '.yml': 'yaml',
+    '.yaml': 'yaml',
+    '.json': 'json',
+    '.mcmeta': 'json',
+    '.toml': 'toml',
+    '.properties': 'properties'
+};
+
+const syntaxOf = (filePath) => SYNTAXES[path.extname(String(filePath)).toLowerCase()] || null;
+
+// 1-based line and column of a character offset.
+function positionAt(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// Parser messages end in " at line 3, column 1:" followed by an excerpt; the position is reported separately.
+const firstLine = (message) => message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '').replace(/:$/, '');
+
+function yamlErrors(text) {
+    return YAML.parseAllDocuments(text).flatMap(doc => doc.errors.map(error => ({
+        line: error.linePos?.[0].line ?? 1,
+        column: error.linePos?.[0].col ?? 1,
+        message: firstLine(error.message)
+    })));
+}
+
+// Offset of the first syntax error in JSON text; JSON.parse does not always say where it is.
+function jsonErrorOffset(text) {
+    const NUMBER = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+    let i = 0;
+    const fail = () => { throw i; };
+    const skipSpace = () => {
+        while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+    };
+    const expect = (word) => {
+        for (const char of word) {
+            if (text[i] !== char) fail();
+            i++;
+        }
+    };
+    const string = () => {
+        i++;
+        while (text[i] !== '"') {
+            if (i >= text.length || text.charCodeAt(i) < 0x20) fail();
+            if (text[i] === '\\') {
+                i++;
+                if (text[i] === 'u') {
+                    if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) fail();
+                    i += 4;
+                } else if (i >= text.length || !'"\\/bfnrt'.includes(text[i])) {
+                    fail();
+                }
+            }
+            i++;
+        }
+        i++;
+    };
+    const key = () => {
+        skipSpace();
+        if (text[i] !== '"') fail();
+        string();
+        skipSpace();
+        expect(':');
+    };
+    // A loop with its own stack rather than recursion, so deeply nested text can not overflow the call stack.
+    const value = () => {
+        const open = []; // closing brackets of the arrays and objects around the current value
+        for (;;) {
+            skipSpace();
+            const char = text[i];
+            if (char === '{' || char === '[') {
+                const close = char === '{' ? '}' : ']';
+                i++;
+                skipSpace();
+                if (text[i] !== close) {
+                    open.push(close);
+                    if (close === '}') key();
+                    continue;
+                }
+                i++;
+            } else if (char === '"') {
+                string();
+            } else if (char === 't') {
+                expect('true');
+            } else if (char === 'f') {
+                expect('false');
+            } else if (char === 'n') {
+                expect('null');
+            } else {
+                NUMBER.lastIndex = i;
+                if (!NUMBER.test(text)) fail();
+                i = NUMBER.lastIndex;
+            }
+            // The value is complete: close the arrays and objects that end here, then read the next element.
+            for (;;) {
+                if (!open.length) return;
+                skipSpace();
+                if (text[i] !== open[open.length - 1]) break;
+                i++;
+                open.pop();
+            }
+            expect(',');
+            if (open[open.length - 1] === '}') key();
+        }
+    };
+
+    try {
+        value();
+        skipSpace();
+        if (i < text.length) fail();
+        return null;
+    } catch (offset) {
+        if (typeof offset !== 'number') throw offset;
+        return offset;
+    }
+}
+
+// A blank file counts as valid, as for the player lists (see PlayerManager.readList).
+function jsonErrors(text) {
+    if (!text.trim()) return [];
+    try {
+        JSON.parse(text);
+        return [];
+    } catch (error) {
+        const message = error.message.replace(/ at position \d+.*$/s, '').replace(/ in JSON$/, '').replace(/, ".*" is not valid JSON$/s, '');
+        return [{ ...positionAt(text, jsonErrorOffset(text) ?? 0), message }];
+    }
+}
+
+function tomlErrors(text) {
+    try {
+        TOML.parse(text);
+        return [];
+    } catch (error) {
+        if (error.line === undefined) throw error;
+        return [{ line: error.line, column: error.column, message: firstLine(error.message).replace(/^Invalid TOML document: /, '') }];
+    }
+}
+
+// { syntax, errors: [{ line, column, message }] }; syntax is null (and errors empty) for other files.
+// server.properties is also checked against the known keys (see propertiesErrors).
+function checkSyntax(filePath, text) {
+    const syntax = syntaxOf(filePath);
+    const content = String(text);
+    switch (syntax) {
+        case 'yaml': return { syntax, errors: yamlErrors(content) };
+        case 'json': return { syntax, errors: jsonErrors(content) };
+        case 'toml': return { syntax, errors: tomlErrors(content) };
+        case 'properties':
+            return { syntax, errors: propertiesErrors(content, { schema: path.basename(String(filePath)) === 'server.properties' }) };
+        default: return { syntax, errors: [] };
+    }
+}
+
+module.exports = { syntaxOf, checkSyntax };
@@ -0,0 +1,102 @@
+// Line diffs for the file revision history.
+
+// Unchanged lines shown around each change.
+const CONTEXT_LINES = 3;
+// The part between the common start and end is aligned line by line (longest common
+// subsequence) up to this many line pairs; beyond that it is shown as removed and added as a whole.
+const MAX_ALIGNED_PAIRS = 4 * 1000 * 1000;
+
+function splitLines(text) {
+    const lines = String(text).split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+function alignLines(a, b) {
+    const width = b.length + 1;
+    // common[i * width + j]: length of the longest common subsequence of a[i..] and b[j..]
+    const common = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i * width + j] = a[i] === b[j]
+                ? common[(i + 1) * width + j + 1] + 1
+                : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+        }
+    }
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'same', text: a[i++] });
+            j++;
+        } else if (common[(i + 1) * width + j] >= common[i * width + j + 1]) {
+            ops.push({ type: 'remove', text: a[i++] });
+        } else {
+            ops.push({ type: 'add', text: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: 'remove', text: a[i++] });
+    while (j < b.length) ops.push({ type: 'add', text: b[j++] });
+    return ops;
+}
+
+// Every line of both texts as { type: 'same' | 'remove' | 'add', text }.
+function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const middle = middleA.length * middleB.length > MAX_ALIGNED_PAIRS
+        ? [...middleA.map(text => ({ type: 'remove', text })), ...middleB.map(text => ({ type: 'add', text }))]
+        : alignLines(middleA, middleB);
+    return [
+        ...a.slice(0, start).map(text => ({ type: 'same', text })),
+        ...middle,
+        ...a.slice(endA).map(text => ({ type: 'same', text }))
+    ];
+}
+
+// The changes grouped into hunks like a unified diff, with 1-based line numbers:
+// [{ oldStart, oldLines, newStart, newLines, lines: [{ type, text, oldLine, newLine }] }].
+function diffHunks(oldText, newText, context = CONTEXT_LINES) {
+    let oldLine = 1;
+    let newLine = 1;
+    const lines = diffLines(oldText, newText).map(op => {
+        const line = { ...op, oldLine: op.type === 'add' ? null : oldLine, newLine: op.type === 'remove' ? null : newLine, oldAt: oldLine, newAt: newLine };
+        if (op.type !== 'add') oldLine++;
+        if (op.type !== 'remove') newLine++;
+        return line;
+    });
+
+    const ranges = [];
+    lines.forEach((line, index) => {
+        if (line.type === 'same') return;
+        const from = Math.max(0, index - context);
+        const to = Math.min(lines.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to + 1) last.to = to;
+        else ranges.push({ from, to });
+    });
+
+    return ranges.map(({ from, to }) => {
+        const slice = lines.slice(from, to + 1);
+        return {
+            oldStart: slice[0].oldAt,
+            oldLines: slice.filter(l => l.type !== 'add').length,
+            newStart: slice[0].newAt,
+            newLines: slice.filter(l => l.type !== 'remove').length,
+            lines: slice.map(({ type, text, oldLine: o, newLine: n }) => ({ type, text, oldLine: o, newLine: n }))
+        };
+    });
+}
+
+module.exports = { diffLines, diffHunks };
@@ -0,0 +1,222 @@
+const path = require('path');
+const axios = require('axios');
+const { readJson, writeJson } = require('./storage');
+
+// --- API URLs ---
+const mojangVersionsUrl = 'https://launchermeta.mojang.com/mc/game/version_manifest.json';
+const paperApiUrl = 'https://api.papermc.io/v2/projects/paper';
+const purpurApiUrl = 'https://api.purpurmc.org/v2/purpur';
+const spigotApiUrl = 'https://hub.spigotmc.org/versions/';
+const forgePromotionsUrl = 'https://files.minecraftforge.net/net/minecraftforge/forge/promotions_slim.json';
+const neoForgeMetadataUrl = 'https://maven.neoforged.net/releases/net/neoforged/neoforge/maven-metadata.xml';
+const fabricMetaUrl = 'https://meta.fabricmc.net/v2/versions';
+
+const REQUEST_TIMEOUT_MS = 15000;
+// Metadata of one released Minecraft version or one build never changes once published.
+const FOREVER = Infinity;
+const TYPES = ['vanilla', 'paper', 'purpur', 'spigot', 'fabric', 'forge', 'neoforge'];
+// Types whose versions come in builds the user can pick from; Fabric's are loader versions.
+const BUILD_TYPES = ['paper', 'purpur', 'fabric'];
+
+const byVersionDesc = (a, b) => b.localeCompare(a, undefined, { numeric: true });
+const get = async (url) => (await axios.get(url, { timeout: REQUEST_TIMEOUT_MS })).data;
+
+// --- Providers ---
+// Each returns what is worth caching from one upstream response.
+const providers = {
+    vanilla: async () => (await get(mojangVersionsUrl)).versions
+        .filter(v => ['release', 'snapshot'].includes(v.type))
+        .map(({ id, type, url }) => ({ id, type, url })),
+    paper: async () => (await get(paperApiUrl)).versions.reverse(),
+    purpur: async () => (await get(purpurApiUrl)).versions.reverse(),
+    spigot: async () => {
+        const matches = [...(await get(spigotApiUrl)).matchAll(/<a href="([0-9]+\.[0-9]+(\.[0-9]+)?)">/g)];
+        return [...new Set(matches.map(m => m[1]))].sort(byVersionDesc);
+    },
+    // promos: { "1.20.1-recommended": "47.2.0", "1.20.1-latest": "47.3.0", ... }
+    forge: async () => (await get(forgePromotionsUrl)).promos,
+    neoforge: async () => [...(await get(neoForgeMetadataUrl)).matchAll(/<version>(.*?)<\/version>/g)]
+        .map(m => m[1])
+        .filter(v => !v.includes('snapshot'))
+        .sort(byVersionDesc),
+    fabric: async () => (await get(`${fabricMetaUrl}/game`)).map(({ version, stable }) => ({ version, stable }))
+};
+
+// --- Version Lists ---
+// Every list is newest first, as { value, text } with the value create-server expects.
+function vanillaVersions(versions, snapshots) {
+    return versions
+        .filter(v => snapshots || v.type === 'release')
+        .map(v => ({ value: v.id, text: v.type === 'snapshot' ? `${v.id} (snapshot)` : v.id, snapshot: v.type === 'snapshot' }));
+}
+
+function fabricVersions(versions, snapshots) {
+    return versions
+        .filter(v => snapshots || v.stable)
+        .map(v => ({ value: v.version, text: v.stable ? v.version : `${v.version} (snapshot)`, snapshot: !v.stable }));
+}
+
+// One entry per promoted build: the recommended one and, when it differs, the latest.
+function forgeVersions(promos) {
+    const byMc = new Map();
+    for (const [key, build] of Object.entries(promos)) {
+        const [mcVersion, promotion] = key.split('-');
+        if (!mcVersion || !build || !['recommended', 'latest'].includes(promotion)) continue;
+        if (!byMc.has(mcVersion)) byMc.set(mcVersion, {});
+        byMc.get(mcVersion)[promotion] = build;
+    }
+    const versions = [];
+    for (const [mcVersion, { recommended, latest }] of byMc) {
+        if (latest && latest !== recommended) {
+            versions.push({ value: `${mcVersion}-${latest}`, text: `${mcVersion} - ${latest} (latest)`, mcVersion, build: latest, promotion: 'latest' });
+        }
+        if (recommended) {
+            versions.push({ value: `${mcVersion}-${recommended}`, text: `${mcVersion} - ${recommended} (recommended)`, mcVersion, build: recommended, promotion: 'recommended' });
+        }
+    }
+    return versions.sort((a, b) => byVersionDesc(a.value, b.value));
+}
+
+function neoForgeVersions(versions) {
+    return versions.map(version => {
+        const parts = version.split('.');
+        if (parts.length < 3) return { value: version, text: version };
+        if (parseInt(parts[0]) > 1) return { value: version, text: `MC 1.${version}` };
+        return { value: version, text: `MC 1.${parts[0]}.${parts[1]} (${version})` };
+    });
+}
+
+// Which Minecraft versions, builds and loaders exist, for the create and update forms and the
+// installers. Upstream answers are cached in .panel/version-catalog/ and reused for ttlMinutes;
+// after that they are fetched again, and when that fails (offline, upstream down) the old copy
+// is served with stale: true and the error, so installs from cached downloads keep working.
+//
+// Every lookup resolves with { ..., fetchedAt, stale, error }; it only rejects when the
+// upstream can not be reached and nothing was ever cached.
+class VersionCatalog {
+    constructor(dataDir, { ttlMinutes = 60 } = {}) {
+        this.dir = path.join(dataDir, 'version-catalog');
+        this.ttlMs = ttlMinutes * 60 * 1000;
+        this.memory = new Map(); // key -> { fetchedAt, data }
+        this.pending = new Map(); // key -> promise of a fetch in progress
+    }
+
+    cacheFile(key) {
+        return path.join(this.dir, `${key.replace(/[^\w.-]/g, '_')}.json`);
+    }
+
+    async cached(key, fetch, { ttlMs = this.ttlMs, refresh = false } = {}) {
+        let entry = this.memory.get(key) || await readJson(this.cacheFile(key), null);
+        if (entry) this.memory.set(key, entry);
+        if (entry && !refresh && Date.now() - entry.fetchedAt < ttlMs) return { data: entry.data, fetchedAt: entry.fetchedAt, stale: false };
+
+        if (!this.pending.has(key)) {
+            this.pending.set(key, (async () => {
+                const fresh = { fetchedAt: Date.now(), data: await fetch() };
+                this.memory.set(key, fresh);
+                await writeJson(this.cacheFile(key), fresh);
+                return fresh;
+            })().finally(() => this.pending.delete(key)));
+        }
+        try {
+            entry = await this.pending.get(key);
+            return { data: entry.data, fetchedAt: entry.fetchedAt, stale: false };
+        } catch (error) {
+            if (!entry) throw new Error(`Could not fetch ${key}: ${error.message}`);
+            console.warn(`Could not refresh ${key}, using the copy from ${new Date(entry.fetchedAt).toISOString()}:`, error.message);
+            return { data: entry.data, fetchedAt: entry.fetchedAt, stale: true, error: error.message };
+        }
+    }
+
+    // options: snapshots (Vanilla and Fabric snapshots too), refresh (skip the TTL).
+    async versions(type, { snapshots = false, refresh = false } = {}) {
+        if (!TYPES.includes(type)) throw new Error(`Unknown server type: ${type}`);
+        const { data, ...meta } = await this.cached(type, providers[type], { refresh });
+        const list = {
+            vanilla: () => vanillaVersions(data, snapshots),
+            fabric: () => fabricVersions(data, snapshots),
+            forge: () => forgeVersions(data),
+            neoforge: () => neoForgeVersions(data)
+        }[type];
+        return { versions: list ? list() : data.map(v => ({ value: v, text: v })), ...meta };
+    }
+
+    async requireVersion(type, version) {
+        const { versions } = await this.versions(type, { snapshots: true });
+        if (!versions.some(v => v.value === version)) throw new Error(`Unknown ${type} version: ${version}`);
+    }
+
+    // Raw builds of one Paper or Purpur version, or the Fabric loaders for one game version,
+    // newest first as { build, ... }.
+    async rawBuilds(type, version, { refresh = false } = {}) {
+        if (!BUILD_TYPES.includes(type)) throw new Error(`${type} versions have no builds to choose from.`);
+        await this.requireVersion(type, version);
+        const fetchers = {
+            paper: async () => (await get(`${paperApiUrl}/versions/${version}/builds`)).builds.reverse().map(b => ({
+                build: String(b.build), channel: b.channel, name: b.downloads.application.name, sha256: b.downloads.application.sha256
+            })),
+            purpur: async () => (await get(`${purpurApiUrl}/${version}`)).builds.all.reverse().map(build => ({ build: String(build) })),
+            fabric: async () => (await get(`${fabricMetaUrl}/loader/${version}`)).map(({ loader }) => ({ build: loader.version, stable: loader.stable }))
+        };
+        return this.cached(`${type}-builds-${version}`, fetchers[type], { refresh });
+    }
+
+    // What the build select offers, as { value, text }.
+    async builds(type, version, options) {
+        const { data, ...meta } = await this.rawBuilds(type, version, options);
+        const label = (b) => {
+            if (type === 'fabric') return b.stable ? b.build : `${b.build} (beta)`;
+            return `#${b.build}${b.channel && b.channel !== 'default' ? ` (${b.channel})` : ''}`;
+        };
+        return { builds: data.map(b => ({ value: b.build, text: label(b) })), ...meta };
+    }
+
+    // One build, the newest when none is given; rejects one that does not exist.
+    async build(type, version, build) {
+        const { data } = await this.rawBuilds(type, version);
+        const chosen = build ? data.find(b => b.build === String(build)) : data[0];
+        if (!chosen) throw new Error(build ? `${type} ${version} has no build ${build}.` : `No builds for ${type} ${version} found.`);
+        return chosen;
+    }
+
+    // --- Downloads ---
+    // Where the installers get their files, with the checksums upstream publishes.
+
+    // { url, sha1 } of the Vanilla server jar.
+    async vanillaServer(version) {
+        const { versions } = await this.versions('vanilla', { snapshots: true });
+        if (!versions.some(v => v.value === version)) throw new Error(`Metadata for Vanilla ${version} not found.`);
+        const { data } = await this.cached(`vanilla-${version}`, async () => {
+            const { url } = (await this.cached('vanilla', providers.vanilla)).data.find(v => v.id === version);
+            const { downloads } = await get(url);
+            if (!downloads.server) throw new Error(`Vanilla ${version} has no server jar.`);
+            return { url: downloads.server.url, sha1: downloads.server.sha1 };
+        }, { ttlMs: FOREVER });
+        return data;
+    }
+
+    // { build, name, url, sha256 } of a Paper build, the newest when build is omitted.
+    async paperBuild(version, build) {
+        const { build: chosen, name, sha256 } = await this.build('paper', version, build);
+        return { build: chosen, name, sha256, url: `${paperApiUrl}/versions/${version}/builds/${chosen}/downloads/${name}` };
+    }
+
+    // { build, url, md5 } of a Purpur build, the newest when build is omitted.
+    async purpurBuild(version, build) {
+        const { build: chosen } = await this.build('purpur', version, build);
+        const { data } = await this.cached(`purpur-build-${version}-${chosen}`, async () => ({ md5: (await get(`${purpurApiUrl}/${version}/${chosen}`)).md5 }), { ttlMs: FOREVER });
+        return { build: chosen, md5: data.md5, url: `${purpurApiUrl}/${version}/${chosen}/download` };
+    }
+
+    // { version, url } of the newest Fabric installer.
+    async fabricInstaller() {
+        const { data } = await this.cached('fabric-installer', async () => {
+            const [latest] = await get(`${fabricMetaUrl}/installer`);
+            if (!latest?.url) throw new Error('Could not fetch Fabric installer URL.');
+            return { version: latest.version, url: latest.url };
+        });
+        return data;
+    }
+}
+
+module.exports = { VersionCatalog, BUILD_TYPES };
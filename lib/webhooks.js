@@ -0,0 +1,198 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { setTimeout: sleep } = require('timers/promises');
+const { readJson, writeJson } = require('./storage');
+
+const EVENTS = {
+    'started': { title: 'Server started', color: 0x55ff55 },
+    'stopped': { title: 'Server stopped', color: 0xaaaaaa },
+    'crashed': { title: 'Server crashed', color: 0xff5555 },
+    'backup-finished': { title: 'Backup finished', color: 0x5555ff },
+    'backup-failed': { title: 'Backup failed', color: 0xff5555 },
+    'player-joined': { title: 'Player joined', color: 0x55ffff },
+    'player-left': { title: 'Player left', color: 0xffaa00 },
+    'install-finished': { title: 'Install finished', color: 0x55ff55 },
+    'install-failed': { title: 'Install failed', color: 0xff5555 },
+    'test': { title: 'Test notification', color: 0xffff55 }
+};
+const FORMATS = ['json', 'discord'];
+const MAX_DELIVERIES = 100;
+
+function normalizeWebhook(value) {
+    const name = String(value.name || '').trim();
+    if (!name) throw new Error('A webhook needs a name.');
+    let url;
+    try {
+        url = new URL(String(value.url || '').trim());
+    } catch {
+        throw new Error('Invalid webhook URL.');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Webhook URLs must use http or https.');
+    const format = FORMATS.includes(value.format) ? value.format : 'json';
+    const events = [...new Set(value.events || [])];
+    const unknown = events.find(event => !EVENTS[event] || event === 'test');
+    if (unknown) throw new Error(`Unknown event: ${unknown}`);
+    if (!events.length) throw new Error('Choose at least one event.');
+    return { name, url: url.toString(), format, events, enabled: value.enabled !== false };
+}
+
+// Generic JSON: { event, server, time, message, data }. Discord: one embed with the data as fields.
+function buildPayload(format, serverName, event, message, data) {
+    const time = new Date().toISOString();
+    if (format !== 'discord') return { event, server: serverName, time, message, data };
+    const fields = Object.entries(data || {})
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .slice(0, 25)
+        .map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true }));
+    return {
+        embeds: [{
+            title: `${EVENTS[event].title}: ${serverName}`.slice(0, 256),
+            description: String(message).slice(0, 4096),
+            color: EVENTS[event].color,
+            timestamp: time,
+            fields
+        }]
+    };
+}
+
+// The start of an error response, so the log shows why the receiver refused.
+const describeBody = (body) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body ?? '');
+    return text.slice(0, 300);
+};
+
+// Outgoing notifications per server, stored in .panel/servers/<name>/webhooks.json.
+// A failed delivery is retried with exponential backoff (429 and 5xx responses, timeouts
+// and connection errors; other 4xx responses are final). Every delivery, with all of its
+// attempts, is kept in webhook-deliveries.json (newest 100).
+class WebhookManager extends EventEmitter {
+    constructor(settings, { retries = 3, backoffSeconds = 5, timeoutSeconds = 10 } = {}) {
+        super();
+        this.settings = settings;
+        this.retries = retries;
+        this.backoff = backoffSeconds * 1000;
+        this.timeout = timeoutSeconds * 1000;
+        this.webhooks = new Map(); // serverName -> webhooks
+        this.deliveryWrites = new Map(); // serverName -> pending write of the delivery log
+    }
+
+    webhooksFile(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'webhooks.json');
+    }
+
+    deliveriesFile(serverName) {
+        return path.join(this.settings.dirFor(serverName), 'webhook-deliveries.json');
+    }
+
+    async list(serverName) {
+        if (!this.webhooks.has(serverName)) {
+            this.webhooks.set(serverName, await readJson(this.webhooksFile(serverName), []));
+        }
+        return this.webhooks.get(serverName);
+    }
+
+    async save(serverName) {
+        await writeJson(this.webhooksFile(serverName), this.webhooks.get(serverName));
+    }
+
+    async create(serverName, value) {
+        const webhooks = await this.list(serverName);
+        const webhook = { id: crypto.randomUUID(), ...normalizeWebhook(value), createdAt: Date.now() };
+        webhooks.push(webhook);
+        await this.save(serverName);
+        return webhook;
+    }
+
+    async update(serverName, id, value) {
+        const webhook = (await this.list(serverName)).find(w => w.id === id);
+        if (!webhook) throw new Error('Webhook not found.');
+        Object.assign(webhook, normalizeWebhook(value));
+        await this.save(serverName);
+        return webhook;
+    }
+
+    async remove(serverName, id) {
+        const webhooks = await this.list(serverName);
+        const index = webhooks.findIndex(w => w.id === id);
+        if (index === -1) throw new Error('Webhook not found.');
+        webhooks.splice(index, 1);
+        await this.save(serverName);
+    }
+
+    // Forgets a deleted server; its files go with the server's panel directory.
+    removeServer(serverName) {
+        this.webhooks.delete(serverName);
+    }
+
+    async listDeliveries(serverName) {
+        return readJson(this.deliveriesFile(serverName), []);
+    }
+
+    // Writes are chained per server so deliveries finishing together do not overwrite each other.
+    recordDelivery(serverName, delivery) {
+        const write = (this.deliveryWrites.get(serverName) || Promise.resolve()).catch(() => {}).then(async () => {
+            const deliveries = await this.listDeliveries(serverName);
+            deliveries.unshift(delivery);
+            await writeJson(this.deliveriesFile(serverName), deliveries.slice(0, MAX_DELIVERIES));
+        });
+        this.deliveryWrites.set(serverName, write);
+        return write;
+    }
+
+    // Sends the event to every enabled webhook of the server that subscribed to it. Does not wait for delivery.
+    notify(serverName, event, message, data = {}) {
+        this.list(serverName).then(webhooks => {
+            for (const webhook of webhooks) {
+                if (!webhook.enabled || !webhook.events.includes(event)) continue;
+                this.deliver(serverName, webhook, event, message, data).catch(error => {
+                    console.error(`Webhook '${webhook.name}' of '${serverName}' could not be delivered:`, error.message);
+                });
+            }
+        }).catch(error => console.error(`Could not read the webhooks of '${serverName}':`, error.message));
+    }
+
+    async test(serverName, id) {
+        const webhook = (await this.list(serverName)).find(w => w.id === id);
+        if (!webhook) throw new Error('Webhook not found.');
+        return this.deliver(serverName, webhook, 'test', `Test notification from the panel for '${serverName}'.`, {}, { retries: 0 });
+    }
+
+    // Resolves with the recorded delivery once it succeeded or ran out of attempts.
+    async deliver(serverName, webhook, event, message, data, { retries = this.retries } = {}) {
+        const payload = buildPayload(webhook.format, serverName, event, message, data);
+        const delivery = { id: crypto.randomUUID(), webhookId: webhook.id, webhookName: webhook.name, event, message, time: Date.now(), status: 'failed', attempts: [] };
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const started = Date.now();
+            let retryAfter = null;
+            let final = false;
+            try {
+                const response = await axios.post(webhook.url, payload, {
+                    timeout: this.timeout,
+                    maxRedirects: 0,
+                    validateStatus: () => true,
+                    headers: { 'User-Agent': 'minecraft-panel-webhooks' }
+                });
+                const ok = response.status >= 200 && response.status < 300;
+                delivery.attempts.push({ time: started, durationMs: Date.now() - started, statusCode: response.status, error: ok ? null : describeBody(response.data) });
+                if (ok) {
+                    delivery.status = 'succeeded';
+                    break;
+                }
+                // Discord answers 429 with retry_after (seconds) in the body and Retry-After as a header.
+                if (response.status === 429) retryAfter = Number(response.data?.retry_after ?? response.headers['retry-after']) * 1000 || null;
+                final = response.status < 500 && response.status !== 429 && response.status !== 408;
+            } catch (error) {
+                delivery.attempts.push({ time: started, durationMs: Date.now() - started, statusCode: null, error: error.message });
+            }
+            if (final || attempt === retries) break;
+            await sleep(retryAfter ?? this.backoff * 2 ** attempt);
+        }
+        await this.recordDelivery(serverName, delivery);
+        this.emit('delivery', serverName, delivery);
+        return delivery;
+    }
+}
+
+module.exports = { WebhookManager, normalizeWebhook, buildPayload, EVENTS };
@@ -0,0 +1,50 @@
+document.addEventListener('DOMContentLoaded', async () => {
+    const loginForm = document.getElementById('login-form');
+    const loginIntro = document.getElementById('login-intro');
+    const usernameInput = document.getElementById('login-username');
+    const passwordInput = document.getElementById('login-password');
+    const confirmGroup = document.getElementById('login-confirm-group');
+    const confirmInput = document.getElementById('login-confirm');
+    const loginError = document.getElementById('login-error');
+    const loginSubmit = document.getElementById('login-submit');
+
+    const postJson = async (url, body) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+        return data;
+    };
+
+    // On first run there are no accounts yet, so the form creates the admin account instead.
+    const { setupRequired, user } = await fetch('/api/session').then(r => r.json());
+    if (user) return window.location.replace('/');
+    if (setupRequired) {
+        loginIntro.textContent = 'No accounts exist yet. Create the admin account.';
+        confirmGroup.hidden = false;
+        confirmInput.required = true;
+        passwordInput.autocomplete = 'new-password';
+        loginSubmit.innerHTML = '<i class="fas fa-user-shield"></i> Create admin account';
+    }
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginError.textContent = '';
+        const username = usernameInput.value.trim();
+        const password = passwordInput.value;
+        try {
+            if (setupRequired) {
+                if (password !== confirmInput.value) throw new Error('Passwords do not match.');
+                await postJson('/api/setup', { username, password });
+            } else {
+                await postJson('/api/login', { username, password });
+            }
+            window.location.replace('/');
+        } catch (error) {
+            loginError.textContent = error.message;
+        }
+    });
+});
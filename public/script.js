@@ -17,8 +17,25 @@ document.addEventListener('DOMContentLoaded', () => {
     const serverNameInput = document.getElementById('server-name');
     const serverTypeSelect = document.getElementById('server-type');
     const versionNameSelect = document.getElementById('version-name');
+    const refreshVersionsBtn = document.getElementById('refresh-versions-btn');
+    const snapshotsLabel = document.getElementById('snapshots-label');
+    const includeSnapshotsInput = document.getElementById('include-snapshots');
+    const versionCatalogNote = document.getElementById('version-catalog-note');
+    const buildGroup = document.getElementById('build-group');
+    const buildLabel = document.getElementById('build-label');
+    const buildNameSelect = document.getElementById('build-name');
     const ramAmountInput = document.getElementById('ram-amount');
+    const tunnelEnabledInput = document.getElementById('tunnel-enabled');
+    const aikarFlagsInput = document.getElementById('aikar-flags');
     const creationOutput = document.getElementById('creation-output');
+    const installJobProgress = document.getElementById('install-job-progress');
+    const installJobTitle = document.getElementById('install-job-title');
+    const installJobStatus = document.getElementById('install-job-status');
+    const installJobBar = document.getElementById('install-job-bar');
+    const installJobSteps = document.getElementById('install-job-steps');
+    const installJobDownload = document.getElementById('install-job-download');
+    const cancelInstallBtn = document.getElementById('cancel-install-btn');
+    const installJobList = document.getElementById('install-job-list');
     
     // File Manager Elements
     const fileBreadcrumbs = document.getElementById('file-breadcrumbs');
@@ -26,12 +43,175 @@ document.addEventListener('DOMContentLoaded', () => {
     const fileEditor = document.getElementById('file-editor');
     const editorInfo = document.getElementById('editor-info');
     const saveFileBtn = document.getElementById('save-file-btn');
+    const fileSelectAll = document.getElementById('file-select-all');
+    const newFileBtn = document.getElementById('new-file-btn');
+    const newFolderBtn = document.getElementById('new-folder-btn');
+    const uploadBtn = document.getElementById('upload-btn');
+    const uploadInput = document.getElementById('upload-input');
+    const downloadBtn = document.getElementById('download-btn');
+    const copyBtn = document.getElementById('copy-btn');
+    const moveBtn = document.getElementById('move-btn');
+    const compressBtn = document.getElementById('compress-btn');
+    const extractBtn = document.getElementById('extract-btn');
+    const deleteSelectedBtn = document.getElementById('delete-selected-btn');
+    const fileStatus = document.getElementById('file-status');
+    const editorConflict = document.getElementById('editor-conflict');
+    const conflictReloadBtn = document.getElementById('conflict-reload-btn');
+    const conflictOverwriteBtn = document.getElementById('conflict-overwrite-btn');
+    const historyBtn = document.getElementById('history-btn');
+    const revisionPanel = document.getElementById('revision-panel');
+    const revisionList = document.getElementById('revision-list');
+    const revisionDiff = document.getElementById('revision-diff');
+    const diffFrom = document.getElementById('diff-from');
+    const diffTo = document.getElementById('diff-to');
+    const diffBtn = document.getElementById('diff-btn');
+    const editorSyntax = document.getElementById('editor-syntax');
+    const editorSyntaxSummary = document.getElementById('editor-syntax-summary');
+    const editorSyntaxErrors = document.getElementById('editor-syntax-errors');
+    const saveAnywayBtn = document.getElementById('save-anyway-btn');
+    const findBtn = document.getElementById('find-btn');
+    const replaceBtn = document.getElementById('replace-btn');
+    const gotoLineBtn = document.getElementById('goto-line-btn');
+
+    // Launch Settings Elements
+    const launchSummary = document.getElementById('launch-summary');
+    const launchSettingsForm = document.getElementById('launch-settings-form');
+    const launchMinMemory = document.getElementById('launch-min-memory');
+    const launchMaxMemory = document.getElementById('launch-max-memory');
+    const launchJdk = document.getElementById('launch-jdk');
+    const launchTunnel = document.getElementById('launch-tunnel');
+    const launchJvmArgs = document.getElementById('launch-jvm-args');
+    const aikarPresetBtn = document.getElementById('aikar-preset-btn');
+    const launchStatus = document.getElementById('launch-status');
+    const updateForm = document.getElementById('update-form');
+    const updateTarget = document.getElementById('update-target');
+    const updateCheckBtn = document.getElementById('update-check-btn');
+    const updateWarning = document.getElementById('update-warning');
+    const updateStatus = document.getElementById('update-status');
+    const updateProgress = document.getElementById('update-progress');
+    const updateJobTitle = document.getElementById('update-job-title');
+    const updateJobStatus = document.getElementById('update-job-status');
+    const updateJobSteps = document.getElementById('update-job-steps');
+    const updateJobDownload = document.getElementById('update-job-download');
+    const cancelUpdateBtn = document.getElementById('cancel-update-btn');
+    const updateOutput = document.getElementById('update-output');
+
+    // Auto-Restart & Crash History Elements
+    const autoRestartForm = document.getElementById('auto-restart-form');
+    const autoRestartEnabled = document.getElementById('auto-restart-enabled');
+    const autoRestartAttempts = document.getElementById('auto-restart-attempts');
+    const autoRestartWindow = document.getElementById('auto-restart-window');
+    const autoRestartBackoff = document.getElementById('auto-restart-backoff');
+    const autoRestartMaxBackoff = document.getElementById('auto-restart-max-backoff');
+    const crashList = document.getElementById('crash-list');
+    const crashDetails = document.getElementById('crash-details');
+
+    // Backup Elements
+    const backupsServerName = document.getElementById('backups-server-name');
+    const createBackupBtn = document.getElementById('create-backup-btn');
+    const backupStatus = document.getElementById('backup-status');
+    const backupList = document.getElementById('backup-list');
+    const backupSettingsForm = document.getElementById('backup-settings-form');
+    const backupInclude = document.getElementById('backup-include');
+    const backupExclude = document.getElementById('backup-exclude');
+    const backupKeepLast = document.getElementById('backup-keep-last');
+    const backupKeepDaily = document.getElementById('backup-keep-daily');
+    const backupKeepWeekly = document.getElementById('backup-keep-weekly');
+    const backupAutoEnabled = document.getElementById('backup-auto-enabled');
+    const backupAutoInterval = document.getElementById('backup-auto-interval');
+
+    // Server Properties Elements
+    const propertiesServerName = document.getElementById('properties-server-name');
+    const propertiesStatus = document.getElementById('properties-status');
+    const propertiesForm = document.getElementById('properties-form');
+    const propertiesFields = document.getElementById('properties-fields');
+    const savePropertiesBtn = document.getElementById('save-properties-btn');
+
+    // Log Elements
+    const logsServerName = document.getElementById('logs-server-name');
+    const logFilterForm = document.getElementById('log-filter-form');
+    const logFile = document.getElementById('log-file');
+    const logType = document.getElementById('log-type');
+    const logFrom = document.getElementById('log-from');
+    const logTo = document.getElementById('log-to');
+    const logPlayer = document.getElementById('log-player');
+    const logText = document.getElementById('log-text');
+    const logLevels = document.getElementById('log-levels');
+    const logDownload = document.getElementById('log-download');
+    const logsStatus = document.getElementById('logs-status');
+    const logResults = document.getElementById('log-results');
+
+    // Resource Elements
+    const resourcesServerName = document.getElementById('resources-server-name');
+    const resourcesRange = document.getElementById('resources-range');
+    const resourceWarnings = document.getElementById('resource-warnings');
+    const resourceSummary = document.getElementById('resource-summary');
+
+    // Player Elements
+    const playersSection = document.getElementById('players');
+    const playersServerName = document.getElementById('players-server-name');
+    const playersStatus = document.getElementById('players-status');
+
+    // Scheduled Task Elements
+    const schedulesServerName = document.getElementById('schedules-server-name');
+    const scheduleList = document.getElementById('schedule-list');
+    const scheduleForm = document.getElementById('schedule-form');
+    const scheduleFormTitle = document.getElementById('schedule-form-title');
+    const scheduleName = document.getElementById('schedule-name');
+    const scheduleCron = document.getElementById('schedule-cron');
+    const scheduleEnabled = document.getElementById('schedule-enabled');
+    const scheduleActions = document.getElementById('schedule-actions');
+    const addScheduleActionBtn = document.getElementById('add-schedule-action-btn');
+    const cancelScheduleBtn = document.getElementById('cancel-schedule-btn');
+    const scheduleRunList = document.getElementById('schedule-run-list');
+
+    // Notification Elements
+    const webhooksServerName = document.getElementById('webhooks-server-name');
+    const webhooksStatus = document.getElementById('webhooks-status');
+    const webhookList = document.getElementById('webhook-list');
+    const webhookForm = document.getElementById('webhook-form');
+    const webhookFormTitle = document.getElementById('webhook-form-title');
+    const webhookName = document.getElementById('webhook-name');
+    const webhookUrl = document.getElementById('webhook-url');
+    const webhookFormat = document.getElementById('webhook-format');
+    const webhookEvents = document.getElementById('webhook-events');
+    const webhookEnabled = document.getElementById('webhook-enabled');
+    const cancelWebhookBtn = document.getElementById('cancel-webhook-btn');
+    const webhookDeliveryList = document.getElementById('webhook-delivery-list');
+
+    // Account & User Management Elements
+    const accountName = document.getElementById('account-name');
+    const accountRole = document.getElementById('account-role');
+    const logoutBtn = document.getElementById('logout-btn');
+    const changePasswordBtn = document.getElementById('change-password-btn');
+    const createUserForm = document.getElementById('create-user-form');
+    const newUserName = document.getElementById('new-user-name');
+    const newUserPassword = document.getElementById('new-user-password');
+    const newUserRole = document.getElementById('new-user-role');
+    const userList = document.getElementById('user-list');
 
     // --- State ---
-    let activeServer = null;
+    let serverStates = {}; // serverName -> installing | starting | running | stopping | stopped | crashed
+    let serverPermissions = {}; // serverName -> permissions the logged-in user has on it
+    let serverLiveStatus = {}; // serverName -> latest Server List Ping result, null when not running
+    let session = { username: null, role: null, permissions: [] };
     let selectedFile = null;
+    let editorHash = null; // version of selectedFile the editor loaded
+    let editorMaxBytes = Infinity; // larger saves are refused by the server (and would not fit in one message)
+    let ignoreSyntaxErrors = false; // set by "Save anyway" until the save went through
     let currentPath = []; // For file manager
-    let selectedServerForFiles = null;
+    let selectedServer = null;
+    let schedules = []; // schedules of the selected server
+    let loadedProperties = {}; // key -> value as shown when the form was filled
+    let editingScheduleId = null;
+    let webhooks = []; // webhooks of the selected server
+    let editingWebhookId = null;
+    let resourceSamples = []; // chart samples of the selected server for the chosen range
+    let resourceCurrent = null; // latest values, -Xmx, disk usage and warnings of the selected server
+    let installJobs = []; // newest first
+    let watchedJobId = null; // install job whose log is shown under the creation form
+    let updateTargets = []; // versions the selected server can move to
+    let watchedUpdateId = null; // update job of the selected server whose log is shown
 
     // --- Helper Functions ---
     const showSection = (sectionId) => {
@@ -39,49 +219,187 @@ document.addEventListener('DOMContentLoaded', () => {
         navItems.forEach(item => item.classList.remove('active'));
         document.getElementById(sectionId)?.classList.add('active');
         document.querySelector(`.nav-item[data-section='${sectionId}']`)?.classList.add('active');
+        // CodeMirror can not measure itself while its section is hidden.
+        if (sectionId === 'files') codeEditor?.refresh();
     };
 
+    // Long sessions would otherwise grow the page without limit; old output is cut at a line break.
+    const MAX_TERMINAL_CHARS = 200000;
+    const TRIMMED_TERMINAL_CHARS = 150000;
+
     const logToTerminal = (message) => {
-        terminalOutput.textContent += message;
-        terminalOutput.scrollTop = terminalOutput.scrollHeight;
+        const atBottom = terminalOutput.scrollHeight - terminalOutput.scrollTop - terminalOutput.clientHeight < 30;
+        let text = terminalOutput.textContent + message;
+        if (text.length > MAX_TERMINAL_CHARS) {
+            text = text.slice(-TRIMMED_TERMINAL_CHARS);
+            text = text.slice(text.indexOf('\n') + 1);
+        }
+        terminalOutput.textContent = text;
+        if (atBottom) terminalOutput.scrollTop = terminalOutput.scrollHeight;
     };
     
+    // For user-entered text (schedule names, commands) placed into innerHTML.
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
     const logToCreation = (message) => {
         creationOutput.textContent += message;
         creationOutput.scrollTop = creationOutput.scrollHeight;
     };
 
-    const updateServerStatus = (runningServer) => {
-        activeServer = runningServer;
+    const stateLabels = {
+        installing: 'Installing',
+        starting: 'Starting',
+        running: 'Running',
+        stopping: 'Stopping',
+        stopped: 'Stopped',
+        crashed: 'Crashed',
+        'crash-looping': 'Crash loop'
+    };
+    const stateOf = (serverName) => serverStates[serverName] || 'stopped';
+
+    // MOTD segments come from the panel already split by color and format; only the text is user content.
+    const renderMotd = (segments) => segments.map(segment => {
+        const styles = [];
+        if (segment.color) styles.push(`color: ${segment.color}`);
+        if (segment.bold) styles.push('font-weight: bold');
+        if (segment.italic) styles.push('font-style: italic');
+        const decorations = [segment.underlined && 'underline', segment.strikethrough && 'line-through'].filter(Boolean);
+        if (decorations.length) styles.push(`text-decoration: ${decorations.join(' ')}`);
+        const className = segment.obfuscated ? ' class="motd-obfuscated"' : '';
+        return `<span${className} style="${styles.join('; ')}">${escapeHtml(segment.text)}</span>`;
+    }).join('');
+
+    const renderLiveStatus = (serverName) => {
+        const container = document.querySelector(`.server-card[data-server-name="${serverName}"] .server-live`);
+        if (!container) return;
+        const status = serverLiveStatus[serverName];
+        container.hidden = !status;
+        if (!status) return;
+        if (!status.online) {
+            container.innerHTML = `<div class="server-live-error">Not answering status pings: ${escapeHtml(status.error)}</div>`;
+            return;
+        }
+        const { players, version, latency } = status;
+        const sample = players.sample.map(p => escapeHtml(p.name)).join(', ');
+        const more = players.online > players.sample.length ? ` and ${players.online - players.sample.length} more` : '';
+        container.innerHTML = `
+            <div class="server-motd">${renderMotd(status.motd)}</div>
+            <div class="server-live-info">
+                <span><i class="fas fa-users"></i> ${players.online}/${players.max}</span>
+                <span title="Protocol ${escapeHtml(version.protocol)}"><i class="fas fa-code-branch"></i> ${escapeHtml(version.name)} (${escapeHtml(version.protocol)})</span>
+                ${latency !== null ? `<span><i class="fas fa-signal"></i> ${latency} ms</span>` : ''}
+            </div>
+            ${sample ? `<div class="server-players">${sample}${more}</div>` : ''}
+        `;
+    };
+    const can = (permission, serverName = selectedServer) => (serverPermissions[serverName] || []).includes(permission);
+    const roleOptions = ['none', 'viewer', 'operator', 'admin'];
+
+    // Hides or disables everything the current user is not allowed to use on the selected server.
+    const applyPermissions = () => {
+        navItems.forEach(item => {
+            const permission = item.dataset.permission;
+            item.hidden = !!permission && !session.permissions.includes(permission);
+        });
+        terminalInput.disabled = !can('console.command');
+        sendCommandBtn.disabled = !can('console.command');
+        autoRestartForm.querySelectorAll('input, button').forEach(el => { el.disabled = !can('server.settings'); });
+        launchSettingsForm.querySelectorAll('input, select, textarea, button').forEach(el => { el.disabled = !can('server.settings'); });
+        updateForm.closest('.panel-box').hidden = !can('server.settings');
+        createBackupBtn.disabled = !can('backups.create');
+        backupSettingsForm.hidden = !can('backups.manage');
+        scheduleForm.closest('.panel-box').hidden = !can('schedules.manage');
+        playersSection.querySelectorAll('.player-form').forEach(form => { form.hidden = !can('players.manage'); });
+        if (!can('files.write')) saveFileBtn.disabled = true;
+        updateFileToolbar();
+        document.querySelectorAll('.server-card').forEach(card => {
+            const name = card.dataset.serverName;
+            card.querySelector('.btn-manage-files').hidden = !can('files.read', name);
+            card.querySelector('.btn-delete-server').hidden = !can('server.delete', name);
+        });
+    };
+
+    const updateServerStatus = () => {
         document.querySelectorAll('.server-status-light').forEach(light => {
-            light.classList.remove('running');
-            light.classList.add('stopped');
+            const state = stateOf(light.dataset.serverName);
+            light.className = `server-status-light ${state}`;
+            light.nextElementSibling.textContent = stateLabels[state];
         });
 
-        if (activeServer) {
-            const statusDisplay = document.getElementById(`status-${runningServer}`);
-            if(statusDisplay) {
-                statusDisplay.classList.remove('stopped');
-                statusDisplay.classList.add('running');
+        const state = stateOf(selectedServer);
+        const hasProcess = ['starting', 'running', 'stopping'].includes(state);
+        serverStatusIndicator.className = `status-indicator ${state}`;
+        serverStatusText.textContent = selectedServer ? `${stateLabels[state]} (${selectedServer})` : 'No server selected';
+        const canControl = can('server.control');
+        startBtn.disabled = !canControl || !selectedServer || hasProcess || state === 'installing';
+        // A crashed server may have an auto-restart pending, which Stop cancels.
+        stopBtn.disabled = !canControl || (!hasProcess && state !== 'crashed');
+        restartBtn.disabled = !canControl || !hasProcess || state === 'stopping';
+        applyPermissions();
+    };
+
+    // Only the selected server's console is streamed to this client.
+    const selectServer = (serverName) => {
+        if (serverName === selectedServer) return;
+        selectedServer = serverName;
+        terminalOutput.textContent = '';
+        crashList.innerHTML = '';
+        crashDetails.hidden = true;
+        backupList.innerHTML = '';
+        backupStatus.textContent = '';
+        launchSummary.textContent = '';
+        launchStatus.textContent = '';
+        updateTargets = [];
+        updateTarget.innerHTML = '<option value="">Check for updates first</option>';
+        updateWarning.hidden = true;
+        updateStatus.textContent = '';
+        watchedUpdateId = null;
+        updateOutput.textContent = '';
+        renderUpdateProgress();
+        backupsServerName.textContent = serverName ? `(${serverName})` : '';
+        schedulesServerName.textContent = serverName ? `(${serverName})` : '';
+        propertiesServerName.textContent = serverName ? `(${serverName})` : '';
+        playersServerName.textContent = serverName ? `(${serverName})` : '';
+        resourcesServerName.textContent = serverName ? `(${serverName})` : '';
+        logsServerName.textContent = serverName ? `(${serverName})` : '';
+        logFile.innerHTML = '';
+        logResults.innerHTML = '';
+        logsStatus.textContent = '';
+        webhooksServerName.textContent = serverName ? `(${serverName})` : '';
+        webhooksStatus.textContent = '';
+        webhookList.innerHTML = '';
+        webhookDeliveryList.innerHTML = '';
+        resetWebhookForm();
+        resourceSamples = [];
+        resourceCurrent = null;
+        renderResources();
+        playersStatus.textContent = '';
+        playersSection.querySelectorAll('.player-list').forEach(list => { list.innerHTML = ''; });
+        propertiesFields.innerHTML = '';
+        propertiesStatus.textContent = '';
+        scheduleList.innerHTML = '';
+        scheduleRunList.innerHTML = '';
+        resetScheduleForm();
+        socket.emit('join-console', { serverName });
+        if (serverName) {
+            socket.emit('get-server-settings', { serverName });
+            socket.emit('get-launch-settings', { serverName });
+            watchActiveUpdate();
+            socket.emit('get-crash-history', { serverName });
+            if (can('backups.create', serverName)) socket.emit('list-backups', { serverName });
+            if (can('schedules.view', serverName)) {
+                socket.emit('list-schedules', { serverName });
+                socket.emit('get-schedule-runs', { serverName });
             }
-            serverStatusIndicator.className = 'status-indicator running';
-            serverStatusText.textContent = `Running (${activeServer})`;
-            stopBtn.disabled = false;
-            restartBtn.disabled = false;
-        } else {
-            serverStatusIndicator.className = 'status-indicator stopped';
-            serverStatusText.textContent = 'Stopped';
-            stopBtn.disabled = true;
-            restartBtn.disabled = true;
         }
-        
-        const anyServerSelected = !!selectedServerForFiles;
-        startBtn.disabled = !anyServerSelected || !!activeServer;
+        document.querySelectorAll('.server-card').forEach(c => {
+            c.classList.toggle('selected', c.dataset.serverName === serverName);
+        });
     };
     
     const refreshFileList = () => {
-        if (selectedServerForFiles) {
-             socket.emit('list-files', { serverName: selectedServerForFiles, subDir: currentPath.join('/') });
+        if (selectedServer) {
+             socket.emit('list-files', { serverName: selectedServer, subDir: currentPath.join('/') });
         }
     };
 
@@ -91,7 +409,30 @@ document.addEventListener('DOMContentLoaded', () => {
             e.preventDefault();
             const sectionId = e.currentTarget.dataset.section;
             showSection(sectionId);
-            if (sectionId === 'files' && selectedServerForFiles) {
+            if (sectionId === 'users') socket.emit('list-users');
+            if (sectionId === 'backups' && selectedServer && can('backups.create')) {
+                socket.emit('list-backups', { serverName: selectedServer });
+            }
+            if (sectionId === 'properties' && selectedServer && can('files.read')) {
+                socket.emit('get-server-properties', { serverName: selectedServer });
+            }
+            if (sectionId === 'players' && selectedServer && can('players.view')) {
+                socket.emit('get-player-lists', { serverName: selectedServer });
+            }
+            if (sectionId === 'schedules' && selectedServer && can('schedules.view')) {
+                socket.emit('list-schedules', { serverName: selectedServer });
+                socket.emit('get-schedule-runs', { serverName: selectedServer });
+            }
+            if (sectionId === 'resources') requestResourceHistory();
+            if (sectionId === 'logs' && selectedServer) {
+                if (can('files.read')) socket.emit('list-log-files', { serverName: selectedServer });
+                else logsStatus.textContent = 'You do not have access to this server\'s logs.';
+            }
+            if (sectionId === 'webhooks' && selectedServer) {
+                if (can('server.settings')) socket.emit('list-webhooks', { serverName: selectedServer });
+                else webhooksStatus.textContent = 'Only admins can see and change notifications.';
+            }
+            if (sectionId === 'files' && selectedServer) {
                 currentPath = [];
                 refreshFileList();
             }
@@ -100,17 +441,607 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Server Management ---
     startBtn.addEventListener('click', () => {
-        if (selectedServerForFiles) socket.emit('start-script', { serverDir: selectedServerForFiles });
+        if (selectedServer) socket.emit('start-script', { serverName: selectedServer });
+    });
+
+    stopBtn.addEventListener('click', () => socket.emit('stop-script', { serverName: selectedServer }));
+    restartBtn.addEventListener('click', () => socket.emit('restart-script', { serverName: selectedServer }));
+
+    // --- Auto-Restart & Crash History ---
+    autoRestartForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!selectedServer) return;
+        socket.emit('update-auto-restart', {
+            serverName: selectedServer,
+            autoRestart: {
+                enabled: autoRestartEnabled.checked,
+                maxAttempts: autoRestartAttempts.value,
+                windowSeconds: autoRestartWindow.value,
+                backoffSeconds: autoRestartBackoff.value,
+                maxBackoffSeconds: autoRestartMaxBackoff.value
+            }
+        });
+    });
+
+    // --- Launch Settings ---
+    let aikarFlags = [];
+    const TUNNEL_LABELS = { playit: 'playit.gg', none: 'None' };
+
+    launchSettingsForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!selectedServer) return;
+        socket.emit('update-launch-settings', {
+            serverName: selectedServer,
+            changes: {
+                memory: { minMb: Number(launchMinMemory.value), maxMb: Number(launchMaxMemory.value) },
+                jdk: launchJdk.value,
+                tunnel: launchTunnel.value,
+                jvmArgs: launchJvmArgs.value
+            }
+        });
+    });
+
+    aikarPresetBtn.addEventListener('click', () => {
+        launchJvmArgs.value = aikarFlags.join('\n');
     });
 
-    stopBtn.addEventListener('click', () => socket.emit('stop-script'));
-    restartBtn.addEventListener('click', () => socket.emit('restart-script'));
+    // --- Server Updates ---
+    const UPDATE_GROUPS = { upgrade: 'Newer', downgrade: 'Older (downgrade)', unknown: 'Not comparable' };
+    const UPDATE_WARNINGS = {
+        downgrade: 'This is a downgrade. Minecraft does not support loading worlds in an older version: chunks, blocks and items added since may be lost or the world may not load at all. A backup is taken first; test the server before letting players back on.',
+        unknown: 'This version could not be compared with the current one. If it is older, the world may not load or may lose data. A backup is taken first.'
+    };
+
+    const selectedUpdateTarget = () => updateTargets.find(t => t.value === updateTarget.value);
+
+    const renderUpdateWarning = () => {
+        const target = selectedUpdateTarget();
+        const warning = target && UPDATE_WARNINGS[target.direction];
+        updateWarning.hidden = !warning;
+        updateWarning.textContent = warning || '';
+    };
+
+    const renderUpdateProgress = () => {
+        const job = installJobs.find(j => j.id === watchedUpdateId);
+        updateProgress.hidden = !job;
+        if (!job) return;
+        updateJobTitle.textContent = describeJob(job);
+        updateJobStatus.className = `run-status ${job.status}`;
+        updateJobStatus.textContent = job.status;
+        updateJobSteps.innerHTML = job.steps.map(step => `<li class="${step.status}">${escapeHtml(step.name)}</li>`).join('');
+        if (job.status !== 'running') updateJobDownload.textContent = '';
+        cancelUpdateBtn.hidden = !ACTIVE_JOB_STATUSES.includes(job.status);
+    };
+
+    // Shows an update of the selected server that is queued or running, e.g. one started in another tab.
+    const watchActiveUpdate = () => {
+        const active = installJobs.find(job => job.kind === 'update' && job.serverName === selectedServer && ACTIVE_JOB_STATUSES.includes(job.status));
+        if (active && active.id !== watchedUpdateId) socket.emit('watch-install-job', { id: active.id });
+    };
+
+    updateCheckBtn.addEventListener('click', () => {
+        if (!selectedServer) return;
+        updateStatus.textContent = 'Checking for updates...';
+        updateStatus.classList.remove('error');
+        socket.emit('list-update-targets', { serverName: selectedServer });
+    });
+
+    updateTarget.addEventListener('change', renderUpdateWarning);
+
+    updateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const target = selectedUpdateTarget();
+        if (!selectedServer || !target) return;
+        const downgrade = target.direction !== 'upgrade';
+        const question = downgrade
+            ? `Move '${selectedServer}' to ${target.text}?\n\n${UPDATE_WARNINGS[target.direction]}`
+            : `Update '${selectedServer}' to ${target.text}? The server must be stopped; a backup is taken first.`;
+        if (!confirm(question)) return;
+        socket.emit('update-server', { serverName: selectedServer, versionName: target.value, allowDowngrade: downgrade });
+    });
+
+    cancelUpdateBtn.addEventListener('click', () => {
+        const job = installJobs.find(j => j.id === watchedUpdateId);
+        if (job && confirm(`Cancel updating '${job.serverName}'? Its files may be left half updated; the pre-update backup can restore them.`)) {
+            socket.emit('cancel-install-job', { id: job.id });
+        }
+    });
+
+    crashList.addEventListener('click', (e) => {
+        const item = e.target.closest('.crash-item');
+        if (item) socket.emit('get-crash-details', { serverName: selectedServer, id: item.dataset.id });
+    });
+
+    // --- Backups ---
+    const formatSize = (bytes) => {
+        if (bytes >= 1073741824) return `${(bytes / 1073741824).toFixed(2)} GB`;
+        if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+        return `${Math.ceil(bytes / 1024)} KB`;
+    };
+
+    createBackupBtn.addEventListener('click', () => {
+        if (selectedServer) socket.emit('create-backup', { serverName: selectedServer });
+    });
+
+    backupList.addEventListener('click', (e) => {
+        const item = e.target.closest('.backup-item');
+        if (!item) return;
+        const file = item.dataset.file;
+        if (e.target.closest('.btn-restore-backup')) {
+            if (confirm(`Restore '${file}'? Current files are replaced; a safety backup is taken first.`)) {
+                socket.emit('restore-backup', { serverName: selectedServer, file });
+            }
+        } else if (e.target.closest('.btn-delete-backup')) {
+            if (confirm(`Delete the backup '${file}'?`)) socket.emit('delete-backup', { serverName: selectedServer, file });
+        }
+    });
+
+    backupSettingsForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!selectedServer) return;
+        socket.emit('update-backup-settings', {
+            serverName: selectedServer,
+            backups: {
+                include: backupInclude.value,
+                exclude: backupExclude.value,
+                retention: {
+                    keepLast: backupKeepLast.value,
+                    keepDaily: backupKeepDaily.value,
+                    keepWeekly: backupKeepWeekly.value
+                },
+                auto: { enabled: backupAutoEnabled.checked, intervalHours: backupAutoInterval.value }
+            }
+        });
+    });
+
+    // --- Resources ---
+    const RANGE_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+    const requestResourceHistory = () => {
+        if (selectedServer) socket.emit('get-resource-history', { serverName: selectedServer, range: resourcesRange.value });
+    };
+
+    // A line chart as inline SVG. Missing values (server stopped, no TPS) break the line.
+    const renderChart = (container, values, { max, limit, format }) => {
+        const now = Date.now();
+        const range = RANGE_MS[resourcesRange.value];
+        const top = Math.max(max || 0, ...values.map(v => v.value ?? 0)) || 1;
+        const lines = [];
+        let points = [];
+        values.forEach(({ time, value }) => {
+            if (value === null || value === undefined) {
+                if (points.length) lines.push(points);
+                points = [];
+                return;
+            }
+            const x = ((time - (now - range)) / range) * 1000;
+            const y = 100 - (value / top) * 100;
+            points.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+        });
+        if (points.length) lines.push(points);
+        const limitY = limit ? 100 - (limit / top) * 100 : null;
+        container.innerHTML = `
+            <svg viewBox="0 0 1000 100" preserveAspectRatio="none">
+                ${limitY !== null ? `<line x1="0" x2="1000" y1="${limitY}" y2="${limitY}"></line>` : ''}
+                ${lines.map(line => `<polyline points="${line.join(' ')}"></polyline>`).join('')}
+            </svg>
+            <div class="resource-chart-labels">
+                <span>${resourcesRange.value === 'hour' ? '1 hour ago' : '24 hours ago'}</span>
+                <span>max ${format(top)}</span>
+                <span>now</span>
+            </div>
+        `;
+    };
+
+    const renderResources = () => {
+        const current = resourceCurrent;
+        const sample = current?.sample;
+        const value = (label, text) => `<div class="resource-value"><span>${label}</span><strong>${text}</strong></div>`;
+        const percent = (v) => `${v.toFixed(0)}%`;
+        resourceWarnings.innerHTML = (current?.warnings || []).map(w => `<li><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(w.message)}</li>`).join('');
+        resourceSummary.innerHTML = !current ? '' : [
+            value('CPU', sample?.cpu != null ? `${percent(sample.cpu)} <small>of ${current.cores} cores</small>` : '-'),
+            value('Memory', sample ? `${formatSize(sample.memory)}${current.xmx ? ` / ${formatSize(current.xmx)}` : ''}` : '-'),
+            value('Disk', current.disk ? formatSize(current.disk.bytes) : '-'),
+            value('TPS', sample?.tps != null ? sample.tps.toFixed(1) : '-'),
+            value('MSPT', sample?.mspt != null ? `${sample.mspt.toFixed(1)} ms` : '-')
+        ].join('');
+
+        const series = (metric) => resourceSamples.map(s => ({ time: s.time, value: s[metric] }));
+        document.querySelectorAll('.resource-chart').forEach(container => {
+            const metric = container.dataset.metric;
+            const options = {
+                cpu: { max: 100, format: percent },
+                memory: { max: current?.xmx, limit: current?.xmx, format: formatSize },
+                tps: { max: 20, format: v => v.toFixed(1) },
+                mspt: { max: 50, limit: 50, format: v => `${v.toFixed(0)} ms` }
+            }[metric];
+            renderChart(container, series(metric), options);
+        });
+    };
+
+    resourcesRange.addEventListener('change', requestResourceHistory);
+
+    // --- Logs ---
+    const LOG_TYPE_LABELS = {
+        join: 'Joins', leave: 'Leaves', chat: 'Chat', command: 'Commands', death: 'Deaths',
+        advancement: 'Advancements', warning: 'Warnings', exception: 'Exceptions', other: 'Other'
+    };
+
+    // The filter as the server takes it; times are sent as ms so they keep the browser's time zone.
+    const logQuery = () => ({
+        file: logFile.value || 'latest.log',
+        levels: [...logLevels.querySelectorAll('input:checked')].map(input => input.value),
+        types: logType.value ? [logType.value] : [],
+        from: logFrom.value ? new Date(logFrom.value).getTime() : '',
+        to: logTo.value ? new Date(logTo.value).getTime() : '',
+        player: logPlayer.value.trim(),
+        text: logText.value.trim()
+    });
+
+    const updateLogDownload = () => {
+        if (!selectedServer) return;
+        const { levels, types, ...rest } = logQuery();
+        const params = new URLSearchParams({ ...rest, levels: levels.join(','), types: types.join(',') });
+        logDownload.href = `/api/servers/${encodeURIComponent(selectedServer)}/logs?${params}`;
+    };
+
+    const searchLogs = () => {
+        if (!selectedServer || !logFile.value) return;
+        logsStatus.textContent = 'Searching...';
+        logsStatus.classList.remove('error');
+        socket.emit('search-logs', { serverName: selectedServer, query: logQuery() });
+    };
+
+    const renderLogEntry = (entry) => {
+        const stack = entry.stack.length
+            ? `<details class="log-stack"><summary>${entry.stack.length} more line(s)</summary><pre>${escapeHtml(entry.stack.join('\n'))}</pre></details>`
+            : '';
+        return `
+            <li class="log-entry">
+                <span class="log-time" title="${escapeHtml(entry.file)}:${entry.line}">${formatTime(entry.time)}</span>
+                <span class="log-level ${escapeHtml(entry.level)}">${escapeHtml(entry.level)}</span>
+                <span class="log-thread">${escapeHtml(entry.thread)}</span>
+                ${entry.type !== 'other' ? `<span class="log-type ${entry.type}">${LOG_TYPE_LABELS[entry.type] || escapeHtml(entry.type)}</span>` : ''}
+                <span class="log-message">${escapeHtml(entry.message)}</span>
+                ${stack}
+            </li>
+        `;
+    };
+
+    logFilterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        searchLogs();
+    });
+    logFilterForm.addEventListener('input', updateLogDownload);
+    logFilterForm.addEventListener('change', updateLogDownload);
+
+    // --- Server Properties ---
+    // secretSet: a secret (sent blank) that has a value in the file; left blank, it is kept.
+    const propertyInput = (key, spec, value, secretSet = false) => {
+        const id = `prop-${key.replace(/[^a-z0-9-]/gi, '_')}`;
+        const attrs = `id="${id}" data-key="${escapeHtml(key)}"`;
+        if (spec.type === 'boolean') {
+            return `<label class="checkbox-label" for="${id}"><input type="checkbox" ${attrs} ${value === 'true' ? 'checked' : ''}> ${escapeHtml(key)}</label>`;
+        }
+        let input;
+        if (spec.type === 'enum') {
+            const options = spec.values.includes(value) ? spec.values : [value, ...spec.values];
+            input = `<select ${attrs}>${options.map(v => `<option value="${escapeHtml(v)}" ${v === value ? 'selected' : ''}>${escapeHtml(v)}</option>`).join('')}</select>`;
+        } else if (spec.type === 'integer' || spec.type === 'port') {
+            const min = spec.type === 'port' ? 1 : spec.min;
+            const max = spec.type === 'port' ? 65535 : spec.max;
+            input = `<input type="number" ${attrs} value="${escapeHtml(value)}" ${min !== undefined ? `min="${min}"` : ''} ${max !== undefined ? `max="${max}"` : ''}>`;
+        } else {
+            const list = spec.suggestions ? `list="${id}-options"` : '';
+            const placeholder = secretSet ? 'placeholder="Set; leave blank to keep it"' : '';
+            input = `<input type="${spec.secret ? 'password' : 'text'}" ${attrs} ${list} ${placeholder} value="${escapeHtml(value)}" autocomplete="off">`;
+            if (spec.suggestions) input += `<datalist id="${id}-options">${spec.suggestions.map(v => `<option value="${escapeHtml(v)}">`).join('')}</datalist>`;
+        }
+        return `<label for="${id}">${escapeHtml(key)}</label>${input}`;
+    };
+
+    const renderProperties = (schema, properties, secretsSet = []) => {
+        loadedProperties = {};
+        const categories = {};
+        const addField = (key, spec) => {
+            let value = properties[key] ?? String(spec.default ?? '');
+            if (spec.type === 'boolean') value = String(value.trim().toLowerCase() === 'true');
+            loadedProperties[key] = value;
+            (categories[spec.category] ||= []).push(`
+                <div class="form-group property-field${key in properties ? '' : ' is-default'}" data-field="${escapeHtml(key)}">
+                    ${propertyInput(key, spec, value, secretsSet.includes(key))}
+                    ${spec.description ? `<small class="form-hint">${escapeHtml(spec.description)}</small>` : ''}
+                    <small class="field-error"></small>
+                </div>`);
+        };
+        Object.entries(schema).forEach(([key, spec]) => addField(key, spec));
+        // Keys the panel does not know (plugins, newer versions) are kept and editable as text.
+        Object.keys(properties).filter(key => !schema[key]).sort().forEach(key => addField(key, { type: 'string', category: 'Other' }));
+        propertiesFields.innerHTML = Object.entries(categories).map(([category, fields]) => `
+            <fieldset class="panel-box properties-group">
+                <legend>${category}</legend>
+                <div class="settings-form">${fields.join('')}</div>
+            </fieldset>`).join('');
+        const readOnly = !can('files.write');
+        propertiesFields.querySelectorAll('input, select').forEach(el => { el.disabled = readOnly; });
+        savePropertiesBtn.hidden = readOnly;
+    };
+
+    propertiesForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!selectedServer) return;
+        const changes = {};
+        propertiesFields.querySelectorAll('[data-key]').forEach(el => {
+            const value = el.type === 'checkbox' ? String(el.checked) : el.value;
+            if (value !== loadedProperties[el.dataset.key]) changes[el.dataset.key] = value;
+        });
+        propertiesFields.querySelectorAll('.property-field').forEach(field => {
+            field.classList.remove('invalid');
+            field.querySelector('.field-error').textContent = '';
+        });
+        if (Object.keys(changes).length === 0) {
+            propertiesStatus.textContent = 'No changes to save.';
+            return;
+        }
+        socket.emit('update-server-properties', { serverName: selectedServer, changes });
+    });
+
+    // --- Players ---
+    // Ban dates look like "2024-05-01 10:00:00 +0000".
+    const formatBanDate = (value) => {
+        if (!value || value === 'forever') return 'never';
+        const match = /^(\S+) (\S+) ([+-]\d{2})(\d{2})$/.exec(value);
+        return match ? new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`).toLocaleString() : value;
+    };
+
+    const describePlayerEntry = (list, entry) => {
+        if (list === 'whitelist') return '';
+        if (list === 'ops') return `level ${entry.level}${entry.bypassesPlayerLimit ? ', bypasses player limit' : ''}`;
+        return `${entry.reason || ''} (expires: ${formatBanDate(entry.expires)}, by ${entry.source || 'unknown'})`;
+    };
+
+    playersSection.addEventListener('submit', (e) => {
+        const form = e.target.closest('.player-form');
+        if (!form || !selectedServer) return;
+        e.preventDefault();
+        const entry = {};
+        for (const el of form.elements) {
+            if (!el.name) continue;
+            if (el.type === 'checkbox') entry[el.name] = el.checked;
+            else if (el.type === 'datetime-local') entry[el.name] = el.value ? new Date(el.value).toISOString() : '';
+            else entry[el.name] = el.value.trim();
+        }
+        socket.emit('add-player-entry', { serverName: selectedServer, list: form.dataset.list, entry });
+        form.reset();
+    });
+
+    playersSection.addEventListener('click', (e) => {
+        const button = e.target.closest('.btn-remove-player');
+        if (!button) return;
+        const { list } = button.closest('.player-list').dataset;
+        socket.emit('remove-player-entry', { serverName: selectedServer, list, value: button.dataset.value });
+    });
+
+    // --- Scheduled Tasks ---
+    const actionLabels = {
+        command: 'Console command',
+        restart: 'Restart',
+        start: 'Start',
+        stop: 'Stop',
+        backup: 'Backup',
+        wait: 'Wait (seconds)'
+    };
+
+    const describeAction = (action) => {
+        if (action.type === 'command') return `"${escapeHtml(action.command)}"`;
+        if (action.type === 'wait') return `wait ${action.seconds}s`;
+        return action.type;
+    };
+
+    const formatTime = (time) => (time ? new Date(time).toLocaleString() : '-');
+
+    const addActionRow = (action = { type: 'command' }) => {
+        const li = document.createElement('li');
+        li.className = 'schedule-action';
+        li.innerHTML = `
+            <select class="action-type">
+                ${Object.entries(actionLabels).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+            </select>
+            <input type="text" class="action-value">
+            <button type="button" class="btn btn-sm btn-danger btn-remove-action" title="Remove"><i class="fas fa-times"></i></button>
+        `;
+        const typeSelect = li.querySelector('.action-type');
+        const valueInput = li.querySelector('.action-value');
+        typeSelect.value = action.type;
+        valueInput.value = action.type === 'wait' ? action.seconds : action.command || '';
+        const updateValueInput = () => {
+            const type = typeSelect.value;
+            valueInput.hidden = type !== 'command' && type !== 'wait';
+            valueInput.type = type === 'wait' ? 'number' : 'text';
+            valueInput.placeholder = type === 'wait' ? '300' : 'say Restarting in 5 minutes';
+        };
+        typeSelect.addEventListener('change', updateValueInput);
+        updateValueInput();
+        scheduleActions.appendChild(li);
+    };
+
+    const resetScheduleForm = () => {
+        editingScheduleId = null;
+        scheduleForm.reset();
+        scheduleFormTitle.textContent = 'New Schedule';
+        cancelScheduleBtn.hidden = true;
+        scheduleActions.innerHTML = '';
+        addActionRow();
+    };
+
+    addScheduleActionBtn.addEventListener('click', () => addActionRow());
+    cancelScheduleBtn.addEventListener('click', resetScheduleForm);
+
+    scheduleActions.addEventListener('click', (e) => {
+        if (e.target.closest('.btn-remove-action')) e.target.closest('.schedule-action').remove();
+    });
+
+    scheduleForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!selectedServer) return;
+        const actions = [...scheduleActions.querySelectorAll('.schedule-action')].map(row => {
+            const type = row.querySelector('.action-type').value;
+            const value = row.querySelector('.action-value').value;
+            if (type === 'command') return { type, command: value };
+            if (type === 'wait') return { type, seconds: value };
+            return { type };
+        });
+        socket.emit('save-schedule', {
+            serverName: selectedServer,
+            id: editingScheduleId,
+            schedule: { name: scheduleName.value, cron: scheduleCron.value, enabled: scheduleEnabled.checked, actions }
+        });
+    });
+
+    scheduleList.addEventListener('click', (e) => {
+        const item = e.target.closest('.schedule-item');
+        if (!item) return;
+        const schedule = schedules.find(s => s.id === item.dataset.id);
+        if (!schedule) return;
+        if (e.target.closest('.btn-run-schedule')) {
+            socket.emit('run-schedule', { serverName: selectedServer, id: schedule.id });
+        } else if (e.target.closest('.btn-edit-schedule')) {
+            editingScheduleId = schedule.id;
+            scheduleFormTitle.textContent = `Edit "${schedule.name}"`;
+            scheduleName.value = schedule.name;
+            scheduleCron.value = schedule.cron;
+            scheduleEnabled.checked = schedule.enabled;
+            scheduleActions.innerHTML = '';
+            schedule.actions.forEach(addActionRow);
+            cancelScheduleBtn.hidden = false;
+        } else if (e.target.closest('.btn-delete-schedule')) {
+            if (confirm(`Delete the schedule '${schedule.name}'?`)) socket.emit('delete-schedule', { serverName: selectedServer, id: schedule.id });
+        }
+    });
+
+    // --- Notifications ---
+    const WEBHOOK_EVENT_LABELS = {
+        'started': 'Server started',
+        'stopped': 'Server stopped',
+        'crashed': 'Server crashed',
+        'backup-finished': 'Backup done',
+        'backup-failed': 'Backup failed',
+        'player-joined': 'Player joined',
+        'player-left': 'Player left',
+        'install-finished': 'Install finished',
+        'install-failed': 'Install failed',
+        'test': 'Test'
+    };
+
+    const resetWebhookForm = () => {
+        editingWebhookId = null;
+        webhookForm.reset();
+        webhookFormTitle.textContent = 'New Webhook';
+        cancelWebhookBtn.hidden = true;
+    };
+
+    cancelWebhookBtn.addEventListener('click', resetWebhookForm);
+
+    webhookForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!selectedServer) return;
+        const events = [...webhookEvents.querySelectorAll('input:checked')].map(input => input.value);
+        socket.emit('save-webhook', {
+            serverName: selectedServer,
+            id: editingWebhookId,
+            webhook: { name: webhookName.value, url: webhookUrl.value, format: webhookFormat.value, events, enabled: webhookEnabled.checked }
+        });
+    });
+
+    webhookList.addEventListener('click', (e) => {
+        const item = e.target.closest('.schedule-item');
+        if (!item) return;
+        const webhook = webhooks.find(w => w.id === item.dataset.id);
+        if (!webhook) return;
+        if (e.target.closest('.btn-test-webhook')) {
+            socket.emit('test-webhook', { serverName: selectedServer, id: webhook.id });
+        } else if (e.target.closest('.btn-edit-webhook')) {
+            editingWebhookId = webhook.id;
+            webhookFormTitle.textContent = `Edit '${webhook.name}'`;
+            webhookName.value = webhook.name;
+            webhookUrl.value = webhook.url;
+            webhookFormat.value = webhook.format;
+            webhookEnabled.checked = webhook.enabled;
+            webhookEvents.querySelectorAll('input').forEach(input => { input.checked = webhook.events.includes(input.value); });
+            cancelWebhookBtn.hidden = false;
+        } else if (e.target.closest('.btn-delete-webhook')) {
+            if (confirm(`Delete the webhook '${webhook.name}'?`)) socket.emit('delete-webhook', { serverName: selectedServer, id: webhook.id });
+        }
+    });
+
+    const renderDelivery = (delivery) => {
+        const li = document.createElement('li');
+        li.className = 'crash-item';
+        li.title = delivery.attempts.map((a, i) => `Attempt ${i + 1} at ${formatTime(a.time)}: ${a.statusCode ? `HTTP ${a.statusCode}` : 'no response'} (${a.durationMs} ms)${a.error ? ` ${a.error}` : ''}`).join('\n');
+        const attempts = delivery.attempts.length > 1 ? ` after ${delivery.attempts.length} attempts` : '';
+        li.innerHTML = `${formatTime(delivery.time)} &middot; ${escapeHtml(delivery.webhookName)}: ${WEBHOOK_EVENT_LABELS[delivery.event] || escapeHtml(delivery.event)} <span class="run-status ${delivery.status}">${delivery.status}</span>${attempts}`;
+        const last = delivery.attempts[delivery.attempts.length - 1];
+        if (delivery.status === 'failed' && last) {
+            const reason = `${last.statusCode ? `HTTP ${last.statusCode} ` : ''}${last.error || ''}`;
+            li.appendChild(Object.assign(document.createElement('div'), { className: 'run-error', textContent: reason }));
+        }
+        return li;
+    };
+
+    // --- Account ---
+    logoutBtn.addEventListener('click', async () => {
+        await fetch('/api/logout', { method: 'POST' });
+        window.location.replace('/login.html');
+    });
+
+    changePasswordBtn.addEventListener('click', () => {
+        const currentPassword = prompt('Current password:');
+        if (!currentPassword) return;
+        const newPassword = prompt('New password (at least 8 characters):');
+        if (newPassword) socket.emit('change-password', { currentPassword, newPassword });
+    });
+
+    // --- User Management ---
+    const renderRoleSelect = (selected, className) => `
+        <select class="${className}">
+            ${roleOptions.map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`).join('')}
+        </select>`;
+
+    createUserForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        socket.emit('create-user', {
+            username: newUserName.value.trim(),
+            password: newUserPassword.value,
+            role: newUserRole.value
+        });
+        newUserPassword.value = '';
+    });
+
+    userList.addEventListener('click', (e) => {
+        const card = e.target.closest('.user-card');
+        if (!card) return;
+        const username = card.dataset.username;
+
+        if (e.target.closest('.btn-save-user')) {
+            const serverRoles = {};
+            card.querySelectorAll('.server-grant').forEach(grant => {
+                serverRoles[grant.dataset.serverName] = grant.querySelector('select').value;
+            });
+            socket.emit('update-user', { username, role: card.querySelector('.user-role').value, serverRoles });
+        } else if (e.target.closest('.btn-reset-password')) {
+            const password = prompt(`New password for '${username}' (at least 8 characters):`);
+            if (password) socket.emit('update-user', { username, password });
+        } else if (e.target.closest('.btn-delete-user')) {
+            if (confirm(`Delete the account '${username}'?`)) socket.emit('delete-user', { username });
+        }
+    });
 
     // --- Terminal ---
     sendCommandBtn.addEventListener('click', () => {
         const command = terminalInput.value;
-        if (command) {
-            socket.emit('terminal-command', command);
+        if (command && selectedServer) {
+            socket.emit('terminal-command', { serverName: selectedServer, command });
             terminalInput.value = '';
         }
     });
@@ -119,30 +1050,123 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // --- Server Creation ---
-    serverTypeSelect.addEventListener('change', () => {
+    const SNAPSHOT_TYPES = ['vanilla', 'fabric'];
+    // Types with a build to pick, and what it is called.
+    const BUILD_LABELS = { paper: 'Build', purpur: 'Build', fabric: 'Loader' };
+
+    // When a version or build list was fetched, and whether it is an old copy because upstream is unreachable.
+    const describeCatalog = ({ fetchedAt, stale, error }) => {
+        if (!fetchedAt) return error ? `Could not load the list: ${error}` : '';
+        if (stale) return `Offline: showing the list cached at ${formatTime(fetchedAt)} (${error}).`;
+        return `List cached at ${formatTime(fetchedAt)}.`;
+    };
+
+    const requestVersions = (refresh = false) => {
         const serverType = serverTypeSelect.value;
+        if (!serverType) return;
         versionNameSelect.innerHTML = '<option>Loading...</option>';
         versionNameSelect.disabled = true;
-        if (serverType) {
-            socket.emit('get-versions-for-type', serverType);
-        }
+        buildGroup.hidden = true;
+        socket.emit('get-versions-for-type', serverType, { snapshots: includeSnapshotsInput.checked, refresh });
+    };
+
+    const requestBuilds = () => {
+        const serverType = serverTypeSelect.value;
+        buildGroup.hidden = !BUILD_LABELS[serverType] || versionNameSelect.disabled;
+        if (buildGroup.hidden) return;
+        buildLabel.textContent = BUILD_LABELS[serverType];
+        buildNameSelect.innerHTML = '<option value="">Loading...</option>';
+        buildNameSelect.disabled = true;
+        socket.emit('get-builds', { serverType, versionName: versionNameSelect.value });
+    };
+
+    serverTypeSelect.addEventListener('change', () => {
+        snapshotsLabel.hidden = !SNAPSHOT_TYPES.includes(serverTypeSelect.value);
+        includeSnapshotsInput.checked = false;
+        requestVersions();
     });
+    includeSnapshotsInput.addEventListener('change', () => requestVersions());
+    refreshVersionsBtn.addEventListener('click', () => requestVersions(true));
+    versionNameSelect.addEventListener('change', requestBuilds);
 
     createServerForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        creationOutput.textContent = ''; 
+        creationOutput.textContent = '';
         const serverName = serverNameInput.value;
         const serverType = serverTypeSelect.value;
         const versionName = versionNameSelect.value;
+        const build = buildGroup.hidden ? null : buildNameSelect.value || null;
         const ram = ramAmountInput.value;
+        const tunnel = tunnelEnabledInput.checked ? 'playit' : 'none';
+        const aikarFlags = aikarFlagsInput.checked;
         if (serverName && serverType && versionName) {
-            socket.emit('create-server', { serverName, versionName, serverType, ram });
+            socket.emit('create-server', { serverName, versionName, serverType, build, ram, tunnel, aikarFlags });
         }
     });
     
+    // --- Install Jobs ---
+    const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+    const describeJob = (job) => (job.kind === 'update'
+        ? `${job.serverName}: update to ${job.serverType} ${job.versionName}`
+        : `${job.serverName} (${job.serverType} ${job.versionName}${job.build ? ` #${job.build}` : ''})`);
+
+    const upsertInstallJob = (job) => {
+        const index = installJobs.findIndex(j => j.id === job.id);
+        if (index === -1) installJobs.unshift(job);
+        else installJobs[index] = job;
+    };
+
+    const renderInstallProgress = () => {
+        const job = installJobs.find(j => j.id === watchedJobId);
+        installJobProgress.hidden = !job;
+        if (!job) return;
+        const done = job.steps.filter(step => step.status === 'succeeded').length;
+        installJobTitle.textContent = describeJob(job);
+        installJobStatus.className = `run-status ${job.status}`;
+        installJobStatus.textContent = job.status;
+        installJobBar.style.width = `${(done / job.steps.length) * 100}%`;
+        installJobSteps.innerHTML = job.steps.map(step => `<li class="${step.status}">${escapeHtml(step.name)}</li>`).join('');
+        if (job.status !== 'running') installJobDownload.textContent = '';
+        cancelInstallBtn.hidden = !ACTIVE_JOB_STATUSES.includes(job.status);
+    };
+
+    const renderInstallJobs = () => {
+        installJobList.innerHTML = installJobs.length ? '' : '<li class="crash-empty">No installs yet.</li>';
+        installJobs.forEach(job => {
+            const li = document.createElement('li');
+            li.className = `crash-item${job.id === watchedJobId ? ' selected' : ''}`;
+            li.dataset.id = job.id;
+            const done = job.steps.filter(step => step.status === 'succeeded').length;
+            const progress = job.status === 'running' ? ` ${done}/${job.steps.length}` : '';
+            li.innerHTML = `${formatTime(job.createdAt)} &middot; ${escapeHtml(describeJob(job))} <span class="run-status ${job.status}">${job.status}${progress}</span>`;
+            if (job.error) li.appendChild(Object.assign(document.createElement('div'), { className: 'run-error', textContent: job.error }));
+            installJobList.appendChild(li);
+        });
+        renderInstallProgress();
+    };
+
+    const describeDownload = ({ file, received, total, percent, cached }) => {
+        if (cached) return `${file}: taken from the download cache`;
+        const size = total ? `${formatSize(received)} of ${formatSize(total)} (${percent}%)` : formatSize(received);
+        return `Downloading ${file}: ${size}`;
+    };
+
+    installJobList.addEventListener('click', (e) => {
+        const item = e.target.closest('.crash-item');
+        if (item) socket.emit('watch-install-job', { id: item.dataset.id });
+    });
+
+    cancelInstallBtn.addEventListener('click', () => {
+        const job = installJobs.find(j => j.id === watchedJobId);
+        if (job && confirm(`Cancel installing '${job.serverName}'? Its directory will be removed.`)) {
+            socket.emit('cancel-install-job', { id: job.id });
+        }
+    });
+
     // --- File Manager ---
     const renderBreadcrumbs = () => {
-        fileBreadcrumbs.innerHTML = `<span class="breadcrumb-item" data-path="">${selectedServerForFiles} /</span>`;
+        fileBreadcrumbs.innerHTML = `<span class="breadcrumb-item" data-path="">${selectedServer} /</span>`;
         let current = '';
         currentPath.forEach(part => {
             current += (current ? '/' : '') + part;
@@ -163,12 +1187,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const item = target.closest('.file-item');
         if (!item) return;
 
+        if (target.classList.contains('file-select')) {
+            updateFileToolbar();
+            return;
+        }
+
         const { name, type } = item.dataset;
         const itemPath = [...currentPath, name].join('/');
         
         if (target.classList.contains('btn-delete')) {
             if (confirm(`Are you sure you want to delete '${name}'? This cannot be undone.`)) {
-                socket.emit('delete-path', { serverName: selectedServerForFiles, pathToDelete: itemPath });
+                socket.emit('delete-path', { serverName: selectedServer, pathToDelete: itemPath });
             }
             return;
         }
@@ -176,7 +1205,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (target.classList.contains('btn-rename')) {
             const newName = prompt(`Enter new name for '${name}':`, name);
             if (newName && newName !== name) {
-                socket.emit('rename-path', { serverName: selectedServerForFiles, oldPath: itemPath, newName: newName });
+                socket.emit('rename-path', { serverName: selectedServer, oldPath: itemPath, newName: newName });
             }
             return;
         }
@@ -186,26 +1215,526 @@ document.addEventListener('DOMContentLoaded', () => {
             refreshFileList();
         } else {
             selectedFile = itemPath;
-            socket.emit('get-file-content', { serverName: selectedServerForFiles, filePath: itemPath });
+            socket.emit('get-file-content', { serverName: selectedServer, filePath: itemPath });
         }
     });
 
+    // --- File Selection and Transfers ---
+    const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+    const UPLOAD_RETRIES = 5;
+    const ARCHIVE_PATTERN = /\.(zip|tar\.gz|tgz)$/i;
+
+    const currentDir = () => currentPath.join('/');
+    const pathInCurrentDir = (name) => [...currentPath, name].join('/');
+    const selectedNames = () => [...fileList.querySelectorAll('.file-select:checked')].map(box => box.closest('.file-item').dataset.name);
+    const selectedPaths = () => selectedNames().map(pathInCurrentDir);
+    const fileDownloadUrl = (relPath) => `/api/servers/${encodeURIComponent(selectedServer)}/files/download?path=${encodeURIComponent(relPath)}`;
+
+    const showFileStatus = (message, isError = false) => {
+        fileStatus.textContent = message;
+        fileStatus.classList.toggle('error', isError);
+    };
+
+    const updateFileToolbar = () => {
+        const names = selectedNames();
+        const boxes = fileList.querySelectorAll('.file-select');
+        const writable = Boolean(selectedServer) && can('files.write');
+        [newFileBtn, newFolderBtn, uploadBtn].forEach(btn => { btn.disabled = !writable; });
+        [copyBtn, moveBtn, compressBtn, deleteSelectedBtn].forEach(btn => { btn.disabled = !writable || !names.length; });
+        extractBtn.disabled = !writable || names.length !== 1 || !ARCHIVE_PATTERN.test(names[0]);
+        downloadBtn.disabled = names.length !== 1;
+        fileSelectAll.checked = boxes.length > 0 && names.length === boxes.length;
+    };
+
+    const requestJson = async (url, options = {}) => {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw Object.assign(new Error(body.error || response.statusText), { status: response.status });
+        return body;
+    };
+
+    // Sends the file in chunks. When one fails (dropped connection, panel restart) the panel is
+    // asked how much arrived, and the upload continues from there.
+    const uploadFile = async (serverName, dir, file) => {
+        const relPath = [dir, file.name].filter(Boolean).join('/');
+        const uploadsUrl = `/api/servers/${encodeURIComponent(serverName)}/uploads`;
+        const start = (overwrite) => requestJson(uploadsUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path: relPath, size: file.size, overwrite })
+        });
+        let upload;
+        try {
+            upload = await start(false);
+        } catch (error) {
+            if (error.status !== 409 || !confirm(`'${relPath}' already exists. Replace it?`)) throw error;
+            upload = await start(true);
+        }
+
+        const uploadUrl = `${uploadsUrl}/${upload.id}`;
+        let received = 0;
+        let failures = 0;
+        for (;;) {
+            showFileStatus(`Uploading ${file.name}: ${formatSize(received)} of ${formatSize(file.size)}...`);
+            try {
+                const result = await requestJson(`${uploadUrl}?offset=${received}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: file.slice(received, received + UPLOAD_CHUNK_BYTES)
+                });
+                if (result.complete) return relPath;
+                received = result.received;
+                failures = 0;
+            } catch (error) {
+                const retryable = !error.status || error.status === 409 || error.status >= 500;
+                if (!retryable || ++failures > UPLOAD_RETRIES) {
+                    fetch(uploadUrl, { method: 'DELETE' }).catch(() => {});
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, 1000 * failures));
+                received = (await requestJson(uploadUrl)).received;
+            }
+        }
+    };
+
+    const uploadFiles = async (fileObjects) => {
+        const serverName = selectedServer;
+        const dir = currentDir();
+        let uploaded = 0;
+        for (const file of fileObjects) {
+            try {
+                await uploadFile(serverName, dir, file);
+                uploaded++;
+            } catch (error) {
+                showFileStatus(`Uploading ${file.name} failed: ${error.message}`, true);
+                return;
+            } finally {
+                if (serverName === selectedServer && dir === currentDir()) refreshFileList();
+            }
+        }
+        showFileStatus(`Uploaded ${uploaded} file${uploaded === 1 ? '' : 's'}.`);
+    };
+
+    const emitFileOperation = (event, args) => {
+        showFileStatus('Working...');
+        socket.emit(event, { serverName: selectedServer, ...args });
+    };
+
+    fileSelectAll.addEventListener('change', () => {
+        fileList.querySelectorAll('.file-select').forEach(box => { box.checked = fileSelectAll.checked; });
+        updateFileToolbar();
+    });
+
+    newFileBtn.addEventListener('click', () => {
+        const name = prompt('Name of the new file:');
+        if (name) emitFileOperation('create-path', { parent: currentDir(), name, type: 'file' });
+    });
+
+    newFolderBtn.addEventListener('click', () => {
+        const name = prompt('Name of the new folder:');
+        if (name) emitFileOperation('create-path', { parent: currentDir(), name, type: 'folder' });
+    });
+
+    uploadBtn.addEventListener('click', () => uploadInput.click());
+    uploadInput.addEventListener('change', async () => {
+        const chosen = [...uploadInput.files];
+        uploadInput.value = '';
+        if (chosen.length) await uploadFiles(chosen);
+    });
+
+    fileList.addEventListener('dragover', (e) => {
+        if (uploadBtn.disabled || !e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        fileList.classList.add('drop-target');
+    });
+    fileList.addEventListener('dragleave', () => fileList.classList.remove('drop-target'));
+    fileList.addEventListener('drop', async (e) => {
+        fileList.classList.remove('drop-target');
+        if (uploadBtn.disabled || !e.dataTransfer.files.length) return;
+        e.preventDefault();
+        await uploadFiles([...e.dataTransfer.files]);
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        const [relPath] = selectedPaths();
+        if (relPath) window.location.href = fileDownloadUrl(relPath);
+    });
+
+    // Destinations are folders relative to the server directory; "" is the server directory itself.
+    const askDestination = (verb, count) => {
+        const destination = prompt(`${verb} ${count} item${count === 1 ? '' : 's'} to which folder? (relative to the server directory)`, currentDir());
+        return destination === null ? null : destination.replace(/^\/+|\/+$/g, '');
+    };
+
+    copyBtn.addEventListener('click', () => {
+        const paths = selectedPaths();
+        const destination = askDestination('Copy', paths.length);
+        if (destination !== null) emitFileOperation('copy-paths', { paths, destination });
+    });
+
+    moveBtn.addEventListener('click', () => {
+        const paths = selectedPaths();
+        const destination = askDestination('Move', paths.length);
+        if (destination !== null) emitFileOperation('move-paths', { paths, destination });
+    });
+
+    compressBtn.addEventListener('click', () => {
+        const names = selectedNames();
+        const name = prompt('Archive name (.zip or .tar.gz):', names.length === 1 ? `${names[0]}.zip` : 'archive.zip');
+        if (name) emitFileOperation('compress-paths', { paths: names.map(pathInCurrentDir), archivePath: pathInCurrentDir(name) });
+    });
+
+    extractBtn.addEventListener('click', () => {
+        const [name] = selectedNames();
+        const destination = prompt(`Extract '${name}' into which folder? (relative to the server directory)`, pathInCurrentDir(name.replace(ARCHIVE_PATTERN, '')));
+        if (destination !== null) emitFileOperation('extract-archive', { archivePath: pathInCurrentDir(name), destination: destination.replace(/^\/+|\/+$/g, '') });
+    });
+
+    deleteSelectedBtn.addEventListener('click', () => {
+        const paths = selectedPaths();
+        if (confirm(`Delete ${paths.length} item${paths.length === 1 ? '' : 's'}? This cannot be undone.\n\n${paths.join('\n')}`)) {
+            emitFileOperation('delete-paths', { paths });
+        }
+    });
+
+    // --- Code Editor ---
+    // CodeMirror is loaded from the CDN like Font Awesome and adds highlighting, line numbers, find
+    // and replace and go to line. Without it the plain textarea still works.
+    const JSON_MODE = { name: 'javascript', json: true };
+    const CODE_MODES = {
+        yml: 'yaml', yaml: 'yaml', json: JSON_MODE, mcmeta: JSON_MODE, toml: 'toml',
+        properties: 'properties', cfg: 'properties', conf: 'properties', ini: 'properties',
+        sh: 'shell', js: 'javascript'
+    };
+    // Checked by the server before saving (lib/syntaxCheck.js).
+    const CHECKED_EXTENSIONS = ['yml', 'yaml', 'json', 'mcmeta', 'toml', 'properties'];
+    const SYNTAX_CHECK_DELAY_MS = 500;
+    const extensionOf = (filePath) => (/\.([^./]+)$/.exec(filePath || '')?.[1] || '').toLowerCase();
+
+    const codeEditor = window.CodeMirror ? CodeMirror.fromTextArea(fileEditor, {
+        theme: 'material-darker',
+        lineNumbers: true,
+        matchBrackets: true,
+        readOnly: 'nocursor',
+        gutters: ['CodeMirror-linenumbers', 'syntax-gutter'],
+        extraKeys: {
+            // Spaces, since YAML does not allow tabs for indentation.
+            Tab: (cm) => cm.execCommand(cm.somethingSelected() ? 'indentMore' : 'insertSoftTab'),
+            'Ctrl-S': () => saveFileBtn.click(),
+            'Cmd-S': () => saveFileBtn.click()
+        }
+    }) : null;
+    if (!codeEditor) [findBtn, replaceBtn, gotoLineBtn].forEach(btn => { btn.hidden = true; });
+
+    const getEditorText = () => codeEditor ? codeEditor.getValue() : fileEditor.value;
+
+    const setEditorText = (text, filePath = '') => {
+        fileEditor.value = text;
+        if (!codeEditor) return;
+        codeEditor.setOption('mode', CODE_MODES[extensionOf(filePath)] || null);
+        codeEditor.setValue(text);
+        codeEditor.clearHistory();
+    };
+
+    const setEditorEnabled = (enabled, writable) => {
+        fileEditor.disabled = !enabled;
+        fileEditor.readOnly = !writable;
+        codeEditor?.setOption('readOnly', enabled ? !writable : 'nocursor');
+        findBtn.disabled = !enabled;
+        gotoLineBtn.disabled = !enabled;
+        replaceBtn.disabled = !enabled || !writable;
+    };
+
+    const goToPosition = (line, column) => {
+        if (codeEditor) {
+            codeEditor.focus();
+            codeEditor.setCursor({ line: line - 1, ch: column - 1 });
+            codeEditor.scrollIntoView(null, 100);
+            return;
+        }
+        const lines = fileEditor.value.split('\n').slice(0, line - 1);
+        const offset = lines.reduce((sum, text) => sum + text.length + 1, 0) + column - 1;
+        fileEditor.focus();
+        fileEditor.setSelectionRange(offset, offset);
+    };
+
+    findBtn.addEventListener('click', () => codeEditor.execCommand('find'));
+    replaceBtn.addEventListener('click', () => codeEditor.execCommand('replace'));
+    gotoLineBtn.addEventListener('click', () => codeEditor.execCommand('jumpToLine'));
+
+    // --- Syntax Checks ---
+    let syntaxMarks = []; // functions that remove the markers of the last check
+    let syntaxErrors = [];
+    let syntaxTimer = null;
+
+    const showSyntaxErrors = ({ errors = [], blocked = false }) => {
+        syntaxMarks.forEach(clear => clear());
+        syntaxMarks = [];
+        syntaxErrors = errors;
+        editorSyntax.hidden = !errors.length;
+        saveAnywayBtn.hidden = !blocked;
+        const problems = `${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+        editorSyntaxSummary.textContent = blocked ? `Not saved: ${problems} found. Fix them or save anyway.` : `${problems} found:`;
+        editorSyntaxErrors.innerHTML = errors.map(({ line, column, message }, index) =>
+            `<li data-index="${index}">Line ${line}, column ${column}: ${escapeHtml(message)}</li>`).join('');
+        if (!codeEditor) return;
+
+        errors.forEach(({ line, column, message }) => {
+            const lineIndex = Math.min(Math.max(line - 1, 0), codeEditor.lineCount() - 1);
+            const marker = document.createElement('span');
+            marker.className = 'syntax-marker';
+            marker.title = message;
+            marker.innerHTML = '<i class="fas fa-exclamation-circle"></i>';
+            const handle = codeEditor.setGutterMarker(lineIndex, 'syntax-gutter', marker);
+            codeEditor.addLineClass(handle, 'background', 'syntax-error-line');
+            const ch = Math.max(column - 1, 0);
+            const mark = codeEditor.markText({ line: lineIndex, ch }, { line: lineIndex, ch: ch + 1 }, { className: 'syntax-error-char', title: message });
+            syntaxMarks.push(() => {
+                codeEditor.setGutterMarker(handle, 'syntax-gutter', null);
+                codeEditor.removeLineClass(handle, 'background', 'syntax-error-line');
+                mark.clear();
+            });
+        });
+    };
+
+    const checkEditorSyntax = () => {
+        clearTimeout(syntaxTimer);
+        if (!selectedFile || !CHECKED_EXTENSIONS.includes(extensionOf(selectedFile))) {
+            showSyntaxErrors({ errors: [] });
+            return;
+        }
+        const filePath = selectedFile;
+        syntaxTimer = setTimeout(() => {
+            socket.emit('check-file-syntax', { serverName: selectedServer, filePath, content: getEditorText() });
+        }, SYNTAX_CHECK_DELAY_MS);
+    };
+
+    if (codeEditor) codeEditor.on('changes', checkEditorSyntax);
+    else fileEditor.addEventListener('input', checkEditorSyntax);
+
+    editorSyntaxErrors.addEventListener('click', (e) => {
+        const error = syntaxErrors[e.target.closest('li')?.dataset.index];
+        if (error) goToPosition(error.line, error.column);
+    });
+
+    saveAnywayBtn.addEventListener('click', () => {
+        ignoreSyntaxErrors = true;
+        saveFile(false);
+    });
+
     saveFileBtn.addEventListener('click', () => {
-        if (selectedFile) {
-            const content = fileEditor.value;
-            socket.emit('save-file-content', { serverName: selectedServerForFiles, filePath: selectedFile, content });
+        if (selectedFile) saveFile(false);
+    });
+
+    // --- File Revisions ---
+    // The server refuses to save over a version newer than editorHash (file-save-conflict) unless forced.
+    const saveFile = (force) => {
+        editorConflict.hidden = true;
+        const size = new Blob([getEditorText()]).size;
+        if (size > editorMaxBytes) {
+            showFileStatus(`Could not save ${selectedFile}: it is ${formatSize(size)}, the editor saves at most ${formatSize(editorMaxBytes)}. Upload the file instead.`, true);
+            return;
+        }
+        socket.emit('save-file-content', { serverName: selectedServer, filePath: selectedFile, content: getEditorText(), baseHash: editorHash, force, ignoreSyntaxErrors });
+    };
+
+    const requestRevisions = () => {
+        if (selectedFile && !revisionPanel.hidden) socket.emit('list-file-revisions', { serverName: selectedServer, filePath: selectedFile });
+    };
+
+    const requestDiff = (from, to) => {
+        socket.emit('diff-file-revisions', { serverName: selectedServer, filePath: selectedFile, from, to });
+    };
+
+    const revisionLabel = (revision) => `${new Date(revision.timestamp).toLocaleString()} · ${revision.source === 'disk' ? 'found on disk' : escapeHtml(revision.author || 'unknown')}`;
+
+    const renderRevisions = (revisions) => {
+        const options = [['current', 'Current file on disk'], ...revisions.map(revision => [revision.id, revisionLabel(revision)])];
+        [diffFrom, diffTo].forEach(select => {
+            select.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        });
+        // The newest revision is usually what is on disk, so compare the one before it.
+        diffFrom.value = revisions[1]?.id || 'current';
+        diffTo.value = 'current';
+
+        revisionList.innerHTML = revisions.length ? '' : '<li class="revision-item">No earlier versions yet. They are kept from the first save on.</li>';
+        revisions.forEach(revision => {
+            const li = document.createElement('li');
+            li.className = 'revision-item';
+            li.dataset.id = revision.id;
+            li.innerHTML = `
+                <span class="revision-meta">${revisionLabel(revision)} · ${formatSize(revision.size)}${revision.source === 'rollback' ? ' · restored' : ''}</span>
+                <button type="button" class="btn btn-sm btn-secondary btn-diff" title="Compare with the current file">Diff</button>
+                ${can('files.write') ? '<button type="button" class="btn btn-sm btn-danger btn-rollback" title="Write this version back">Restore</button>' : ''}
+            `;
+            revisionList.appendChild(li);
+        });
+    };
+
+    const renderDiff = ({ hunks, identical }) => {
+        const addLine = (className, text) => {
+            const div = document.createElement('div');
+            div.className = className;
+            div.textContent = text;
+            revisionDiff.appendChild(div);
+        };
+        revisionDiff.innerHTML = '';
+        revisionDiff.hidden = false;
+        if (identical) return addLine('diff-same', 'No differences.');
+        const prefixes = { same: ' ', add: '+', remove: '-' };
+        hunks.forEach(hunk => {
+            addLine('diff-hunk', `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+            hunk.lines.forEach(({ type, text }) => addLine(`diff-${type}`, `${prefixes[type]} ${text}`));
+        });
+    };
+
+    historyBtn.addEventListener('click', () => {
+        revisionPanel.hidden = !revisionPanel.hidden;
+        revisionDiff.hidden = true;
+        requestRevisions();
+    });
+
+    diffBtn.addEventListener('click', () => requestDiff(diffFrom.value, diffTo.value));
+
+    revisionList.addEventListener('click', (e) => {
+        const id = e.target.closest('.revision-item')?.dataset.id;
+        if (!id) return;
+        if (e.target.closest('.btn-diff')) {
+            requestDiff(id, 'current');
+        } else if (e.target.closest('.btn-rollback') &&
+            confirm(`Restore this version of ${selectedFile}? The current content stays in the history; unsaved changes in the editor are lost.`)) {
+            socket.emit('rollback-file', { serverName: selectedServer, filePath: selectedFile, revisionId: id });
+        }
+    });
+
+    conflictOverwriteBtn.addEventListener('click', () => saveFile(true));
+
+    conflictReloadBtn.addEventListener('click', () => {
+        if (confirm('Replace the editor content with the version on disk? Your unsaved changes are lost.')) {
+            socket.emit('get-file-content', { serverName: selectedServer, filePath: selectedFile });
         }
     });
 
     // --- Socket.IO Event Handlers ---
-    socket.on('existing-servers', ({ servers, activeServer: runningServer }) => {
-        const previouslySelected = selectedServerForFiles;
+    // Rooms do not survive a reconnect, so rejoin the selected console.
+    socket.on('connect', () => {
+        if (selectedServer) socket.emit('join-console', { serverName: selectedServer });
+        if (watchedJobId) socket.emit('watch-install-job', { id: watchedJobId });
+        if (watchedUpdateId) socket.emit('watch-install-job', { id: watchedUpdateId });
+    });
+
+    // The handshake is refused without a valid session (expired, logged out, password changed).
+    socket.on('connect_error', (error) => {
+        if (error.message === 'unauthorized') window.location.replace('/login.html');
+    });
+
+    socket.on('disconnect', (reason) => {
+        // The panel drops sessions it has ended; check whether ours is still valid.
+        if (reason === 'io server disconnect') {
+            fetch('/api/session').then(r => r.json()).then(({ user }) => {
+                if (user) socket.connect();
+                else window.location.replace('/login.html');
+            });
+        }
+    });
+
+    socket.on('session', (data) => {
+        session = data;
+        accountName.textContent = data.username;
+        accountRole.textContent = data.role;
+        applyPermissions();
+        socket.emit('list-install-jobs');
+    });
+
+    // An install still running (started in another tab, or before a reload) is shown right away.
+    socket.on('install-jobs', ({ jobs }) => {
+        installJobs = jobs;
+        renderInstallJobs();
+        renderUpdateProgress();
+        const active = jobs.find(job => job.kind !== 'update' && ACTIVE_JOB_STATUSES.includes(job.status));
+        if (!watchedJobId && active) socket.emit('watch-install-job', { id: active.id });
+        watchActiveUpdate();
+    });
+
+    socket.on('install-job-update', ({ job }) => {
+        upsertInstallJob(job);
+        renderInstallJobs();
+        renderUpdateProgress();
+        if (job.kind !== 'update' || job.serverName !== selectedServer) return;
+        watchActiveUpdate();
+        if (job.status === 'succeeded') socket.emit('get-launch-settings', { serverName: selectedServer });
+    });
+
+    socket.on('install-job-log', ({ job, data }) => {
+        if (job.kind === 'update') {
+            if (job.serverName !== selectedServer) return;
+            watchedUpdateId = job.id;
+            upsertInstallJob(job);
+            updateJobDownload.textContent = '';
+            updateOutput.textContent = data;
+            updateOutput.scrollTop = updateOutput.scrollHeight;
+            renderInstallJobs();
+            renderUpdateProgress();
+            return;
+        }
+        watchedJobId = job.id;
+        upsertInstallJob(job);
+        installJobDownload.textContent = '';
+        creationOutput.textContent = data;
+        creationOutput.scrollTop = creationOutput.scrollHeight;
+        renderInstallJobs();
+    });
+
+    socket.on('install-job-progress', (progress) => {
+        if (progress.id === watchedJobId) installJobDownload.textContent = describeDownload(progress);
+        if (progress.id === watchedUpdateId) updateJobDownload.textContent = describeDownload(progress);
+    });
+
+    socket.on('install-job-output', ({ id, data }) => {
+        if (id === watchedJobId) logToCreation(data);
+        if (id === watchedUpdateId) {
+            updateOutput.textContent += data;
+            updateOutput.scrollTop = updateOutput.scrollHeight;
+        }
+    });
+
+    socket.on('user-list', ({ users, servers }) => {
+        userList.innerHTML = '';
+        users.forEach(user => {
+            const card = document.createElement('div');
+            card.className = 'user-card';
+            card.dataset.username = user.username;
+            card.innerHTML = `
+                <div class="user-card-header">
+                    <span class="server-name">${user.username}</span>
+                    <label>Panel role ${renderRoleSelect(user.role, 'user-role')}</label>
+                </div>
+                <div class="server-grants">
+                    ${servers.map(server => `
+                        <label class="server-grant" data-server-name="${server}">
+                            ${server} ${renderRoleSelect(user.serverRoles[server] || 'none', 'grant-role')}
+                        </label>`).join('') || '<span class="crash-empty">No servers to grant.</span>'}
+                </div>
+                <div class="server-actions">
+                    <button class="btn btn-sm save-btn btn-save-user"><i class="fas fa-save"></i> Save</button>
+                    <button class="btn btn-sm btn-secondary btn-reset-password"><i class="fas fa-key"></i> Reset password</button>
+                    <button class="btn btn-sm btn-danger btn-delete-user"><i class="fas fa-trash"></i> Delete</button>
+                </div>
+            `;
+            userList.appendChild(card);
+        });
+    });
+
+    socket.on('existing-servers', ({ servers }) => {
         serverList.innerHTML = ''; 
+        serverStates = Object.fromEntries(servers.map(s => [s.name, s.state]));
+        serverPermissions = Object.fromEntries(servers.map(s => [s.name, s.permissions]));
+        serverLiveStatus = Object.fromEntries(servers.map(s => [s.name, s.status]));
+        const names = servers.map(s => s.name);
         if (servers.length === 0) {
             serverList.innerHTML = '<p>No servers found. Create one to get started!</p>';
-            selectedServerForFiles = null;
         } else {
-            servers.forEach(server => {
+            names.forEach(server => {
                 const serverCard = document.createElement('div');
                 serverCard.className = 'server-card';
                 serverCard.dataset.serverName = server;
@@ -213,27 +1742,25 @@ document.addEventListener('DOMContentLoaded', () => {
                 serverCard.innerHTML = `
                     <div class="server-name">${server}</div>
                     <div class="server-status">
-                        <span id="status-${server}" class="server-status-light stopped"></span>
+                        <span class="server-status-light stopped" data-server-name="${server}"></span>
+                        <span class="server-state-label">Stopped</span>
                     </div>
+                    <div class="server-live" hidden></div>
                     <div class="server-actions">
                          <button class="btn btn-secondary btn-manage-files">Files</button>
                          <button class="btn btn-danger btn-delete-server">Delete</button>
                     </div>
                 `;
                 serverList.appendChild(serverCard);
+                renderLiveStatus(server);
             });
-             if (servers.includes(previouslySelected)) {
-                selectedServerForFiles = previouslySelected;
-            } else {
-                selectedServerForFiles = servers[0] || null;
-            }
         }
 
-        if (selectedServerForFiles) {
-             document.querySelector(`.server-card[data-server-name="${selectedServerForFiles}"]`)?.classList.add('selected');
-        }
-       
-        updateServerStatus(runningServer);
+        const stillExists = names.includes(selectedServer);
+        if (!stillExists) selectedServer = null;
+        selectServer(stillExists ? selectedServer : (names[0] || null));
+        document.querySelector(`.server-card[data-server-name="${selectedServer}"]`)?.classList.add('selected');
+        updateServerStatus();
     });
     
     serverList.addEventListener('click', (e) => {
@@ -241,10 +1768,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!card) return;
 
         const serverName = card.dataset.serverName;
-        
-        document.querySelectorAll('.server-card').forEach(c => c.classList.remove('selected'));
-        card.classList.add('selected');
-        selectedServerForFiles = serverName;
+        selectServer(serverName);
 
         if (e.target.classList.contains('btn-delete-server')) {
              if (confirm(`Are you sure you want to permanently delete the server '${serverName}'? All data will be lost.`)) {
@@ -255,47 +1779,413 @@ document.addEventListener('DOMContentLoaded', () => {
             showSection('files');
             refreshFileList();
         } 
-        updateServerStatus(activeServer);
-    });
-
-    socket.on('version-list', ({ type, versions }) => {
-        if (type === serverTypeSelect.value) {
-            versionNameSelect.innerHTML = '';
-            if (versions.length > 0) {
-                 versions.forEach(version => {
-                    const option = document.createElement('option');
-                    if (typeof version === 'object') {
-                        option.value = version.value;
-                        option.textContent = version.text;
-                    } else {
-                        option.value = version;
-                        option.textContent = version;
-                    }
-                    versionNameSelect.appendChild(option);
-                });
-                versionNameSelect.disabled = false;
-            } else {
-                versionNameSelect.innerHTML = '<option>No versions found</option>';
-            }
+        updateServerStatus();
+    });
+
+    socket.on('version-list', ({ type, versions, ...catalogInfo }) => {
+        if (type !== serverTypeSelect.value) return;
+        versionNameSelect.innerHTML = '';
+        versionCatalogNote.textContent = describeCatalog(catalogInfo);
+        versionCatalogNote.classList.toggle('stale', Boolean(catalogInfo.stale || catalogInfo.error));
+        if (versions.length > 0) {
+            versions.forEach(version => {
+                const option = document.createElement('option');
+                option.value = version.value;
+                option.textContent = version.text;
+                versionNameSelect.appendChild(option);
+            });
+            versionNameSelect.disabled = false;
+        } else {
+            versionNameSelect.innerHTML = '<option>No versions found</option>';
+        }
+        requestBuilds();
+    });
+
+    socket.on('build-list', ({ type, version, builds, error }) => {
+        if (type !== serverTypeSelect.value || version !== versionNameSelect.value) return;
+        if (!builds.length) {
+            buildNameSelect.innerHTML = `<option value="">${escapeHtml(error ? `Could not load: ${error}` : 'Latest')}</option>`;
+        } else {
+            buildNameSelect.innerHTML = `<option value="">Latest (${escapeHtml(builds[0].text)})</option>`
+                + builds.map(b => `<option value="${escapeHtml(b.value)}">${escapeHtml(b.text)}</option>`).join('');
+        }
+        buildNameSelect.disabled = false;
+    });
+
+    socket.on('server-state', ({ serverName, state }) => {
+        serverStates[serverName] = state;
+        updateServerStatus();
+        if (serverName !== selectedServer) return;
+        if (state === 'running') logToTerminal(`\n--- Server "${serverName}" is ready ---\n`);
+        if (state === 'crashed') logToTerminal(`\n--- Server "${serverName}" crashed ---\n`);
+    });
+
+    socket.on('resource-history', ({ serverName, range, samples, current }) => {
+        if (serverName !== selectedServer || range !== resourcesRange.value) return;
+        resourceSamples = samples;
+        resourceCurrent = current;
+        renderResources();
+    });
+
+    // Live samples are appended as they come; the day view is re-bucketed on the next request.
+    socket.on('resource-sample', ({ serverName, sample, current }) => {
+        if (serverName !== selectedServer) return;
+        resourceSamples.push(sample);
+        const since = Date.now() - RANGE_MS[resourcesRange.value];
+        resourceSamples = resourceSamples.filter(s => s.time >= since);
+        resourceCurrent = current;
+        if (document.getElementById('resources').classList.contains('active')) renderResources();
+    });
+
+    socket.on('log-files', ({ serverName, files, levels, types }) => {
+        if (serverName !== selectedServer) return;
+        const previous = logFile.value;
+        logFile.innerHTML = files.map(f => `<option value="${escapeHtml(f.file)}">${escapeHtml(f.file)} (${formatSize(f.size)})</option>`).join('');
+        if (files.length > 1) logFile.insertAdjacentHTML('beforeend', '<option value="all">All files</option>');
+        if ([...logFile.options].some(o => o.value === previous)) logFile.value = previous;
+        if (!logLevels.children.length) {
+            logLevels.innerHTML = levels.map(level => `<label class="checkbox-label"><input type="checkbox" value="${level}"> ${level}</label>`).join('');
+            logType.innerHTML = '<option value="">All events</option>' + types.map(type => `<option value="${type}">${LOG_TYPE_LABELS[type] || type}</option>`).join('');
+        }
+        updateLogDownload();
+        if (files.length) searchLogs();
+        else logsStatus.textContent = 'This server has no log files yet.';
+    });
+
+    socket.on('log-results', ({ serverName, entries, total, truncated, error }) => {
+        if (serverName !== selectedServer) return;
+        logsStatus.classList.toggle('error', Boolean(error));
+        if (error) {
+            logsStatus.textContent = error;
+            return;
+        }
+        logsStatus.textContent = truncated
+            ? `${total} matching entries; showing the newest ${entries.length}. Download to get all of them.`
+            : `${total} matching ${total === 1 ? 'entry' : 'entries'}.`;
+        logResults.innerHTML = entries.map(renderLogEntry).join('');
+        logResults.scrollTop = logResults.scrollHeight;
+    });
+
+    socket.on('server-status', ({ serverName, status }) => {
+        serverLiveStatus[serverName] = status;
+        renderLiveStatus(serverName);
+    });
+
+    socket.on('launch-settings', ({ serverName, manifest, jdks, tunnels, presets }) => {
+        if (serverName !== selectedServer) return;
+        aikarFlags = presets.aikar;
+        launchSettingsForm.hidden = !manifest;
+        if (!manifest) {
+            launchSummary.textContent = 'The launch settings could not be detected from start.sh.';
+            return;
+        }
+        const target = manifest.launch.kind === 'jar' ? manifest.launch.jar : manifest.launch.script;
+        const version = [manifest.mcVersion || 'unknown version', manifest.build && `build ${manifest.build}`].filter(Boolean).join(', ');
+        launchSummary.textContent = `${manifest.type} (${version}), starts ${target}.${manifest.detected ? ' Detected from the existing start.sh; saving regenerates it.' : ''}`;
+        launchMinMemory.value = manifest.memory.minMb;
+        launchMaxMemory.value = manifest.memory.maxMb;
+        launchJdk.innerHTML = jdks.map(jdk => `<option value="${jdk}">${jdk.replace(/^pkgs\./, '')}</option>`).join('');
+        launchJdk.value = manifest.jdk;
+        launchTunnel.innerHTML = tunnels.map(tunnel => `<option value="${tunnel}">${TUNNEL_LABELS[tunnel] || tunnel}</option>`).join('');
+        launchTunnel.value = manifest.tunnel;
+        launchJvmArgs.value = manifest.jvmArgs.join('\n');
+        applyPermissions();
+    });
+
+    socket.on('launch-settings-status', ({ serverName, message, error }) => {
+        if (serverName !== selectedServer) return;
+        launchStatus.textContent = message;
+        launchStatus.classList.toggle('error', Boolean(error));
+    });
+
+    socket.on('update-targets', ({ serverName, type, current, targets, fetchedAt, stale }) => {
+        if (serverName !== selectedServer) return;
+        updateTargets = targets;
+        updateTarget.innerHTML = Object.entries(UPDATE_GROUPS).map(([direction, label]) => {
+            const options = targets.filter(t => t.direction === direction)
+                .map(t => `<option value="${escapeHtml(t.value)}">${escapeHtml(t.text)}</option>`).join('');
+            return options && `<optgroup label="${label}">${options}</optgroup>`;
+        }).join('');
+        const newer = targets.filter(t => t.direction === 'upgrade').length;
+        const offline = stale ? ` Offline: versions as cached at ${formatTime(fetchedAt)}.` : '';
+        updateStatus.textContent = `${type} ${current || '(unknown version)'}: ${newer ? `${newer} newer version${newer === 1 ? '' : 's'} available.` : 'no newer version available.'}${offline}`;
+        updateStatus.classList.remove('error');
+        renderUpdateWarning();
+    });
+
+    socket.on('update-status', ({ serverName, message, error }) => {
+        if (serverName !== selectedServer) return;
+        updateStatus.textContent = message;
+        updateStatus.classList.toggle('error', Boolean(error));
+    });
+
+    socket.on('server-settings', ({ serverName, settings }) => {
+        if (serverName !== selectedServer) return;
+        const { autoRestart } = settings;
+        autoRestartEnabled.checked = autoRestart.enabled;
+        autoRestartAttempts.value = autoRestart.maxAttempts;
+        autoRestartWindow.value = autoRestart.windowSeconds;
+        autoRestartBackoff.value = autoRestart.backoffSeconds;
+        autoRestartMaxBackoff.value = autoRestart.maxBackoffSeconds;
+        const { backups } = settings;
+        backupInclude.value = backups.include.join('\n');
+        backupExclude.value = backups.exclude.join('\n');
+        backupKeepLast.value = backups.retention.keepLast;
+        backupKeepDaily.value = backups.retention.keepDaily;
+        backupKeepWeekly.value = backups.retention.keepWeekly;
+        backupAutoEnabled.checked = backups.auto.enabled;
+        backupAutoInterval.value = backups.auto.intervalHours;
+    });
+
+    socket.on('backup-list', ({ serverName, backups, busy }) => {
+        if (serverName !== selectedServer) return;
+        if (!busy) backupStatus.textContent = '';
+        backupList.innerHTML = backups.length ? '' : '<li class="crash-empty">No backups yet.</li>';
+        const canManage = can('backups.manage');
+        backups.forEach(backup => {
+            const li = document.createElement('li');
+            li.className = 'backup-item';
+            li.dataset.file = backup.file;
+            const downloadUrl = `/api/servers/${encodeURIComponent(serverName)}/backups/${encodeURIComponent(backup.file)}`;
+            li.innerHTML = `
+                <span class="backup-time">${new Date(backup.time).toLocaleString()}</span>
+                <span class="backup-type">${backup.type}</span>
+                <span class="backup-size">${formatSize(backup.size)}</span>
+                <span class="file-actions" ${canManage ? '' : 'hidden'}>
+                    <a class="btn btn-sm btn-secondary" href="${downloadUrl}" download><i class="fas fa-download"></i> Download</a>
+                    <button class="btn btn-sm restart-btn btn-restore-backup"><i class="fas fa-undo"></i> Restore</button>
+                    <button class="btn btn-sm btn-danger btn-delete-backup"><i class="fas fa-trash"></i> Delete</button>
+                </span>
+            `;
+            backupList.appendChild(li);
+        });
+    });
+
+    socket.on('backup-status', ({ serverName, status, message }) => {
+        if (serverName !== selectedServer) return;
+        backupStatus.textContent = message;
+        backupStatus.dataset.status = status;
+        if (status !== 'running' && can('backups.create')) socket.emit('list-backups', { serverName });
+    });
+
+    socket.on('server-properties', ({ serverName, schema, properties, secretsSet, running }) => {
+        if (serverName !== selectedServer) return;
+        renderProperties(schema, properties, secretsSet);
+        if (running) propertiesStatus.textContent = 'The server is running: changes apply after a restart.';
+    });
+
+    socket.on('server-properties-saved', ({ serverName, message }) => {
+        if (serverName === selectedServer) propertiesStatus.textContent = message;
+    });
+
+    socket.on('server-properties-error', ({ serverName, message, errors }) => {
+        if (serverName !== selectedServer) return;
+        propertiesStatus.textContent = `Not saved: ${message}`;
+        errors.forEach(({ key, message: fieldMessage }) => {
+            const field = [...propertiesFields.querySelectorAll('.property-field')].find(f => f.dataset.field === key);
+            if (!field) return;
+            field.classList.add('invalid');
+            field.querySelector('.field-error').textContent = fieldMessage;
+        });
+        propertiesFields.querySelector('.property-field.invalid [data-key]')?.focus();
+    });
+
+    socket.on('player-lists', ({ serverName, lists, errors, running }) => {
+        if (serverName !== selectedServer) return;
+        const canManage = can('players.manage');
+        playersSection.querySelectorAll('.player-list').forEach(ul => {
+            const list = ul.dataset.list;
+            const entries = lists[list] || [];
+            ul.innerHTML = errors[list]
+                ? `<li class="field-error">${escapeHtml(errors[list])}</li>`
+                : entries.length ? '' : '<li class="crash-empty">Empty.</li>';
+            entries.forEach(entry => {
+                const value = list === 'bannedIps' ? entry.ip : entry.name;
+                const li = document.createElement('li');
+                li.className = 'player-item';
+                li.innerHTML = `
+                    <span class="player-name" title="${escapeHtml(entry.uuid || '')}">${escapeHtml(value)}</span>
+                    <span class="player-details">${escapeHtml(describePlayerEntry(list, entry))}</span>
+                    <button class="btn btn-sm btn-secondary btn-remove-player" data-value="${escapeHtml(value)}" ${canManage ? '' : 'hidden'}>Remove</button>
+                `;
+                ul.appendChild(li);
+            });
+        });
+        if (running && !playersStatus.textContent) {
+            playersStatus.textContent = 'The server is running: changes are sent as console commands.';
+        }
+    });
+
+    socket.on('players-status', ({ serverName, message, error }) => {
+        if (serverName !== selectedServer) return;
+        playersStatus.textContent = message;
+        playersStatus.classList.toggle('error', !!error);
+    });
+
+    socket.on('schedule-list', ({ serverName, schedules: list }) => {
+        if (serverName !== selectedServer) return;
+        schedules = list;
+        scheduleList.innerHTML = list.length ? '' : '<li class="crash-empty">No scheduled tasks.</li>';
+        const canManage = can('schedules.manage');
+        list.forEach(schedule => {
+            const li = document.createElement('li');
+            li.className = `schedule-item${schedule.enabled ? '' : ' disabled'}`;
+            li.dataset.id = schedule.id;
+            const lastRun = schedule.lastRun
+                ? `${formatTime(schedule.lastRun.startedAt)} <span class="run-status ${schedule.lastRun.status}">${schedule.lastRun.status}</span>`
+                : 'never';
+            li.innerHTML = `
+                <div class="schedule-header">
+                    <span class="server-name">${escapeHtml(schedule.name)}</span>
+                    <code class="schedule-cron">${escapeHtml(schedule.cron)}</code>
+                    ${schedule.enabled ? '' : '<span class="run-status skipped">disabled</span>'}
+                    ${schedule.running ? '<span class="run-status running">running</span>' : ''}
+                </div>
+                <div class="schedule-steps">${schedule.actions.map(describeAction).join(' &rarr; ')}</div>
+                <div class="schedule-times">Last run: ${lastRun} &middot; Next run: ${formatTime(schedule.nextRun)}</div>
+                <div class="server-actions" ${canManage ? '' : 'hidden'}>
+                    <button class="btn btn-sm start-btn btn-run-schedule" ${schedule.running ? 'disabled' : ''}><i class="fas fa-play"></i> Run now</button>
+                    <button class="btn btn-sm btn-secondary btn-edit-schedule"><i class="fas fa-edit"></i> Edit</button>
+                    <button class="btn btn-sm btn-danger btn-delete-schedule"><i class="fas fa-trash"></i> Delete</button>
+                </div>
+            `;
+            scheduleList.appendChild(li);
+        });
+        socket.emit('get-schedule-runs', { serverName });
+    });
+
+    socket.on('schedule-saved', ({ serverName }) => {
+        if (serverName === selectedServer) resetScheduleForm();
+    });
+
+    socket.on('schedule-runs', ({ serverName, runs }) => {
+        if (serverName !== selectedServer) return;
+        scheduleRunList.innerHTML = runs.length ? '' : '<li class="crash-empty">No runs yet.</li>';
+        runs.forEach(run => {
+            const li = document.createElement('li');
+            li.className = 'crash-item';
+            li.title = run.steps.map(step => `${step.action}: ${step.status}${step.result ? ` (${step.result})` : ''}`).join('\n');
+            li.innerHTML = `${formatTime(run.startedAt)} &middot; ${escapeHtml(run.name)} (${run.trigger}) <span class="run-status ${run.status}">${run.status}</span>`;
+            if (run.error) li.appendChild(Object.assign(document.createElement('div'), { className: 'run-error', textContent: run.error }));
+            scheduleRunList.appendChild(li);
+        });
+    });
+
+    socket.on('webhook-list', ({ serverName, webhooks: list, events, deliveries }) => {
+        if (serverName !== selectedServer) return;
+        webhooks = list;
+        // Rebuilt only when the event list changes, so ticked boxes in an open form survive a refresh.
+        if (webhookEvents.dataset.events !== events.join(',')) {
+            webhookEvents.dataset.events = events.join(',');
+            webhookEvents.innerHTML = events.map(event => `
+                <label class="checkbox-label"><input type="checkbox" value="${event}"> ${WEBHOOK_EVENT_LABELS[event] || event}</label>
+            `).join('');
         }
+        webhookList.innerHTML = list.length ? '' : '<li class="crash-empty">No webhooks yet.</li>';
+        list.forEach(webhook => {
+            const li = document.createElement('li');
+            li.className = `schedule-item${webhook.enabled ? '' : ' disabled'}`;
+            li.dataset.id = webhook.id;
+            li.innerHTML = `
+                <div class="schedule-header">
+                    <span class="server-name">${escapeHtml(webhook.name)}</span>
+                    <code class="schedule-cron">${webhook.format === 'discord' ? 'Discord' : 'JSON'}</code>
+                    ${webhook.enabled ? '' : '<span class="run-status skipped">disabled</span>'}
+                </div>
+                <div class="webhook-url">${escapeHtml(webhook.url)}</div>
+                <div class="schedule-steps">${webhook.events.map(event => WEBHOOK_EVENT_LABELS[event] || escapeHtml(event)).join(', ')}</div>
+                <div class="server-actions">
+                    <button class="btn btn-sm start-btn btn-test-webhook"><i class="fas fa-paper-plane"></i> Send test</button>
+                    <button class="btn btn-sm btn-secondary btn-edit-webhook"><i class="fas fa-edit"></i> Edit</button>
+                    <button class="btn btn-sm btn-danger btn-delete-webhook"><i class="fas fa-trash"></i> Delete</button>
+                </div>
+            `;
+            webhookList.appendChild(li);
+        });
+        webhookDeliveryList.innerHTML = deliveries.length ? '' : '<li class="crash-empty">Nothing sent yet.</li>';
+        deliveries.forEach(delivery => webhookDeliveryList.appendChild(renderDelivery(delivery)));
+    });
+
+    socket.on('webhook-delivery', ({ serverName, delivery }) => {
+        if (serverName !== selectedServer) return;
+        webhookDeliveryList.querySelector('.crash-empty')?.remove();
+        webhookDeliveryList.prepend(renderDelivery(delivery));
     });
 
-    socket.on('script-started', (serverDir) => {
-        updateServerStatus(serverDir);
-        showSection('terminal');
-        logToTerminal(`--- Server "${serverDir}" started ---\n`);
+    socket.on('webhook-status', ({ serverName, message, error }) => {
+        if (serverName !== selectedServer) return;
+        webhooksStatus.textContent = message;
+        webhooksStatus.classList.toggle('error', !!error);
     });
 
-    socket.on('script-stopped', () => {
-        updateServerStatus(null);
-        logToTerminal(`\n--- Server stopped ---\n`);
+    socket.on('webhook-saved', ({ serverName }) => {
+        if (serverName === selectedServer) resetWebhookForm();
     });
 
+    // The server asks before stopping a running server for a restore.
+    socket.on('restore-needs-stop', ({ serverName, file }) => {
+        if (confirm(`'${serverName}' is running. Stop it and restore '${file}'?`)) {
+            socket.emit('restore-backup', { serverName, file, stopServer: true });
+        }
+    });
+
+    socket.on('server-crashed', ({ serverName }) => {
+        if (serverName === selectedServer) socket.emit('get-crash-history', { serverName });
+    });
+
+    socket.on('crash-history', ({ serverName, crashes }) => {
+        if (serverName !== selectedServer) return;
+        crashList.innerHTML = crashes.length ? '' : '<li class="crash-empty">No crashes recorded.</li>';
+        crashes.forEach(crash => {
+            const li = document.createElement('li');
+            li.className = 'crash-item';
+            li.dataset.id = crash.id;
+            const reason = crash.signal ? `signal ${crash.signal}` : `exit code ${crash.exitCode}`;
+            li.textContent = `${new Date(crash.time).toLocaleString()} (${reason})${crash.crashReportFile ? ' - ' + crash.crashReportFile : ''}`;
+            crashList.appendChild(li);
+        });
+    });
+
+    socket.on('crash-details', ({ serverName, crash }) => {
+        if (serverName !== selectedServer) return;
+        let text = `--- Console (last ${crash.consoleTail.length} lines) ---\n${crash.consoleTail.join('\n')}\n`;
+        if (crash.crashReport) text += `\n--- ${crash.crashReport.file} ---\n${crash.crashReport.content}`;
+        crashDetails.textContent = text;
+        crashDetails.hidden = false;
+    });
+
+    socket.on('script-started', (serverName) => {
+        if (serverName === selectedServer) {
+            showSection('terminal');
+            logToTerminal(`--- Server "${serverName}" started ---\n`);
+        }
+    });
+
+    socket.on('script-stopped', (serverName) => {
+        if (serverName === selectedServer) logToTerminal(`\n--- Server stopped ---\n`);
+    });
+
+    socket.on('server-stop-progress', ({ serverName, phase }) => {
+        if (serverName !== selectedServer) return;
+        serverStatusText.textContent = `Stopping: ${phase} (${serverName})`;
+    });
+
+    socket.on('server-output', ({ serverName, data }) => {
+        if (serverName === selectedServer) logToTerminal(data);
+    });
+
+    // Sent after joining a console (also on reconnect), so it replaces whatever is shown.
+    socket.on('console-history', ({ serverName, data }) => {
+        if (serverName !== selectedServer) return;
+        terminalOutput.textContent = '';
+        logToTerminal(data);
+        terminalOutput.scrollTop = terminalOutput.scrollHeight;
+    });
     socket.on('terminal-output', logToTerminal);
     socket.on('creation-status', logToCreation);
 
     socket.on('file-list', ({ serverName, subDir, files }) => {
-        if (serverName !== selectedServerForFiles) return;
+        if (serverName !== selectedServer) return;
         currentPath = subDir ? subDir.split('/').filter(p => p) : [];
         fileList.innerHTML = '';
         files.sort((a, b) => {
@@ -311,8 +2201,10 @@ document.addEventListener('DOMContentLoaded', () => {
             li.dataset.name = file.name;
             li.dataset.type = file.isDirectory ? 'directory' : 'file';
             li.innerHTML = `
+                <input type="checkbox" class="file-select" title="Select">
                 <span class="file-icon"><i class="fas ${file.isDirectory ? 'fa-folder' : 'fa-file-alt'}"></i></span>
-                <span class="file-name">${file.name}</span>
+                <span class="file-name">${escapeHtml(file.name)}</span>
+                <span class="file-size">${file.size === null ? '' : formatSize(file.size)}</span>
                 <span class="file-actions">
                     <button class="btn btn-sm btn-secondary btn-rename" title="Rename">Rename</button>
                     <button class="btn btn-sm btn-danger btn-delete" title="Delete">Delete</button>
@@ -320,21 +2212,74 @@ document.addEventListener('DOMContentLoaded', () => {
             `;
             fileList.appendChild(li);
         });
+        updateFileToolbar();
     });
 
-    socket.on('file-content', ({ filePath, content }) => {
+    socket.on('file-content', ({ filePath, content, binary, tooLarge, size, hash, maxBytes }) => {
+        editorConflict.hidden = true;
+        editorMaxBytes = maxBytes ?? Infinity;
+        revisionDiff.hidden = true;
+        ignoreSyntaxErrors = false;
+        if (binary || tooLarge) {
+            selectedFile = null;
+            editorHash = null;
+            historyBtn.disabled = true;
+            revisionPanel.hidden = true;
+            editorInfo.innerHTML = `${escapeHtml(filePath)} ${binary ? 'is a binary file' : 'is too large for the editor'} (${formatSize(size)}). <a href="${fileDownloadUrl(filePath)}">Download it</a>`;
+            setEditorText('');
+            setEditorEnabled(false, false);
+            saveFileBtn.disabled = true;
+            checkEditorSyntax();
+            return;
+        }
         selectedFile = filePath;
+        editorHash = hash;
         editorInfo.textContent = `Editing: ${filePath}`;
-        fileEditor.value = content;
-        fileEditor.disabled = false;
-        saveFileBtn.disabled = false;
+        setEditorText(content, filePath);
+        setEditorEnabled(true, can('files.write'));
+        saveFileBtn.disabled = !can('files.write');
+        historyBtn.disabled = false;
+        checkEditorSyntax();
+        requestRevisions();
+    });
+
+    const isEditedFile = (serverName, filePath) => serverName === selectedServer && filePath === selectedFile;
+
+    socket.on('file-saved', ({ serverName, filePath, hash }) => {
+        if (!isEditedFile(serverName, filePath)) return;
+        editorHash = hash;
+        ignoreSyntaxErrors = false;
+        checkEditorSyntax();
+        requestRevisions();
+    });
+
+    socket.on('file-syntax', (result) => {
+        if (isEditedFile(result.serverName, result.filePath)) showSyntaxErrors(result);
+    });
+
+    socket.on('file-save-conflict', ({ serverName, filePath }) => {
+        if (!isEditedFile(serverName, filePath)) return;
+        editorConflict.hidden = false;
+        requestRevisions();
+    });
+
+    socket.on('file-revisions', ({ serverName, filePath, revisions }) => {
+        if (isEditedFile(serverName, filePath)) renderRevisions(revisions);
+    });
+
+    socket.on('file-revision-diff', (diff) => {
+        if (isEditedFile(diff.serverName, diff.filePath)) renderDiff(diff);
+    });
+
+    socket.on('file-operation-status', ({ serverName, message, error }) => {
+        if (serverName === selectedServer) showFileStatus(message, error);
     });
 
     // --- BUG FIX: Listen for server instruction and refresh file list ---
     socket.on('refresh-file-list', ({ serverName, subDir }) => {
         // Check if the update is for the currently viewed server and path
         const currentSubDir = currentPath.join('/');
-        if (serverName === selectedServerForFiles && subDir === currentSubDir) {
+        if (serverName === selectedServer && subDir === currentSubDir) {
             refreshFileList();
         }
     });
@@ -1,165 +1,254 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const { spawn, exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const fsp = require('fs').promises;
-const axios = require('axios');
 const { rimraf } = require('rimraf');
+const { loadConfig } = require('./lib/config');
+const { ProcessManager } = require('./lib/processManager');
+const { DATA_DIR_NAME } = require('./lib/storage');
+const { ServerSettings } = require('./lib/serverSettings');
+const { CrashMonitor, normalizeAutoRestartPolicy } = require('./lib/crashMonitor');
+const { Auth } = require('./lib/auth');
+const { BackupManager, normalizeBackupSettings } = require('./lib/backups');
+const { Scheduler } = require('./lib/scheduler');
+const { ConsoleLog } = require('./lib/consoleLog');
+const { publicSchema, publicProperties, withoutBlankSecrets, readServerProperties, updateServerProperties } = require('./lib/serverProperties');
+const { PlayerManager, parsePlayerEvent } = require('./lib/players');
+const { RconManager, createRconProperties } = require('./lib/rcon');
+const { StatusPoller } = require('./lib/serverStatus');
+const { ResourceMonitor } = require('./lib/resourceMonitor');
+const { Metrics, tokenMatches } = require('./lib/metrics');
+const { WebhookManager, EVENTS: WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { InstallJobs } = require('./lib/installJobs');
+const { DownloadCache } = require('./lib/downloads');
+const { VersionCatalog, BUILD_TYPES } = require('./lib/versionCatalog');
+const { ServerManifests, normalizeLaunch, neoForgeMcVersion, AIKAR_FLAGS, JDK_PACKAGES, TUNNELS } = require('./lib/serverManifest');
+const serverLogs = require('./lib/serverLogs');
+const files = require('./lib/fileManager');
+const { FileRevisions } = require('./lib/fileRevisions');
+const { checkSyntax } = require('./lib/syntaxCheck');
+const sandbox = require('./lib/sandbox');
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server);
+// Saves from the editor send the whole file in one message. Its JSON can be up to twice the
+// file's size (every quote or line break escaped), plus room for the rest of the message.
+const io = socketIo(server, { maxHttpBufferSize: 2 * files.MAX_EDITOR_BYTES + 64 * 1024 });
 
 const PORT = 3000;
-let scriptProcess = null;
-let activeServerDir = null;
-const playitExecutableName = 'playit-linux-amd64';
+// The Logs view shows at most this many matches; the download has all of them.
+const LOG_RESULT_LIMIT = 2000;
+const config = loadConfig(__dirname);
+const DATA_DIR = path.join(__dirname, DATA_DIR_NAME);
+const processes = new ProcessManager(__dirname, { stop: config.stop });
+const serverSettings = new ServerSettings(DATA_DIR);
+const crashMonitor = new CrashMonitor(processes, serverSettings);
+const auth = new Auth(DATA_DIR, config.auth);
+const backups = new BackupManager(processes, serverSettings);
+const rcon = new RconManager(processes);
+const scheduler = new Scheduler(processes, backups, serverSettings, rcon, { start: startServer, stop: stopServer, restart: restartServer });
+const consoleLog = new ConsoleLog(serverSettings, config.console);
+const players = new PlayerManager(processes, { mode: config.players.uuidResolver, rcon });
+const statusPoller = new StatusPoller(processes, config.status);
+const resources = new ResourceMonitor(processes, rcon, config.resources);
+const webhooks = new WebhookManager(serverSettings, config.webhooks);
+const manifests = new ServerManifests(serverSettings, __dirname);
+const downloads = new DownloadCache(DATA_DIR);
+const catalog = new VersionCatalog(DATA_DIR, config.catalog);
+const uploads = new files.Uploads(DATA_DIR);
+const fileRevisions = new FileRevisions(serverSettings, { maxPerFile: config.files.revisionsPerFile });
+const installJobs = new InstallJobs(DATA_DIR, { concurrency: config.installs.concurrency, run: runInstallJob });
+const metrics = new Metrics({ processes, crashMonitor, backups, statusPoller, resources, installJobs, countClients: () => io.sockets.sockets.size });
 
 // --- API URLs ---
-const mojangVersionsUrl = 'https://launchermeta.mojang.com/mc/game/version_manifest.json';
-const paperApiUrl = 'https://api.papermc.io/v2/projects/paper';
-const purpurApiUrl = 'https://api.purpurmc.org/v2/purpur';
-const spigotApiUrl = 'https://hub.spigotmc.org/versions/';
+// Version lists and build metadata come from the version catalog (lib/versionCatalog.js).
 const spigotBuildToolsUrl = 'https://hub.spigotmc.org/jenkins/job/BuildTools/lastSuccessfulBuild/artifact/target/BuildTools.jar';
-const forgePromotionsUrl = 'https://files.minecraftforge.net/net/minecraftforge/forge/promotions_slim.json';
 const forgeMavenUrl = 'https://maven.minecraftforge.net/net/minecraftforge/forge/';
 const neoForgeMavenUrl = 'https://maven.neoforged.net/releases/net/neoforged/neoforge/';
-const neoForgeMetadataUrl = `${neoForgeMavenUrl}maven-metadata.xml`;
-const fabricMetaUrl = 'https://meta.fabricmc.net/v2/versions';
 
+// The panel itself needs a session; the login page and static assets do not.
+app.get(['/', '/index.html'], (req, res, next) => {
+    if (!auth.userFromRequest(req)) return res.redirect('/login.html');
+    next();
+});
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
 
-// --- Helper Functions ---
-const runCommand = (socket, command, args, cwd) => {
-    return new Promise((resolve, reject) => {
-        const proc = spawn(command, args, { cwd, shell: true });
-        const sendStatus = (msg) => socket.emit('creation-status', msg);
-
-        proc.stdout.on('data', (data) => sendStatus(data.toString()));
-        proc.stderr.on('data', (data) => sendStatus(data.toString()));
-
-        proc.on('close', (code) => {
-            if (code === 0) {
-                resolve();
-            } else {
-                reject(new Error(`Command failed with code ${code}: ${command} ${args.join(' ')}`));
-            }
-        });
-        proc.on('error', (err) => reject(err));
-    });
+// --- Auth Routes ---
+app.get('/api/session', (req, res) => {
+    res.json({ setupRequired: !auth.hasUsers(), user: auth.userFromRequest(req) });
+});
+
+// Creates the first admin account; only available while no accounts exist.
+app.post('/api/setup', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (!(await auth.createFirstAdmin({ username, password }))) {
+            return res.status(403).json({ error: 'Setup has already been completed.' });
+        }
+        const token = await auth.login(username, password, req.ip);
+        res.setHeader('Set-Cookie', auth.sessionCookie(token));
+        res.json({ ok: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const token = await auth.login(username, password, req.ip);
+        res.setHeader('Set-Cookie', auth.sessionCookie(token));
+        res.json({ ok: true });
+    } catch (error) {
+        res.status(401).json({ error: error.message });
+    }
+});
+
+// For routes scoped to a server, the server comes from the :serverName route parameter.
+const requirePermission = (permission) => (req, res, next) => {
+    const user = auth.userFromRequest(req);
+    if (!user) return res.status(401).json({ error: 'Not logged in.' });
+    if (!auth.can(user, permission, req.params.serverName)) return res.status(403).json({ error: 'Permission denied.' });
+    req.user = user;
+    next();
 };
 
-async function downloadFile(url, destPath, socket) {
-    const sendStatus = (msg) => socket.emit('creation-status', msg);
-    sendStatus(`Downloading from ${url}...\n`);
-    await runCommand(socket, 'curl', ['-L', '-o', destPath, url], __dirname);
-}
+app.post('/api/logout', async (req, res) => {
+    const token = auth.tokenFromRequest(req);
+    await auth.logout(token);
+    disconnectSockets(client => client.data.sessionToken === token);
+    res.setHeader('Set-Cookie', auth.sessionCookie(null));
+    res.json({ ok: true });
+});
 
-// --- Version Fetching ---
-async function getVanillaVersions() {
+// --- Backup Downloads ---
+app.get('/api/servers/:serverName/backups/:file', requirePermission('backups.manage'), (req, res) => {
     try {
-        const response = await axios.get(mojangVersionsUrl);
-        return response.data.versions.map(v => v.id);
+        const archive = backups.resolveBackup(req.params.serverName, req.params.file);
+        if (!fs.existsSync(archive)) return res.status(404).json({ error: 'Backup not found.' });
+        res.download(archive, `${req.params.serverName}-${req.params.file}`);
     } catch (error) {
-        console.error('Error fetching Vanilla versions:', error);
-        return [];
+        res.status(400).json({ error: error.message });
     }
-}
+});
 
-async function getPaperVersions() {
+// --- Log Downloads ---
+// The lines matching the Logs view's filter, as plain text. levels and types are comma-separated.
+app.get('/api/servers/:serverName/logs', requirePermission('files.read'), async (req, res) => {
+    const { serverName } = req.params;
+    const { file = 'latest.log', levels, types, from, to, player, text } = req.query;
+    const split = (value) => String(value || '').split(',').filter(Boolean);
+    const filter = { file, levels: split(levels), types: split(types), from, to, player, text };
     try {
-        const response = await axios.get(paperApiUrl);
-        return response.data.versions.reverse();
+        const serverDir = await existingServerDir(serverName);
+        const query = await serverLogs.resolveQuery(serverDir, filter);
+        res.attachment(`${serverName}-${file === 'all' ? 'logs.log' : file.replace(/\.gz$/, '')}`).type('text/plain; charset=utf-8');
+        await serverLogs.writeMatchingLines(serverDir, query, res);
+        res.end();
     } catch (error) {
-        console.error('Error fetching Paper versions:', error);
-        return [];
+        if (res.headersSent) return res.destroy(error);
+        if (error.code === 'ENOENT') return res.status(404).json({ error: 'Log file not found.' });
+        res.status(error.status || 400).json({ error: error.message });
     }
-}
+});
 
-async function getPurpurVersions() {
+// --- File Transfers ---
+// Uploads are resumable: POST announces the file, PUT sends the bytes from ?offset= on, GET tells
+// how many arrived so an interrupted upload can continue, DELETE gives up. Downloads are
+// streamed; folders are zipped on the fly.
+const sendFileError = (res, error) => {
+    if (res.headersSent) return res.destroy(error);
+    if (error.code === 'ENOENT') return res.status(404).json({ error: 'File not found.' });
+    res.status(error.status || 400).json({ error: error.message, received: error.received });
+};
+
+app.post('/api/servers/:serverName/uploads', requirePermission('files.write'), async (req, res) => {
     try {
-        const response = await axios.get(purpurApiUrl);
-        return response.data.versions.reverse();
+        const { serverName } = req.params;
+        const upload = await uploads.start(serverName, await existingServerDir(serverName), req.body || {}, req.user.username);
+        res.status(201).json(upload);
     } catch (error) {
-        console.error('Error fetching Purpur versions:', error);
-        return [];
+        sendFileError(res, error);
     }
-}
+});
 
-async function getSpigotVersions() {
+app.get('/api/servers/:serverName/uploads/:id', requirePermission('files.write'), async (req, res) => {
     try {
-        const response = await axios.get(spigotApiUrl);
-        const regex = /<a href="([0-9]+\.[0-9]+(\.[0-9]+)?)">/g;
-        const matches = [...response.data.matchAll(regex)];
-        const versions = [...new Set(matches.map(m => m[1]))];
-        return versions.sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+        res.json(await uploads.get(req.params.serverName, req.params.id));
     } catch (error) {
-        console.error('Error fetching Spigot versions:', error);
-        return [];
+        sendFileError(res, error);
     }
-}
+});
 
-async function getForgeVersions() {
+app.put('/api/servers/:serverName/uploads/:id', requirePermission('files.write'), async (req, res) => {
     try {
-        const response = await axios.get(forgePromotionsUrl);
-        const promos = response.data.promos;
-        const versions = new Set();
-        for (const key in promos) {
-            const mcVersion = key.split('-')[0];
-            const forgeBuild = promos[key];
-            if (mcVersion && forgeBuild) {
-                versions.add(`${mcVersion}-${forgeBuild}`);
-            }
-        }
-        return Array.from(versions).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+        const { serverName, id } = req.params;
+        const offset = Number(req.query.offset);
+        if (!Number.isSafeInteger(offset) || offset < 0) throw new files.FileError('The chunk offset is missing.');
+        res.json(await uploads.append(serverName, await existingServerDir(serverName), id, offset, req));
     } catch (error) {
-        console.error('Error fetching Forge versions:', error);
-        return [];
+        sendFileError(res, error);
     }
-}
+});
 
-async function getFabricVersions() {
+app.delete('/api/servers/:serverName/uploads/:id', requirePermission('files.write'), async (req, res) => {
     try {
-        const response = await axios.get(`${fabricMetaUrl}/game`);
-        return response.data.filter(v => v.stable).map(v => v.version);
+        await uploads.cancel(req.params.serverName, req.params.id);
+        res.json({ ok: true });
     } catch (error) {
-        console.error('Error fetching Fabric versions:', error);
-        return [];
+        sendFileError(res, error);
     }
-}
+});
 
-async function getNeoForgeVersions() {
+app.get('/api/servers/:serverName/files/download', requirePermission('files.read'), async (req, res) => {
     try {
-        const response = await axios.get(neoForgeMetadataUrl);
-        const xml = response.data;
-        const versionRegex = /<version>(.*?)<\/version>/g;
-        const matches = [...xml.matchAll(versionRegex)];
-        const versions = matches.map(m => m[1])
-            .filter(v => !v.includes('snapshot'))
-            .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
-        
-        return versions.map(version => {
-            const parts = version.split('.');
-            if (parts.length < 3) return { value: version, text: version };
-            const mcVersion = `1.${parts[0]}.${parts[1]}`;
-            if (parseInt(parts[0]) > 1) {
-                 return { value: version, text: `MC 1.${version}` };
-            }
-            return {
-                value: version,
-                text: `MC ${mcVersion} (${version})`
-            };
-        });
+        const { serverName } = req.params;
+        const serverDir = await existingServerDir(serverName);
+        const target = await sandbox.resolvePath(serverDir, req.query.path, { allowRoot: true });
+        const stat = await fsp.stat(target);
+        const name = target === serverDir ? serverName : path.basename(target);
+        if (!stat.isDirectory()) {
+            return res.download(target, name, { dotfiles: 'allow' }, (error) => error && sendFileError(res, error));
+        }
+        res.attachment(`${name}.zip`);
+        await files.writeZip(target, await fsp.readdir(target), res);
     } catch (error) {
-        console.error('Error fetching NeoForge versions:', error);
-        return [];
+        sendFileError(res, error);
     }
+});
+
+// --- Metrics ---
+// For Prometheus; outside the login so a scraper can reach it, optionally behind a bearer token.
+if (config.metrics.enabled) {
+    if (!config.metrics.token) console.warn('Warning: /metrics is enabled without metrics.token; anyone who can reach the panel can read it.');
+    app.get('/metrics', async (req, res) => {
+        if (config.metrics.token) {
+            const [scheme, token] = (req.headers.authorization || '').split(' ');
+            if (scheme !== 'Bearer' || !tokenMatches(config.metrics.token, token)) {
+                return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized\n');
+            }
+        }
+        try {
+            res.type('text/plain; version=0.0.4; charset=utf-8').send(await metrics.render(await getExistingServers()));
+        } catch (error) {
+            console.error('Could not collect metrics:', error);
+            res.status(500).send(`${error.message}\n`);
+        }
+    });
+}
+
+// --- Helper Functions ---
+// job is the install job's context (see InstallJobs): output goes to its log, progress to its
+// watchers, and cancelling it aborts the download. verify: the checksums and options of
+// DownloadCache.fetch.
+async function downloadFile(url, destPath, job, verify = {}) {
+    await downloads.fetch(url, destPath, { ...verify, signal: job.signal, log: job.log, progress: job.progress });
 }
 
-// --- JDK & Start Script Logic ---
+// --- JDK Selection ---
 function getJdkPackage(mcVersion, forBuildTools = false) {
     if (forBuildTools) {
         return 'pkgs.jdk17_headless';
@@ -194,16 +283,11 @@ function getJdkPackage(mcVersion, forBuildTools = false) {
     return 'pkgs.jdk17_headless'; // Fallback
 }
 
-const createStartScript = (javaCommand, jdkPackage, projectRoot) => {
-    const absolutePlayitPath = path.resolve(projectRoot, playitExecutableName);
-    return `#!/bin/bash\n# Script to run a Minecraft server with a playit.gg tunnel\n\necho "Starting playit.gg tunnel in the background..."\n${absolutePlayitPath} > /dev/null 2>&1 &\nPLAYIT_PID=$!\n\ntrap 'echo "Stopping playit.gg tunnel..."; kill $PLAYIT_PID' EXIT\n\necho "Waiting for the tunnel to establish..."\nsleep 5\n\necho "Starting Minecraft server..."\nnix-shell -p ${jdkPackage} --run "${javaCommand}"\n\necho "Minecraft server process has finished."\n`;
-};
-
 async function getExistingServers() {
     try {
         const entries = await fsp.readdir(__dirname, { withFileTypes: true });
         return entries
-            .filter(dirent => dirent.isDirectory() && !['node_modules', 'public', '.git', '.idx'].includes(dirent.name) && !dirent.name.startsWith('.'))
+            .filter(dirent => dirent.isDirectory() && sandbox.isServerName(dirent.name))
             .map(dirent => dirent.name);
     } catch (error) {
         console.error("Error reading server directories:", error);
@@ -211,292 +295,1264 @@ async function getExistingServers() {
     }
 }
 
+// The directory of an existing server. Every handler gets it from here, so a name like "../x"
+// or "public" never becomes a path.
+async function existingServerDir(serverName) {
+    const dir = sandbox.serverDir(__dirname, serverName);
+    if (!(await getExistingServers()).includes(serverName)) throw new sandbox.PathError(`Server '${serverName}' not found.`, 404);
+    return dir;
+}
+
+// Only the servers this user may see, each with the user's permissions on it.
+async function getServerList(user) {
+    const names = await getExistingServers();
+    return names
+        .filter(name => auth.can(user, 'server.view', name))
+        .map(name => ({
+            name,
+            state: processes.getState(name),
+            status: statusPoller.get(name),
+            permissions: auth.permissionsFor(user, name)
+        }));
+}
+
+// --- Client Broadcasts ---
+// Looked up on every use so role changes and deleted accounts apply immediately.
+const socketUser = (socket) => auth.getUser(socket.data.username);
+
+const disconnectSockets = (predicate) => {
+    for (const client of io.sockets.sockets.values()) {
+        if (predicate(client)) client.disconnect(true);
+    }
+};
+
+// Sends a server's events only to clients whose user may see that server (or holds a narrower permission on it).
+const emitToViewers = (serverName, event, payload, permission = 'server.view') => {
+    for (const client of io.sockets.sockets.values()) {
+        if (auth.can(socketUser(client), permission, serverName)) client.emit(event, payload);
+    }
+};
+
+const sendServerList = async (client) => {
+    client.emit('existing-servers', { servers: await getServerList(socketUser(client)) });
+};
+
+const broadcastServerList = async () => {
+    await Promise.all([...io.sockets.sockets.values()].map(sendServerList));
+};
+
+// After a user's roles change: resend their server list and drop consoles they may no longer read.
+const refreshUserSockets = async (username) => {
+    for (const client of io.sockets.sockets.values()) {
+        if (client.data.username !== username) continue;
+        const user = socketUser(client);
+        for (const room of client.rooms) {
+            if (room.startsWith('console:') && !auth.can(user, 'console.view', room.slice('console:'.length))) {
+                client.leave(room);
+            }
+        }
+        client.emit('session', { username: user.username, role: user.role, permissions: auth.permissionsFor(user) });
+        await sendServerList(client);
+    }
+};
+
+// --- Process Events ---
+// Console output goes only to the clients that joined the server's room. It is also
+// kept for replay and written to the server's console log.
+const consoleRoom = (serverName) => `console:${serverName}`;
+
+const sendConsole = (serverName, data) => {
+    consoleLog.append(serverName, data);
+    io.to(consoleRoom(serverName)).emit('server-output', { serverName, data });
+};
+
+processes.on('output', (serverName, data) => {
+    sendConsole(serverName, data);
+});
+
+processes.on('started', (serverName) => {
+    consoleLog.writeLog(serverName, `\n=== Server started at ${new Date().toISOString()} ===\n`);
+    emitToViewers(serverName, 'script-started', serverName);
+});
+
+processes.on('state', (serverName, state, previous) => {
+    emitToViewers(serverName, 'server-state', { serverName, state });
+    if (state === 'running') webhooks.notify(serverName, 'started', `Server '${serverName}' has started.`);
+    // "stopped" also ends an install, which has its own events.
+    if (state === 'stopped' && previous !== 'installing') webhooks.notify(serverName, 'stopped', `Server '${serverName}' has stopped.`);
+});
+
+processes.on('line', (serverName, line) => {
+    const event = parsePlayerEvent(line);
+    if (!event) return;
+    const verb = event.type === 'join' ? 'joined' : 'left';
+    webhooks.notify(serverName, `player-${verb}`, `${event.player} ${verb} '${serverName}'.`, { player: event.player });
+});
+
+statusPoller.on('status', (serverName, status) => {
+    emitToViewers(serverName, 'server-status', { serverName, status });
+});
+
+resources.on('sample', (serverName, sample, current) => {
+    emitToViewers(serverName, 'resource-sample', { serverName, sample, current });
+});
+
+resources.on('warning', (serverName, warning) => {
+    consoleNotice(serverName, `Warning: ${warning.message}`);
+});
+
+processes.on('stop-progress', (serverName, phase, message) => {
+    sendConsole(serverName, `\n--- ${message} ---\n`);
+    emitToViewers(serverName, 'server-stop-progress', { serverName, phase });
+});
+
+processes.on('exit', (serverName, code, signal) => {
+    const reason = signal ? `signal: ${signal}` : `code: ${code}`;
+    sendConsole(serverName, `\n--- Server process finished (${reason}) ---\n`);
+    emitToViewers(serverName, 'script-stopped', serverName);
+});
+
+// --- Crash Events ---
+const consoleNotice = (serverName, message) => {
+    sendConsole(serverName, `\n--- ${message} ---\n`);
+};
+
+crashMonitor.on('crash', (serverName, crash) => {
+    const report = crash.crashReport ? ` Crash report: ${crash.crashReport.file}` : '';
+    consoleNotice(serverName, `Server crashed.${report}`);
+    emitToViewers(serverName, 'server-crashed', { serverName, id: crash.id, time: crash.time });
+    webhooks.notify(serverName, 'crashed', `Server '${serverName}' crashed.`, {
+        exitCode: crash.exitCode,
+        signal: crash.signal,
+        crashReport: crash.crashReport?.file
+    });
+});
+
+crashMonitor.on('restart-scheduled', (serverName, { attempt, maxAttempts, delaySeconds }) => {
+    consoleNotice(serverName, `Auto-restart ${attempt}/${maxAttempts} in ${delaySeconds}s`);
+});
+
+crashMonitor.on('restart-failed', (serverName, error) => {
+    consoleNotice(serverName, `Auto-restart failed: ${error.message}`);
+});
+
+crashMonitor.on('crash-looping', (serverName, { crashes, windowSeconds }) => {
+    consoleNotice(serverName, `Server crashed ${crashes} times within ${windowSeconds}s. Auto-restart disabled until it is started manually.`);
+});
+
+// --- Backup Events ---
+const sendBackupStatus = (serverName, status, message) => {
+    consoleNotice(serverName, message);
+    emitToViewers(serverName, 'backup-status', { serverName, status, message });
+};
+
+backups.on('backup-started', (serverName, { file }) => sendBackupStatus(serverName, 'running', `Backup started: ${file}`));
+backups.on('backup-finished', (serverName, { file, size, type }) => {
+    sendBackupStatus(serverName, 'done', `Backup finished: ${file} (${(size / 1048576).toFixed(1)} MB)`);
+    webhooks.notify(serverName, 'backup-finished', `Backup of '${serverName}' finished: ${file}`, { file, size, type });
+});
+backups.on('backup-failed', (serverName, error) => {
+    sendBackupStatus(serverName, 'failed', `Backup failed: ${error.message}`);
+    webhooks.notify(serverName, 'backup-failed', `Backup of '${serverName}' failed: ${error.message}`, { error: error.message });
+});
+backups.on('backups-pruned', (serverName, files) => sendBackupStatus(serverName, 'pruned', `Retention removed ${files.length} old backup(s)`));
+backups.on('restore-progress', (serverName, message) => sendBackupStatus(serverName, 'running', message));
+backups.on('restore-finished', (serverName, file) => sendBackupStatus(serverName, 'done', `Restored ${file}`));
+backups.on('restore-failed', (serverName, error) => sendBackupStatus(serverName, 'failed', `Restore failed: ${error.message}`));
+
+// --- Webhook Events ---
+webhooks.on('delivery', (serverName, delivery) => {
+    emitToViewers(serverName, 'webhook-delivery', { serverName, delivery }, 'server.settings');
+});
+
+// --- Install Job Events ---
+const installJobRoom = (id) => `install-job:${id}`;
+
+// Installs are panel-wide; an update belongs to its server and goes to whoever may change that server's settings.
+const jobScope = (job) => (job.kind === 'update' ? ['server.settings', job.serverName] : ['server.create', undefined]);
+
+installJobs.on('update', (job) => {
+    const [permission, serverName] = jobScope(job);
+    emitToViewers(serverName, 'install-job-update', { job }, permission);
+});
+installJobs.on('output', (job, data) => io.to(installJobRoom(job.id)).emit('install-job-output', { id: job.id, data }));
+installJobs.on('progress', (job, info) => io.to(installJobRoom(job.id)).emit('install-job-progress', { id: job.id, ...info }));
+
+// --- Server Control ---
+// Used by the control buttons and by scheduled tasks alike, so both respect running updates and
+// keep the crash monitor in step.
+function startServer(serverName) {
+    if (installJobs.isBusy(serverName)) throw new Error(`An update of '${serverName}' is queued or running.`);
+    crashMonitor.reset(serverName);
+    processes.get(serverName).start();
+}
+
+// Cancels a pending auto-restart even if the server is not running.
+// Resolves with { stopped, cancelledRestart }; stopped is false if it was not running.
+async function stopServer(serverName) {
+    const cancelledRestart = crashMonitor.cancel(serverName);
+    crashMonitor.reset(serverName);
+    if (cancelledRestart) consoleNotice(serverName, 'Pending auto-restart cancelled');
+    if (!processes.isRunning(serverName)) return { stopped: false, cancelledRestart };
+    sendConsole(serverName, `\n--- Stopping server... ---\n`);
+    await processes.get(serverName).stop();
+    return { stopped: true, cancelledRestart };
+}
+
+// Resolves with false if the server was not running.
+async function restartServer(serverName) {
+    if (!processes.isRunning(serverName)) return false;
+    crashMonitor.reset(serverName);
+    sendConsole(serverName, `\n--- Restarting server '${serverName}'... ---\n`);
+    await processes.get(serverName).restart();
+    return true;
+}
+
+// --- Scheduler Events ---
+const broadcastSchedules = async (serverName) => {
+    emitToViewers(serverName, 'schedule-list', { serverName, schedules: await scheduler.list(serverName) }, 'schedules.view');
+};
+
+scheduler.on('run-started', (serverName, run) => {
+    consoleNotice(serverName, `Scheduled task '${run.name}' started (${run.trigger})`);
+    broadcastSchedules(serverName).catch(() => {});
+});
+
+scheduler.on('step-started', (serverName, run, step) => {
+    consoleNotice(serverName, `Scheduled task '${run.name}': ${step.action}`);
+});
+
+scheduler.on('run-finished', (serverName, run) => {
+    const detail = run.error ? `: ${run.error}` : '';
+    consoleNotice(serverName, `Scheduled task '${run.name}' ${run.status}${detail}`);
+    broadcastSchedules(serverName).catch(() => {});
+});
+
 // --- Server Installation Logic ---
-async function installVanilla(serverDir, versionName, ram, socket) {
+async function installVanilla(serverDir, versionName, job) {
     const serverJarName = 'server.jar';
-    const response = await axios.get(mojangVersionsUrl);
-    const versionMetaUrl = response.data.versions.find(v => v.id === versionName)?.url;
-    if (!versionMetaUrl) throw new Error(`Metadata for Vanilla ${versionName} not found.`);
-    const metaResponse = await axios.get(versionMetaUrl);
-    await downloadFile(metaResponse.data.downloads.server.url, path.join(serverDir, serverJarName), socket);
-    return `java -Xms${ram}G -Xmx${ram}G -jar ${serverJarName} nogui`;
+    const { url, sha1 } = await catalog.vanillaServer(versionName);
+    await downloadFile(url, await sandbox.resolvePath(serverDir, serverJarName), job, { sha1 });
+    return { launch: { kind: 'jar', jar: serverJarName } };
 }
 
-async function installPaper(serverDir, versionName, ram, socket) {
-    const buildsResponse = await axios.get(`${paperApiUrl}/versions/${versionName}/builds`);
-    const latestBuild = buildsResponse.data.builds.pop();
-    if (!latestBuild) throw new Error(`No builds for Paper ${versionName} found.`);
-    const serverJarName = latestBuild.downloads.application.name;
-    const downloadUrl = `${paperApiUrl}/versions/${versionName}/builds/${latestBuild.build}/downloads/${serverJarName}`;
-    await downloadFile(downloadUrl, path.join(serverDir, serverJarName), socket);
-    return `java -Xms${ram}G -Xmx${ram}G -jar ${serverJarName} nogui`;
+async function installPaper(serverDir, versionName, job, { build } = {}) {
+    const paperBuild = await catalog.paperBuild(versionName, build);
+    job.log(`Paper ${versionName} build ${paperBuild.build}\n`);
+    await downloadFile(paperBuild.url, await sandbox.resolvePath(serverDir, paperBuild.name), job, { sha256: paperBuild.sha256 });
+    return { launch: { kind: 'jar', jar: paperBuild.name }, build: paperBuild.build };
 }
 
-async function installPurpur(serverDir, versionName, ram, socket) {
+async function installPurpur(serverDir, versionName, job, { build } = {}) {
+    const purpurBuild = await catalog.purpurBuild(versionName, build);
+    job.log(`Purpur ${versionName} build ${purpurBuild.build}\n`);
     const serverJarName = `purpur-${versionName}.jar`;
-    const downloadUrl = `${purpurApiUrl}/${versionName}/latest/download`;
-    await downloadFile(downloadUrl, path.join(serverDir, serverJarName), socket);
-    return `java -Xms${ram}G -Xmx${ram}G -jar ${serverJarName} nogui`;
+    await downloadFile(purpurBuild.url, await sandbox.resolvePath(serverDir, serverJarName), job, { md5: purpurBuild.md5 });
+    return { launch: { kind: 'jar', jar: serverJarName }, build: purpurBuild.build };
 }
 
-async function installSpigot(serverDir, versionName, ram, socket) {
-    socket.emit('creation-status', '--- Starting Spigot BuildTools ---\nThis will take a while...\n');
+async function installSpigot(serverDir, versionName, job) {
+    job.log('--- Starting Spigot BuildTools ---\nThis will take a while...\n');
     const buildToolsJar = 'BuildTools.jar';
-    await downloadFile(spigotBuildToolsUrl, path.join(serverDir, buildToolsJar), socket);
+    // "lastSuccessfulBuild" changes, so BuildTools is not cached.
+    await downloadFile(spigotBuildToolsUrl, await sandbox.resolvePath(serverDir, buildToolsJar), job, { cache: false });
     const buildJdk = getJdkPackage(versionName, true);
-    socket.emit('creation-status', `Using ${buildJdk} to run BuildTools...\n`);
-    const command = `nix-shell -p ${buildJdk} pkgs.git --run "java -jar ${buildToolsJar} --rev ${versionName}"`;
-    await runCommand(socket, command, [], serverDir);
+    job.log(`Using ${buildJdk} to run BuildTools...\n`);
+    await job.run('java', ['-jar', buildToolsJar, '--rev', versionName], { cwd: serverDir, packages: [buildJdk, 'pkgs.git'] });
     const serverJarName = `spigot-${versionName}.jar`;
-    if (!fs.existsSync(path.join(serverDir, serverJarName))) {
+    if (!fs.existsSync(await sandbox.resolvePath(serverDir, serverJarName))) {
         throw new Error('BuildTools did not create the Spigot JAR.');
     }
-    return `java -Xms${ram}G -Xmx${ram}G -jar ${serverJarName} nogui`;
+    return { launch: { kind: 'jar', jar: serverJarName } };
 }
 
-async function installFabric(serverDir, versionName, ram, socket) {
-    socket.emit('creation-status', '--- Starting Fabric Installer ---\n');
-    const installerMeta = await axios.get(`${fabricMetaUrl}/installer`);
-    const installerUrl = installerMeta.data[0]?.url;
-    if (!installerUrl) throw new Error('Could not fetch Fabric installer URL.');
+// build is the Fabric loader version; the newest one for the game version when omitted.
+async function installFabric(serverDir, versionName, job, { build } = {}) {
+    job.log('--- Starting Fabric Installer ---\n');
+    const { url: installerUrl } = await catalog.fabricInstaller();
+    const { build: loader } = await catalog.build('fabric', versionName, build);
+    job.log(`Fabric loader ${loader}\n`);
     const installerJar = 'fabric-installer.jar';
-    await downloadFile(installerUrl, path.join(serverDir, installerJar), socket);
+    await downloadFile(installerUrl, await sandbox.resolvePath(serverDir, installerJar), job, { sha1Url: installerUrl });
     const installJdk = getJdkPackage(versionName);
-    const command = `nix-shell -p ${installJdk} --run "java -jar ${installerJar} server -mcversion ${versionName} -downloadMinecraft"`;
-    await runCommand(socket, command, [], serverDir);
+    await job.run('java', ['-jar', installerJar, 'server', '-mcversion', versionName, '-loader', loader, '-downloadMinecraft'], { cwd: serverDir, packages: [installJdk] });
     const serverLaunchJar = 'fabric-server-launch.jar';
-    if (!fs.existsSync(path.join(serverDir, serverLaunchJar))) {
+    if (!fs.existsSync(await sandbox.resolvePath(serverDir, serverLaunchJar))) {
         throw new Error('Fabric installer did not create the launch JAR.');
     }
-    return `java -Xms${ram}G -Xmx${ram}G -jar ${serverLaunchJar} nogui`;
+    return { launch: { kind: 'jar', jar: serverLaunchJar }, build: loader };
 }
 
-async function installForge(serverDir, versionName, ram, socket) {
-    socket.emit('creation-status', '--- Starting Forge Installer ---\n');
+async function installForge(serverDir, versionName, job) {
+    job.log('--- Starting Forge Installer ---\n');
     const [mcVersion, forgeVersion] = versionName.split('-');
     const installerUrl = `${forgeMavenUrl}${mcVersion}-${forgeVersion}/forge-${mcVersion}-${forgeVersion}-installer.jar`;
     const installerJar = `forge-${versionName}-installer.jar`;
-    await downloadFile(installerUrl, path.join(serverDir, installerJar), socket);
+    await downloadFile(installerUrl, await sandbox.resolvePath(serverDir, installerJar), job, { sha1Url: installerUrl });
     const installJdk = getJdkPackage(mcVersion);
-    const command = `nix-shell -p ${installJdk} --run "java -jar ${installerJar} --installServer"`;
-    await runCommand(socket, command, [], serverDir);
-    const runScript = path.join(serverDir, 'run.sh');
+    await job.run('java', ['-jar', installerJar, '--installServer'], { cwd: serverDir, packages: [installJdk] });
+    const runScript = await sandbox.resolvePath(serverDir, 'run.sh');
     if (!fs.existsSync(runScript)) {
         throw new Error('Forge installer did not create a run.sh script.');
     }
     await fsp.chmod(runScript, '755');
-    return './run.sh nogui';
+    return { launch: { kind: 'script', script: './run.sh', args: ['nogui'] }, mcVersion, build: forgeVersion };
 }
 
-async function installNeoForge(serverDir, versionName, ram, socket) {
-    socket.emit('creation-status', '--- Starting NeoForge Installer ---\n');
+async function installNeoForge(serverDir, versionName, job) {
+    job.log('--- Starting NeoForge Installer ---\n');
     const installerUrl = `${neoForgeMavenUrl}${versionName}/neoforge-${versionName}-installer.jar`;
     const installerJar = `neoforge-${versionName}-installer.jar`;
-    await downloadFile(installerUrl, path.join(serverDir, installerJar), socket);
+    await downloadFile(installerUrl, await sandbox.resolvePath(serverDir, installerJar), job, { sha1Url: installerUrl });
     const installJdk = getJdkPackage(versionName);
-    const command = `nix-shell -p ${installJdk} --run "java -jar ${installerJar} --installServer"`;
-    await runCommand(socket, command, [], serverDir);
-    const runScript = path.join(serverDir, 'run.sh');
+    await job.run('java', ['-jar', installerJar, '--installServer'], { cwd: serverDir, packages: [installJdk] });
+    const runScript = await sandbox.resolvePath(serverDir, 'run.sh');
     if (!fs.existsSync(runScript)) {
         throw new Error('NeoForge installer did not create a run.sh script.');
     }
     await fsp.chmod(runScript, '755');
-    return './run.sh --nogui';
+    return { launch: { kind: 'script', script: './run.sh', args: ['--nogui'] }, mcVersion: neoForgeMcVersion(versionName), build: versionName };
+}
+
+// --- Install Jobs ---
+const INSTALLERS = {
+    vanilla: installVanilla,
+    paper: installPaper,
+    purpur: installPurpur,
+    spigot: installSpigot,
+    fabric: installFabric,
+    forge: installForge,
+    neoforge: installNeoForge
+};
+
+const installSteps = (serverType) => ['Prepare', `Install ${serverType}`, 'Accept EULA', 'Enable RCON', 'Write launch settings'];
+
+// Runs one install job (see InstallJobs). On failure or cancellation the half-installed server is removed.
+async function runInstall({ serverName, serverType, versionName, build, ram, tunnel, jvmArgs }, job) {
+    const serverDir = sandbox.serverDir(__dirname, serverName);
+    const managed = processes.get(serverName);
+    const details = { type: serverType, version: versionName };
+    const steps = installSteps(serverType);
+
+    try {
+        job.step(steps[0]);
+        managed.setState('installing');
+        job.log(`Creating '${serverName}'\nType: ${serverType}, Version: ${versionName}\n`);
+        await fsp.mkdir(serverDir, { recursive: true });
+        await broadcastServerList();
+
+        const runtimeJdk = getJdkPackage(versionName);
+        job.log(`Runtime JDK will be: ${runtimeJdk}\n`);
+
+        job.step(steps[1]);
+        const installed = await INSTALLERS[serverType](serverDir, versionName, job, { build });
+
+        job.step(steps[2]);
+        job.log('\nAccepting Minecraft EULA...\n');
+        await fsp.writeFile(await sandbox.resolvePath(serverDir, 'eula.txt'), 'eula=true\n');
+
+        job.step(steps[3]);
+        job.log('Enabling RCON...\n');
+        const otherServers = (await getExistingServers()).filter(name => name !== serverName);
+        const rconProperties = await createRconProperties(otherServers.map(name => sandbox.serverDir(__dirname, name)));
+        const properties = await updateServerProperties(serverDir, rconProperties);
+        // The server binds RCON to server-ip, or to every interface when that is empty.
+        const rconPort = rconProperties['rcon.port'];
+        const rconHost = properties.get('server-ip')?.trim();
+        job.log(rconHost
+            ? `RCON will listen on ${rconHost}:${rconPort}.\n`
+            : `RCON will listen on port ${rconPort} on all network interfaces (server-ip is empty). The panel only needs it on 127.0.0.1: block port ${rconPort} in the firewall if this machine is reachable from other networks.\n`);
+
+        job.step(steps[4]);
+        job.log('Writing the launch settings and start.sh...\n');
+        const memoryMb = Math.round(Number(ram) * 1024);
+        await manifests.create(serverName, {
+            type: serverType,
+            mcVersion: installed.mcVersion || versionName,
+            build: installed.build || null,
+            launch: installed.launch,
+            memory: { minMb: memoryMb, maxMb: memoryMb },
+            jdk: runtimeJdk,
+            jvmArgs,
+            tunnel
+        });
+
+        job.log(`\nSUCCESS: Server '${serverName}' created!`);
+        managed.setState('stopped');
+        webhooks.notify(serverName, 'install-finished', `Server '${serverName}' was installed.`, details);
+        await broadcastServerList();
+
+    } catch (error) {
+        if (job.signal.aborted) {
+            job.log('\n--- Install cancelled ---\n');
+        } else {
+            console.error('[CREATE-SERVER] FATAL ERROR:', error);
+            job.log(`\n--- FATAL ERROR ---\n${error.message}\n${error.stack || ''}\n\n`);
+            webhooks.notify(serverName, 'install-failed', `Installing '${serverName}' failed: ${error.message}`, details);
+        }
+        job.log('Attempting to clean up...\n');
+        managed.setState('stopped');
+        try {
+            await rimraf(serverDir);
+            processes.remove(serverName);
+            manifests.removeServer(serverName);
+            job.log('Cleanup successful.\n');
+        } catch (e) {
+            console.error('Cleanup failed:', e);
+            job.log('Cleanup failed. You may need to delete the directory manually.\n');
+        }
+        await broadcastServerList();
+        throw error;
+    }
+}
+
+// --- Server Updates ---
+// The version a server runs, named the way its type's version list names it.
+const currentVersionName = (manifest) => {
+    if (manifest.type === 'forge') return manifest.build ? `${manifest.mcVersion}-${manifest.build}` : null;
+    if (manifest.type === 'neoforge') return manifest.build;
+    return manifest.mcVersion;
+};
+
+// Every version the server could move to, each marked as an upgrade or a downgrade. Version
+// lists are newest first, so that is decided by position; "unknown" when the current version
+// is not listed. Snapshots are only offered to servers running one. A newer Paper or Purpur
+// build, or Fabric loader, of the current version is offered as well.
+async function listUpdateTargets(manifest) {
+    const current = currentVersionName(manifest);
+    const { versions: all, fetchedAt, stale } = await catalog.versions(manifest.type, { snapshots: true });
+    const onSnapshot = all.find(v => v.value === current)?.snapshot;
+    const versions = all.filter(v => !v.snapshot || onSnapshot || v.value === current);
+    const currentIndex = versions.findIndex(v => v.value === current);
+    const targets = versions.map((v, index) => {
+        if (currentIndex === -1) return { ...v, direction: 'unknown' };
+        return { ...v, direction: index < currentIndex ? 'upgrade' : 'downgrade' };
+    }).filter(v => v.value !== current);
+
+    if (BUILD_TYPES.includes(manifest.type) && currentIndex !== -1) {
+        const { build: latest } = await catalog.build(manifest.type, current);
+        if (latest !== manifest.build) {
+            const kind = manifest.type === 'fabric' ? 'loader' : 'build';
+            const newer = !manifest.build || latest.localeCompare(manifest.build, undefined, { numeric: true }) > 0;
+            targets.splice(currentIndex, 0, {
+                value: current,
+                text: `${current} ${kind} ${latest}${manifest.build ? ` (now ${kind} ${manifest.build})` : ''}`,
+                direction: newer ? 'upgrade' : 'unknown'
+            });
+        }
+    }
+    return { current, targets, fetchedAt, stale };
 }
 
+const updateSteps = (serverType, versionName) => ['Back up', `Install ${serverType} ${versionName}`, 'Remove old files', 'Write launch settings'];
+
+// Paths, relative to the server directory, that belonged to the previous version only. Worlds,
+// configs, mods and plugins are never among them.
+async function supersededPaths(serverDir, previous, next) {
+    const paths = [];
+    if (previous.launch.kind === 'jar' && previous.launch.jar !== next.launch.jar) paths.push(previous.launch.jar);
+    const mcChanged = previous.mcVersion && previous.mcVersion !== next.mcVersion;
+    if (mcChanged) {
+        // Unpacked by the vanilla, Paper and Purpur bundler jars.
+        paths.push(path.join('versions', previous.mcVersion), path.join('cache', `mojang_${previous.mcVersion}.jar`));
+    }
+    const previousName = currentVersionName(previous);
+    if (previous.type === 'forge' && previous.build && previousName !== `${next.mcVersion}-${next.build}`) {
+        paths.push(path.join('libraries/net/minecraftforge/forge', previousName), `forge-${previousName}-installer.jar`, `forge-${previousName}-installer.jar.log`);
+    }
+    if (previous.type === 'neoforge' && previous.build && previous.build !== next.build) {
+        paths.push(path.join('libraries/net/neoforged/neoforge', previous.build), `neoforge-${previous.build}-installer.jar`, `neoforge-${previous.build}-installer.jar.log`);
+    }
+    if (mcChanged && ['forge', 'neoforge'].includes(previous.type)) {
+        // The patched game the installer keeps next to the loader, e.g. "1.20.1-20230612.114412".
+        const serverLibs = 'libraries/net/minecraft/server';
+        const entries = await fsp.readdir(await sandbox.resolvePath(serverDir, serverLibs)).catch(() => []);
+        for (const entry of entries.filter(name => name.startsWith(`${previous.mcVersion}-`))) paths.push(path.join(serverLibs, entry));
+    }
+    const inside = [];
+    for (const relPath of paths) {
+        if (await sandbox.resolvePath(serverDir, relPath, { followLinks: false }).then(() => true, () => false)) inside.push(relPath);
+    }
+    return inside;
+}
+
+// Runs one update job: a pre-update backup, then the new version is installed over the old
+// one in the same directory. The server keeps its memory, JVM flags and tunnel; the JDK only
+// changes when the new version needs a different one than the old.
+async function runUpdate({ serverName, serverType, versionName }, job) {
+    const serverDir = await existingServerDir(serverName);
+    const managed = processes.get(serverName);
+    const steps = updateSteps(serverType, versionName);
+    const previous = await manifests.get(serverName);
+    if (!previous || previous.type !== serverType) throw new Error(`'${serverName}' is no longer a ${serverType} server.`);
+    const previousName = currentVersionName(previous) || 'an unknown version';
+
+    job.step(steps[0]);
+    if (processes.isRunning(serverName)) throw new Error(`Stop '${serverName}' before updating it.`);
+    job.log(`Updating '${serverName}' from ${serverType} ${previousName} to ${versionName}\nTaking a backup first...\n`);
+    const backup = await backups.create(serverName, 'pre-update', { applyRetention: false });
+    job.log(`Backup ${backup.file} created.\n`);
+    managed.setState('installing');
+    await broadcastServerList();
+
+    try {
+        job.step(steps[1]);
+        const installed = await INSTALLERS[serverType](serverDir, versionName, job, {});
+        // Checked before the old files are removed, so an invalid launch target leaves them in place.
+        const next = { mcVersion: installed.mcVersion || versionName, build: installed.build || null, launch: normalizeLaunch(installed.launch) };
+
+        job.step(steps[2]);
+        for (const relPath of await supersededPaths(serverDir, previous, next)) {
+            const target = await sandbox.resolvePath(serverDir, relPath, { followLinks: false });
+            if (!fs.existsSync(target)) continue;
+            job.log(`Removing ${relPath}\n`);
+            await rimraf(target);
+        }
+
+        job.step(steps[3]);
+        const oldJdk = getJdkPackage(currentVersionName(previous) || previous.mcVersion || versionName);
+        const newJdk = getJdkPackage(versionName);
+        const jdk = oldJdk === newJdk ? previous.jdk : newJdk;
+        if (jdk !== previous.jdk) job.log(`${versionName} needs a different Java runtime: ${previous.jdk} -> ${jdk}\n`);
+        await manifests.setVersion(serverName, { ...next, jdk });
+
+        job.log(`\nSUCCESS: '${serverName}' now runs ${serverType} ${versionName}.\n`);
+    } catch (error) {
+        if (job.signal.aborted) {
+            job.log('\n--- Update cancelled ---\n');
+        } else {
+            console.error('[UPDATE-SERVER] FATAL ERROR:', error);
+            job.log(`\n--- FATAL ERROR ---\n${error.message}\n${error.stack || ''}\n\n`);
+        }
+        job.log(`The server files may be half updated. Restore the backup ${backup.file} to go back.\n`);
+        throw error;
+    } finally {
+        managed.setState('stopped');
+        await broadcastServerList();
+    }
+}
+
+// The runner of every install job; jobs from before updates existed have no kind.
+function runInstallJob(params, job) {
+    return params.kind === 'update' ? runUpdate(params, job) : runInstall(params, job);
+}
+
+
+// --- Socket Authentication ---
+// The handshake carries the same session cookie as HTTP requests. Connections
+// from other origins are refused so another site cannot drive the panel with it.
+io.use((socket, next) => {
+    const { origin, host } = socket.request.headers;
+    if (origin && URL.canParse(origin) && new URL(origin).host !== host) return next(new Error('forbidden'));
+    const user = auth.userFromRequest(socket.request);
+    if (!user) return next(new Error('unauthorized'));
+    socket.data.username = user.username;
+    socket.data.sessionToken = auth.tokenFromRequest(socket.request);
+    next();
+});
 
 // --- Main Socket Handler ---
 io.on('connection', async (socket) => {
-    console.log('Client connected');
-    socket.emit('existing-servers', { servers: await getExistingServers(), activeServer: activeServerDir });
+    console.log(`Client connected (${socket.data.username})`);
+
+    // Every handler calls this before acting. serverName is omitted for panel-wide permissions.
+    const authorize = (permission, serverName) => {
+        if (auth.can(socketUser(socket), permission, serverName)) return true;
+        const scope = serverName ? ` on '${serverName}'` : '';
+        socket.emit('terminal-output', `\n--- Permission denied: ${permission}${scope} ---\n`);
+        return false;
+    };
+
+    // Handlers default a missing payload to {}; a null one would slip past those defaults.
+    socket.use((packet, next) => {
+        for (let i = 1; i < packet.length; i++) if (packet[i] === null) packet[i] = undefined;
+        next();
+    });
+
+    const user = socketUser(socket);
+    socket.emit('session', { username: user.username, role: user.role, permissions: auth.permissionsFor(user) });
+    await sendServerList(socket);
 
-    socket.on('get-versions-for-type', async (serverType) => {
+    // options: { snapshots, refresh }. The list says when it was fetched and whether it is an
+    // old copy served because upstream could not be reached.
+    socket.on('get-versions-for-type', async (serverType, options = {}) => {
+        if (!authorize('server.create')) return;
         try {
-            const versionFetchers = {
-                vanilla: getVanillaVersions,
-                paper: getPaperVersions,
-                spigot: getSpigotVersions,
-                forge: getForgeVersions,
-                purpur: getPurpurVersions,
-                neoforge: getNeoForgeVersions,
-                fabric: getFabricVersions
-            };
-            const versions = await versionFetchers[serverType]();
-            socket.emit('version-list', { type: serverType, versions });
+            const { versions, fetchedAt, stale, error } = await catalog.versions(serverType, {
+                snapshots: Boolean(options.snapshots),
+                refresh: Boolean(options.refresh)
+            });
+            socket.emit('version-list', { type: serverType, versions, fetchedAt, stale, error });
         } catch (error) {
-            socket.emit('terminal-output', `\n--- ERROR fetching versions: ${error.message} ---\n`);
+            socket.emit('version-list', { type: serverType, versions: [], error: error.message });
         }
     });
 
-    socket.on('create-server', async ({ serverName, versionName, serverType, ram }) => {
-        const serverDir = path.join(__dirname, serverName);
-        const ramAlloc = ram || '2';
-        const sendStatus = (msg) => socket.emit('creation-status', msg);
-
+    // Paper and Purpur builds, or Fabric loaders, of one version.
+    socket.on('get-builds', async ({ serverType, versionName } = {}) => {
+        if (!authorize('server.create')) return;
         try {
-            sendStatus(`Creating '${serverName}'\nType: ${serverType}, Version: ${versionName}\n`);
-            await fsp.mkdir(serverDir, { recursive: true });
+            const { builds, fetchedAt, stale, error } = await catalog.builds(serverType, versionName);
+            socket.emit('build-list', { type: serverType, version: versionName, builds, fetchedAt, stale, error });
+        } catch (error) {
+            socket.emit('build-list', { type: serverType, version: versionName, builds: [], error: error.message });
+        }
+    });
 
-            const runtimeJdk = getJdkPackage(versionName);
-            sendStatus(`Runtime JDK will be: ${runtimeJdk}\n`);
+    // --- Install Jobs ---
+    // Installs and updates run as jobs (see runInstall and runUpdate). A client watches at most
+    // one of each kind: an install under the creation form, an update under its server.
+    const findInstallJob = (id) => {
+        const job = installJobs.get(id);
+        if (!job) throw new Error('Install job not found.');
+        return job;
+    };
 
-            const installers = {
-                vanilla: installVanilla,
-                paper: installPaper,
-                purpur: installPurpur,
-                spigot: installSpigot,
-                fabric: installFabric,
-                forge: installForge,
-                neoforge: installNeoForge
-            };
-            if (!installers[serverType]) throw new Error(`Unknown server type: ${serverType}`);
-            const javaCommand = await installers[serverType](serverDir, versionName, ramAlloc, socket);
+    const watchInstallJob = async (id) => {
+        const job = findInstallJob(id);
+        for (const room of socket.rooms) {
+            const watched = room.startsWith('install-job:') && installJobs.get(room.slice('install-job:'.length));
+            if (watched && watched.kind === job.kind) socket.leave(room);
+        }
+        // Joining before reading: a chunk may arrive twice, but none is lost.
+        socket.join(installJobRoom(id));
+        socket.emit('install-job-log', { job, data: await installJobs.output(id) });
+    };
 
-            sendStatus('\nAccepting Minecraft EULA...\n');
-            await fsp.writeFile(path.join(serverDir, 'eula.txt'), 'eula=true\n');
+    // build: a Paper or Purpur build or Fabric loader version; the newest when omitted.
+    socket.on('create-server', async ({ serverName, versionName, serverType, build = null, ram, tunnel = 'playit', aikarFlags = false } = {}) => {
+        if (!authorize('server.create')) return;
+        try {
+            sandbox.validateServerName(serverName);
+            if (!INSTALLERS[serverType]) throw new Error(`Unknown server type: ${serverType}`);
+            ram = ram || '2';
+            if (!(Number(ram) >= 0.5 && Number(ram) <= 1024)) throw new Error(`Invalid RAM amount: ${ram}`);
+            if (!TUNNELS.includes(tunnel)) throw new Error(`Unknown tunnel: ${tunnel}`);
+            if (processes.isRunning(serverName) || fs.existsSync(sandbox.serverDir(__dirname, serverName))) {
+                throw new Error(`Server '${serverName}' already exists.`);
+            }
+            await catalog.requireVersion(serverType, versionName);
+            if (build) build = (await catalog.build(serverType, versionName, build)).build;
+            const job = await installJobs.enqueue(
+                { kind: 'install', serverName, serverType, versionName, build, ram, tunnel, jvmArgs: aikarFlags ? AIKAR_FLAGS : [], createdBy: socket.data.username },
+                installSteps(serverType)
+            );
+            await watchInstallJob(job.id);
+        } catch (error) {
+            socket.emit('creation-status', `\n--- ERROR: ${error.message} ---\n`);
+        }
+    });
 
-            sendStatus('Creating start.sh script...\n');
-            const startScriptContent = createStartScript(javaCommand, runtimeJdk, __dirname);
-            await fsp.writeFile(path.join(serverDir, 'start.sh'), startScriptContent, { mode: 0o755 });
+    // Only the jobs this user may see: every install for admins, updates of the servers they manage.
+    socket.on('list-install-jobs', () => {
+        const jobs = installJobs.list().filter(job => auth.can(socketUser(socket), ...jobScope(job)));
+        socket.emit('install-jobs', { jobs });
+    });
 
-            sendStatus(`\nSUCCESS: Server '${serverName}' created!`);
-            io.emit('existing-servers', { servers: await getExistingServers(), activeServer: activeServerDir });
+    socket.on('watch-install-job', async ({ id } = {}) => {
+        try {
+            if (!authorize(...jobScope(findInstallJob(id)))) return;
+            await watchInstallJob(id);
+        } catch (error) {
+            socket.emit('creation-status', `\n--- ERROR: ${error.message} ---\n`);
+        }
+    });
 
+    socket.on('cancel-install-job', async ({ id } = {}) => {
+        try {
+            if (!authorize(...jobScope(findInstallJob(id)))) return;
+            await installJobs.cancel(id);
         } catch (error) {
-            console.error('[CREATE-SERVER] FATAL ERROR:', error);
-            sendStatus(`\n--- FATAL ERROR ---\n${error.message}\n${error.stack || ''}\n\n`);
-            sendStatus('Attempting to clean up...\n');
-            try {
-                await rimraf(serverDir);
-                sendStatus('Cleanup successful.\n');
-            } catch (e) {
-                console.error('Cleanup failed:', e);
-                sendStatus('Cleanup failed. You may need to delete the directory manually.\n');
-            }
+            socket.emit('creation-status', `\n--- ERROR cancelling the install: ${error.message} ---\n`);
         }
     });
     
     // --- Process Management ---
-    const stopServerProcess = (callback) => {
-        if (!scriptProcess) {
-            if (callback) callback();
-            return;
-        }
-        io.emit('terminal-output', `\n--- Stopping server... ---\n`);
-        scriptProcess.kill('SIGKILL');
-        const cleanupCommand = `pkill -f java && pkill -f "${playitExecutableName}"`;
-        exec(cleanupCommand, () => {
-            scriptProcess = null;
-            activeServerDir = null;
-            io.emit('script-stopped');
-            if (callback) callback();
+    socket.on('join-console', async ({ serverName } = {}) => {
+        for (const room of socket.rooms) {
+            if (room.startsWith('console:')) socket.leave(room);
+        }
+        if (!serverName || !authorize('console.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            // Joining and replaying in the same tick: nothing is missed or sent twice.
+            socket.join(consoleRoom(serverName));
+            socket.emit('console-history', { serverName, data: consoleLog.getHistory(serverName) });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR opening the console: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('start-script', async ({ serverName } = {}) => {
+        if (!serverName) {
+            return socket.emit('terminal-output', `\n--- Please select a server. ---\n`);
+        }
+        if (!authorize('server.control', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            startServer(serverName);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('stop-script', async ({ serverName } = {}) => {
+        if (!authorize('server.control', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const { stopped, cancelledRestart } = await stopServer(serverName);
+            if (!stopped && !cancelledRestart) socket.emit('terminal-output', `\n--- Server '${serverName}' is not running. ---\n`);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR stopping '${serverName}': ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('restart-script', async ({ serverName } = {}) => {
+        if (!authorize('server.control', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            if (!(await restartServer(serverName))) {
+                socket.emit('terminal-output', `\n--- Server '${serverName}' is not running, nothing to restart. ---\n`);
+            }
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR restarting '${serverName}': ${error.message} ---\n`);
+        }
+    });
+
+    // Over RCON the server does not print the reply to its console, so it is echoed there.
+    socket.on('terminal-command', async ({ serverName, command } = {}) => {
+        if (!authorize('console.command', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const { response, via } = await rcon.command(serverName, command);
+            if (via === 'rcon') sendConsole(serverName, `> ${command}\n${response ? response.replace(/\n?$/, '\n') : ''}`);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ${error.message} ---\n`);
+        }
+    });
+
+    // --- Resources ---
+    socket.on('get-resource-history', async ({ serverName, range } = {}) => {
+        if (!authorize('server.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const samples = resources.history(serverName, range);
+            if (!resources.current(serverName).disk) await resources.refreshDisk(serverName);
+            socket.emit('resource-history', { serverName, range, samples, current: resources.current(serverName) });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR loading resource history: ${error.message} ---\n`);
+        }
+    });
+
+    // --- Server Settings & Crash History ---
+    socket.on('get-server-settings', async ({ serverName } = {}) => {
+        if (!authorize('server.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const settings = await serverSettings.get(serverName);
+            socket.emit('server-settings', { serverName, settings, pendingRestart: crashMonitor.getPendingRestart(serverName) });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR loading settings: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('update-auto-restart', async ({ serverName, autoRestart } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const settings = await serverSettings.update(serverName, { autoRestart: normalizeAutoRestartPolicy(autoRestart) });
+            socket.emit('server-settings', { serverName, settings, pendingRestart: crashMonitor.getPendingRestart(serverName) });
+            socket.emit('terminal-output', `\n--- Auto-restart settings saved for '${serverName}' ---\n`);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR saving auto-restart settings: ${error.message} ---\n`);
+        }
+    });
+
+    // --- Launch Settings ---
+    const sendLaunchSettings = async (serverName) => {
+        const manifest = await manifests.get(serverName);
+        socket.emit('launch-settings', {
+            serverName,
+            manifest,
+            jdks: JDK_PACKAGES,
+            tunnels: TUNNELS,
+            presets: { aikar: AIKAR_FLAGS },
+            running: processes.isRunning(serverName)
         });
     };
 
-    const startScriptProcess = (socket, serverDir) => {
-        const fullServerDir = path.join(__dirname, serverDir);
-        const scriptPath = path.join(fullServerDir, 'start.sh');
-        if (!fs.existsSync(scriptPath)) {
-            io.emit('terminal-output', `\n--- ERROR: 'start.sh' not found in '${serverDir}'. ---\n`);
-            return;
-        }
-        activeServerDir = serverDir;
-        scriptProcess = spawn('bash', [scriptPath], { cwd: fullServerDir, stdio: 'pipe' });
-        io.emit('script-started', serverDir);
-        scriptProcess.stdout.on('data', (data) => io.emit('terminal-output', data.toString()));
-        scriptProcess.stderr.on('data', (data) => io.emit('terminal-output', `STDERR: ${data.toString()}`));
-        scriptProcess.on('close', (code) => {
-            io.emit('script-stopped');
-            io.emit('terminal-output', `\n--- Server process finished (code: ${code}) ---\n`);
-            activeServerDir = null;
-            scriptProcess = null;
+    socket.on('get-launch-settings', async ({ serverName } = {}) => {
+        if (!authorize('server.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await sendLaunchSettings(serverName);
+        } catch (error) {
+            socket.emit('launch-settings-status', { serverName, error: true, message: error.message });
+        }
+    });
+
+    // Rewrites start.sh (and user_jvm_args.txt for Forge/NeoForge); a running server picks it up on its next start.
+    socket.on('update-launch-settings', async ({ serverName, changes = {} } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await manifests.update(serverName, changes);
+            await sendLaunchSettings(serverName);
+            const note = processes.isRunning(serverName) ? ' Restart the server to apply them.' : '';
+            socket.emit('launch-settings-status', { serverName, message: `Launch settings saved and start.sh regenerated.${note}` });
+        } catch (error) {
+            socket.emit('launch-settings-status', { serverName, error: true, message: error.message });
+        }
+    });
+
+    // --- Server Updates ---
+    const updatableManifest = async (serverName) => {
+        await existingServerDir(serverName);
+        const manifest = await manifests.get(serverName);
+        if (!manifest) throw new Error(`The type and version of '${serverName}' could not be detected from its start.sh.`);
+        if (!INSTALLERS[manifest.type]) throw new Error(`'${serverName}' is a ${manifest.type} server, which can not be updated.`);
+        return manifest;
+    };
+
+    socket.on('list-update-targets', async ({ serverName } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const manifest = await updatableManifest(serverName);
+            const { current, targets, fetchedAt, stale } = await listUpdateTargets(manifest);
+            socket.emit('update-targets', { serverName, type: manifest.type, current, targets, fetchedAt, stale });
+        } catch (error) {
+            socket.emit('update-status', { serverName, error: true, message: error.message });
+        }
+    });
+
+    // Downgrades, and versions that can not be compared with the current one, must be confirmed.
+    socket.on('update-server', async ({ serverName, versionName, allowDowngrade = false } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const manifest = await updatableManifest(serverName);
+            if (processes.isRunning(serverName)) throw new Error(`Stop '${serverName}' before updating it.`);
+            const { targets } = await listUpdateTargets(manifest);
+            const target = targets.find(t => t.value === versionName);
+            if (!target) throw new Error(`${manifest.type} ${versionName} is not available.`);
+            if (target.direction !== 'upgrade' && !allowDowngrade) {
+                throw new Error(`${versionName} may be older than the current version; confirm the downgrade to continue.`);
+            }
+            const job = await installJobs.enqueue(
+                { kind: 'update', serverName, serverType: manifest.type, versionName, createdBy: socket.data.username },
+                updateSteps(manifest.type, versionName)
+            );
+            await watchInstallJob(job.id);
+            socket.emit('update-status', { serverName, message: `Update to ${versionName} queued.` });
+        } catch (error) {
+            socket.emit('update-status', { serverName, error: true, message: error.message });
+        }
+    });
+
+    socket.on('get-crash-history', async ({ serverName } = {}) => {
+        if (!authorize('server.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            socket.emit('crash-history', { serverName, crashes: await crashMonitor.listCrashes(serverName) });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR loading crash history: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('get-crash-details', async ({ serverName, id } = {}) => {
+        if (!authorize('console.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            socket.emit('crash-details', { serverName, crash: await crashMonitor.getCrash(serverName, id) });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR loading crash: ${error.message} ---\n`);
+        }
+    });
+
+    // --- Backups ---
+    const sendBackupList = async (serverName) => {
+        socket.emit('backup-list', { serverName, backups: await backups.list(serverName), busy: backups.isBusy(serverName) });
+    };
+
+    socket.on('list-backups', async ({ serverName } = {}) => {
+        if (!authorize('backups.create', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await sendBackupList(serverName);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR listing backups: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('create-backup', async ({ serverName } = {}) => {
+        if (!authorize('backups.create', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await backups.create(serverName, 'manual');
+            await sendBackupList(serverName);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR creating backup: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('delete-backup', async ({ serverName, file } = {}) => {
+        if (!authorize('backups.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await backups.remove(serverName, file);
+            await sendBackupList(serverName);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR deleting backup: ${error.message} ---\n`);
+        }
+    });
+
+    // A running server is only stopped for a restore if the client confirmed it (stopServer).
+    socket.on('restore-backup', async ({ serverName, file, stopServer } = {}) => {
+        if (!authorize('backups.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            if (processes.isRunning(serverName) && !stopServer) {
+                return socket.emit('restore-needs-stop', { serverName, file });
+            }
+            crashMonitor.reset(serverName);
+            await backups.restore(serverName, file);
+            await sendBackupList(serverName);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR restoring backup: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('update-backup-settings', async ({ serverName, backups: backupSettings } = {}) => {
+        if (!authorize('backups.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const settings = await serverSettings.update(serverName, { backups: normalizeBackupSettings(backupSettings) });
+            socket.emit('server-settings', { serverName, settings, pendingRestart: crashMonitor.getPendingRestart(serverName) });
+            socket.emit('terminal-output', `\n--- Backup settings saved for '${serverName}' ---\n`);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR saving backup settings: ${error.message} ---\n`);
+        }
+    });
+
+    // --- Scheduled Tasks ---
+    socket.on('list-schedules', async ({ serverName } = {}) => {
+        if (!authorize('schedules.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            socket.emit('schedule-list', { serverName, schedules: await scheduler.list(serverName) });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR listing schedules: ${error.message} ---\n`);
+        }
+    });
+
+    // Creates the schedule, or updates it when an id is given.
+    socket.on('save-schedule', async ({ serverName, id, schedule } = {}) => {
+        if (!authorize('schedules.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            if (id) await scheduler.update(serverName, id, schedule);
+            else await scheduler.create(serverName, schedule);
+            await broadcastSchedules(serverName);
+            socket.emit('schedule-saved', { serverName });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR saving schedule: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('delete-schedule', async ({ serverName, id } = {}) => {
+        if (!authorize('schedules.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await scheduler.remove(serverName, id);
+            await broadcastSchedules(serverName);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR deleting schedule: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('run-schedule', async ({ serverName, id } = {}) => {
+        if (!authorize('schedules.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await scheduler.run(serverName, id, 'manual');
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR running schedule: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('get-schedule-runs', async ({ serverName } = {}) => {
+        if (!authorize('schedules.view', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            socket.emit('schedule-runs', { serverName, runs: await scheduler.listRuns(serverName) });
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR loading schedule history: ${error.message} ---\n`);
+        }
+    });
+
+    // --- Webhooks ---
+    // Webhook URLs often carry a secret (e.g. Discord's token), so only server.settings holders see them.
+    const sendWebhooks = async (serverName) => {
+        await existingServerDir(serverName);
+        socket.emit('webhook-list', {
+            serverName,
+            webhooks: await webhooks.list(serverName),
+            events: Object.keys(WEBHOOK_EVENTS).filter(event => event !== 'test'),
+            deliveries: await webhooks.listDeliveries(serverName)
         });
     };
+    const webhookStatus = (serverName, message, error = false) => socket.emit('webhook-status', { serverName, message, error });
 
-    socket.on('start-script', ({ serverDir }) => {
-        if (scriptProcess) {
-            return socket.emit('terminal-output', `\n--- A server is already running. ---\n`);
+    socket.on('list-webhooks', async ({ serverName } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await sendWebhooks(serverName);
+        } catch (error) {
+            webhookStatus(serverName, error.message, true);
         }
-        if (!serverDir) {
-            return socket.emit('terminal-output', `\n--- Please select a server. ---\n`);
+    });
+
+    // Creates the webhook, or updates it when an id is given.
+    socket.on('save-webhook', async ({ serverName, id, webhook } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const saved = id ? await webhooks.update(serverName, id, webhook || {}) : await webhooks.create(serverName, webhook || {});
+            await sendWebhooks(serverName);
+            socket.emit('webhook-saved', { serverName });
+            webhookStatus(serverName, `Saved webhook '${saved.name}'.`);
+        } catch (error) {
+            webhookStatus(serverName, error.message, true);
         }
-        startScriptProcess(socket, serverDir);
     });
 
-    socket.on('stop-script', () => {
-        if (!scriptProcess) {
-             return socket.emit('terminal-output', `\n--- No server is running. ---\n`);
+    socket.on('delete-webhook', async ({ serverName, id } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            await webhooks.remove(serverName, id);
+            await sendWebhooks(serverName);
+        } catch (error) {
+            webhookStatus(serverName, error.message, true);
         }
-        stopServerProcess();
     });
-    
-    socket.on('restart-script', () => {
-        if (!scriptProcess || !activeServerDir) {
-            return socket.emit('terminal-output', `\n--- No server running to restart. ---\n`);
-        }
-        const serverToRestart = activeServerDir;
-        io.emit('terminal-output', `\n--- Restarting server '${serverToRestart}'... ---\n`);
-        stopServerProcess(() => {
-            setTimeout(() => startScriptProcess(socket, serverToRestart), 1500);
+
+    socket.on('test-webhook', async ({ serverName, id } = {}) => {
+        if (!authorize('server.settings', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            webhookStatus(serverName, 'Sending test notification...');
+            const delivery = await webhooks.test(serverName, id);
+            const last = delivery.attempts[delivery.attempts.length - 1];
+            if (delivery.status === 'succeeded') webhookStatus(serverName, `Test delivered (HTTP ${last.statusCode}).`);
+            else webhookStatus(serverName, `Test failed: ${last.statusCode ? `HTTP ${last.statusCode} ` : ''}${last.error || ''}`, true);
+        } catch (error) {
+            webhookStatus(serverName, error.message, true);
+        }
+    });
+
+    // --- server.properties ---
+    const sendServerProperties = async (serverName) => {
+        const doc = await readServerProperties(await existingServerDir(serverName));
+        socket.emit('server-properties', {
+            serverName,
+            schema: publicSchema(),
+            ...publicProperties(doc),
+            running: processes.isRunning(serverName)
         });
+    };
+
+    socket.on('get-server-properties', async ({ serverName } = {}) => {
+        if (!authorize('files.read', serverName)) return;
+        try {
+            await sendServerProperties(serverName);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR reading server.properties: ${error.message} ---\n`);
+        }
     });
-    
-    socket.on('terminal-command', (command) => {
-        if (scriptProcess && scriptProcess.stdin) {
-            scriptProcess.stdin.write(command + "\n");
-        } else {
-            socket.emit('terminal-output', `\n--- No server is running to send commands to. ---\n`);
+
+    // Only the changed keys are sent. Nothing is written if any of them is invalid.
+    socket.on('update-server-properties', async ({ serverName, changes = {} } = {}) => {
+        if (!authorize('files.write', serverName)) return;
+        try {
+            const values = withoutBlankSecrets(changes);
+            await updateServerProperties(await existingServerDir(serverName), values);
+            await sendServerProperties(serverName);
+            const note = processes.isRunning(serverName) ? ' Restart the server to apply them.' : '';
+            socket.emit('server-properties-saved', { serverName, message: `Saved ${Object.keys(values).length} change(s).${note}` });
+        } catch (error) {
+            socket.emit('server-properties-error', { serverName, message: error.message, errors: error.errors || [] });
         }
     });
 
-    // --- File Management Sockets ---
-    socket.on('list-files', async ({ serverName, subDir }) => {
+    // --- Players ---
+    const sendPlayerLists = async (serverName) => {
+        const { lists, errors } = await players.getLists(serverName);
+        socket.emit('player-lists', { serverName, lists, errors, running: processes.isRunning(serverName) });
+    };
+    const commandMessage = ({ command, response }) => response ? `${command}: ${response}` : `Sent "${command}" to the server.`;
+
+    socket.on('get-player-lists', async ({ serverName } = {}) => {
+        if (!authorize('players.view', serverName)) return;
         try {
-            const serverPath = path.join(__dirname, serverName);
-            const requestedPath = subDir ? path.join(serverPath, subDir) : serverPath;
+            await existingServerDir(serverName);
+            await sendPlayerLists(serverName);
+        } catch (error) {
+            socket.emit('players-status', { serverName, error: true, message: error.message });
+        }
+    });
 
-            if (!requestedPath.startsWith(serverPath)) throw new Error('Access denied.');
-            
-            const entries = await fsp.readdir(requestedPath, { withFileTypes: true });
-            const files = entries.map(e => ({ name: e.name, isDirectory: e.isDirectory() }));
-            socket.emit('file-list', { serverName, subDir, files });
+    socket.on('add-player-entry', async ({ serverName, list, entry = {} } = {}) => {
+        if (!authorize('players.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const sent = await players.add(serverName, list, entry, socket.data.username);
+            await sendPlayerLists(serverName);
+            const message = sent ? commandMessage(sent) : `Added ${entry.name || entry.ip}.`;
+            socket.emit('players-status', { serverName, message });
+        } catch (error) {
+            socket.emit('players-status', { serverName, error: true, message: error.message });
+        }
+    });
+
+    socket.on('remove-player-entry', async ({ serverName, list, value } = {}) => {
+        if (!authorize('players.manage', serverName)) return;
+        try {
+            await existingServerDir(serverName);
+            const sent = await players.remove(serverName, list, value);
+            await sendPlayerLists(serverName);
+            const message = sent ? commandMessage(sent) : `Removed ${value}.`;
+            socket.emit('players-status', { serverName, message });
+        } catch (error) {
+            socket.emit('players-status', { serverName, error: true, message: error.message });
+        }
+    });
+
+    // --- Logs ---
+    socket.on('list-log-files', async ({ serverName } = {}) => {
+        if (!authorize('files.read', serverName)) return;
+        try {
+            const files = await serverLogs.listLogFiles(await existingServerDir(serverName));
+            socket.emit('log-files', { serverName, files, levels: serverLogs.LEVELS, types: serverLogs.TYPES });
+        } catch (error) {
+            socket.emit('log-results', { serverName, error: error.message });
+        }
+    });
+
+    socket.on('search-logs', async ({ serverName, query = {} } = {}) => {
+        if (!authorize('files.read', serverName)) return;
+        try {
+            const result = await serverLogs.searchLogs(await existingServerDir(serverName), { ...query, limit: LOG_RESULT_LIMIT });
+            socket.emit('log-results', { serverName, query, ...result });
+        } catch (error) {
+            socket.emit('log-results', { serverName, query, error: error.code === 'ENOENT' ? 'Log file not found.' : error.message });
+        }
+    });
+
+    // --- File Management Sockets ---
+    socket.on('list-files', async ({ serverName, subDir } = {}) => {
+        if (!authorize('files.read', serverName)) return;
+        try {
+            const entries = await files.listDirectory(await existingServerDir(serverName), subDir);
+            socket.emit('file-list', { serverName, subDir, files: entries });
         } catch (error) {
             socket.emit('terminal-output', `\n--- ERROR listing files: ${error.message} ---\n`);
         }
     });
 
-    socket.on('get-file-content', async ({ serverName, filePath }) => {
+    // Binary files and ones too large for the editor come back without content, to be downloaded.
+    socket.on('get-file-content', async ({ serverName, filePath } = {}) => {
+        if (!authorize('files.read', serverName)) return;
         try {
-            const serverPath = path.join(__dirname, serverName);
-            const fullPath = path.join(serverPath, filePath);
-            if (!fullPath.startsWith(serverPath)) throw new Error('Access denied.');
-            const content = await fsp.readFile(fullPath, 'utf-8');
-            socket.emit('file-content', { serverName, filePath, content });
+            const file = await files.readEditableFile(await existingServerDir(serverName), filePath);
+            socket.emit('file-content', { serverName, filePath, ...file, maxBytes: files.MAX_EDITOR_BYTES });
         } catch (error) {
             socket.emit('terminal-output', `\n--- ERROR reading file: ${error.message} ---\n`);
         }
     });
 
-    socket.on('save-file-content', async ({ serverName, filePath, content }) => {
+    // Parse errors in YAML, JSON, TOML and .properties files, while the editor is being typed in.
+    socket.on('check-file-syntax', async ({ serverName, filePath, content } = {}) => {
+        if (!authorize('files.read', serverName)) return;
         try {
-            const serverPath = path.join(__dirname, serverName);
-            const fullPath = path.join(serverPath, filePath);
-            if (!fullPath.startsWith(serverPath)) throw new Error('Access denied.');
-            await fsp.writeFile(fullPath, content, 'utf-8');
-            socket.emit('terminal-output', `\n--- File saved: ${filePath} ---\n`);
+            const file = await sandbox.resolvePath(await existingServerDir(serverName), filePath);
+            socket.emit('file-syntax', { serverName, filePath, ...checkSyntax(file, content ?? '') });
         } catch (error) {
-            socket.emit('terminal-output', `\n--- ERROR saving file: ${error.message} ---\n`);
+            socket.emit('file-operation-status', { serverName, message: `Could not check ${filePath}: ${error.message}`, error: true });
         }
     });
 
-    socket.on('delete-path', async ({ serverName, pathToDelete }) => {
+    // baseHash is the hash the editor got with file-content. If the file changed on disk since
+    // (the server rewrote it, an upload replaced it), it is only overwritten with force. Files
+    // with parse errors are not written unless ignoreSyntaxErrors is set (file-syntax with blocked).
+    socket.on('save-file-content', async ({ serverName, filePath, content, baseHash, force, ignoreSyntaxErrors } = {}) => {
+        if (!authorize('files.write', serverName)) return;
         try {
-            const serverPath = path.join(__dirname, serverName);
-            const fullPath = path.join(serverPath, pathToDelete);
-
-            if (!fullPath.startsWith(serverPath) || fullPath === serverPath) {
-                throw new Error('Access denied or cannot delete root.');
+            if (Buffer.byteLength(String(content ?? '')) > files.MAX_EDITOR_BYTES) {
+                throw new files.FileError(`The content is larger than the editor allows (${files.MAX_EDITOR_BYTES} bytes); upload the file instead.`, 413);
+            }
+            const serverDir = await existingServerDir(serverName);
+            const syntax = checkSyntax(await sandbox.resolvePath(serverDir, filePath), content ?? '');
+            if (syntax.errors.length && ignoreSyntaxErrors !== true) {
+                socket.emit('file-syntax', { serverName, filePath, ...syntax, blocked: true });
+                return;
+            }
+            const revision = await fileRevisions.save(serverName, serverDir, filePath, String(content ?? ''), {
+                author: socket.data.username,
+                baseHash,
+                force: force === true
+            });
+            socket.emit('file-saved', { serverName, filePath, hash: revision.hash });
+            socket.emit('file-operation-status', { serverName, message: `Saved ${filePath}.` });
+        } catch (error) {
+            if (error.status === 409 && error.hash !== undefined) {
+                socket.emit('file-save-conflict', { serverName, filePath, hash: error.hash, message: error.message });
+                return;
             }
+            socket.emit('file-operation-status', { serverName, message: `Could not save ${filePath}: ${error.message}`, error: true });
+        }
+    });
+
+    // --- File Revisions ---
+    socket.on('list-file-revisions', async ({ serverName, filePath } = {}) => {
+        if (!authorize('files.read', serverName)) return;
+        try {
+            const revisions = await fileRevisions.list(serverName, await existingServerDir(serverName), filePath);
+            socket.emit('file-revisions', { serverName, filePath, revisions });
+        } catch (error) {
+            socket.emit('file-operation-status', { serverName, message: error.message, error: true });
+        }
+    });
+
+    // from and to are revision ids or "current" (the file on disk).
+    socket.on('diff-file-revisions', async ({ serverName, filePath, from, to } = {}) => {
+        if (!authorize('files.read', serverName)) return;
+        try {
+            const diff = await fileRevisions.diff(serverName, await existingServerDir(serverName), filePath, from, to);
+            socket.emit('file-revision-diff', { serverName, filePath, from, to, ...diff });
+        } catch (error) {
+            socket.emit('file-operation-status', { serverName, message: error.message, error: true });
+        }
+    });
+
+    socket.on('rollback-file', async ({ serverName, filePath, revisionId } = {}) => {
+        if (!authorize('files.write', serverName)) return;
+        try {
+            const serverDir = await existingServerDir(serverName);
+            const { revision, content } = await fileRevisions.rollback(serverName, serverDir, filePath, revisionId, socket.data.username);
+            socket.emit('file-content', { serverName, filePath, content, size: revision.size, hash: revision.hash, maxBytes: files.MAX_EDITOR_BYTES });
+            socket.emit('file-revisions', { serverName, filePath, revisions: await fileRevisions.list(serverName, serverDir, filePath) });
+            socket.emit('file-operation-status', { serverName, message: `Restored an earlier version of ${filePath}.` });
+        } catch (error) {
+            socket.emit('file-operation-status', { serverName, message: `Could not restore ${filePath}: ${error.message}`, error: true });
+        }
+    });
+
+    socket.on('delete-path', async ({ serverName, pathToDelete } = {}) => {
+        if (!authorize('files.write', serverName)) return;
+        try {
+            const fullPath = await sandbox.resolvePath(await existingServerDir(serverName), pathToDelete, { followLinks: false });
 
             await rimraf(fullPath);
             socket.emit('terminal-output', `\n--- Deleted: ${pathToDelete} ---\n`);
@@ -512,19 +1568,13 @@ io.on('connection', async (socket) => {
         }
     });
 
-    socket.on('rename-path', async ({ serverName, oldPath, newName }) => {
+    socket.on('rename-path', async ({ serverName, oldPath, newName } = {}) => {
+        if (!authorize('files.write', serverName)) return;
         try {
-            const serverPath = path.join(__dirname, serverName);
-            const fullOldPath = path.join(serverPath, oldPath);
-            const parentDirForNew = path.dirname(fullOldPath);
-            const fullNewPath = path.join(parentDirForNew, newName);
-
-            if (!fullOldPath.startsWith(serverPath) || fullOldPath === serverPath) {
-                throw new Error('Access denied or cannot rename root.');
-            }
-             if (!fullNewPath.startsWith(serverPath)) {
-                throw new Error('Access denied for new path.');
-            }
+            files.validateName(newName);
+            const serverDir = await existingServerDir(serverName);
+            const fullOldPath = await sandbox.resolvePath(serverDir, oldPath, { followLinks: false });
+            const fullNewPath = await sandbox.resolvePath(serverDir, path.join(path.dirname(oldPath), newName), { followLinks: false });
             if (fs.existsSync(fullNewPath)) {
                 throw new Error('A file or folder with the new name already exists.');
             }
@@ -543,16 +1593,83 @@ io.on('connection', async (socket) => {
         }
     });
 
+    // Operations on the files selected in the Files tab. Each reports to file-operation-status and
+    // sends refresh-file-list for every folder it changed.
+    const folderOf = (dir) => String(dir || '').split('/').filter(Boolean).join('/');
+    const parentOf = (relPath) => folderOf(path.posix.dirname(folderOf(relPath)).replace(/^\.$/, ''));
+    const selection = (paths) => {
+        if (!Array.isArray(paths) || !paths.length || paths.some(p => typeof p !== 'string')) throw new Error('Nothing is selected.');
+        return paths;
+    };
+    const items = (count) => `${count} item${count === 1 ? '' : 's'}`;
+    const fileOperation = (event, run) => socket.on(event, async ({ serverName, ...args } = {}) => {
+        if (!authorize('files.write', serverName)) return;
+        try {
+            const { message, changed } = await run(await existingServerDir(serverName), args);
+            socket.emit('file-operation-status', { serverName, message });
+            for (const subDir of new Set(changed)) socket.emit('refresh-file-list', { serverName, subDir });
+        } catch (error) {
+            socket.emit('file-operation-status', { serverName, message: error.message, error: true });
+        }
+    });
+
+    fileOperation('create-path', async (serverDir, { parent, name, type }) => {
+        const created = await files.createEntry(serverDir, parent, name, type === 'folder' ? 'folder' : 'file');
+        return { message: `Created ${created}.`, changed: [parentOf(created)] };
+    });
+
+    fileOperation('move-paths', async (serverDir, { paths, destination }) => {
+        const moved = await files.movePaths(serverDir, selection(paths), destination);
+        return { message: `Moved ${items(moved.length)} to /${folderOf(destination)}.`, changed: [...paths.map(parentOf), folderOf(destination)] };
+    });
+
+    fileOperation('copy-paths', async (serverDir, { paths, destination }) => {
+        const copied = await files.copyPaths(serverDir, selection(paths), destination);
+        return { message: `Copied ${items(copied.length)} to /${folderOf(destination)}.`, changed: [folderOf(destination)] };
+    });
+
+    fileOperation('delete-paths', async (serverDir, { paths }) => {
+        await files.deletePaths(serverDir, selection(paths));
+        return { message: `Deleted ${items(paths.length)}.`, changed: paths.map(parentOf) };
+    });
+
+    fileOperation('compress-paths', async (serverDir, { paths, archivePath }) => {
+        const archive = await files.compressPaths(serverDir, selection(paths), archivePath);
+        return { message: `Created ${archive}.`, changed: [parentOf(archive)] };
+    });
+
+    fileOperation('extract-archive', async (serverDir, { archivePath, destination }) => {
+        const { count, destination: extractedTo } = await files.extractArchive(serverDir, archivePath, destination);
+        return { message: `Extracted ${items(count)} to /${extractedTo}.`, changed: [extractedTo, parentOf(extractedTo)] };
+    });
+
     socket.on('delete-server', async (serverName) => {
-        if (!serverName || serverName.includes('..') || serverName.includes('/')) {
+        if (!sandbox.isServerName(serverName)) {
             return socket.emit('terminal-output', `\n--- Invalid server name: ${serverName} ---\n`);
         }
-        if (activeServerDir === serverName) {
-            return socket.emit('terminal-output', `\n--- Cannot delete a running server. Stop it first. ---\n`);
-        }
+        if (!authorize('server.delete', serverName)) return;
         try {
-            await rimraf(path.join(__dirname, serverName));
-            io.emit('existing-servers', { servers: await getExistingServers(), activeServer: activeServerDir });
+            if (processes.isRunning(serverName) || processes.getState(serverName) === 'installing') {
+                return socket.emit('terminal-output', `\n--- Cannot delete a running server. Stop it first. ---\n`);
+            }
+            if (backups.isBusy(serverName)) {
+                return socket.emit('terminal-output', `\n--- Cannot delete '${serverName}' while a ${backups.isBusy(serverName)} is in progress. ---\n`);
+            }
+            if (installJobs.isBusy(serverName)) {
+                return socket.emit('terminal-output', `\n--- Cannot delete '${serverName}' while an update is queued or running. ---\n`);
+            }
+            await rimraf(sandbox.serverDir(__dirname, serverName));
+            crashMonitor.reset(serverName);
+            scheduler.removeServer(serverName);
+            consoleLog.remove(serverName);
+            rcon.close(serverName);
+            resources.removeServer(serverName);
+            webhooks.removeServer(serverName);
+            manifests.removeServer(serverName);
+            processes.remove(serverName);
+            await serverSettings.remove(serverName);
+            await auth.removeServerGrants(serverName);
+            await broadcastServerList();
             socket.emit('terminal-output', `\n--- Server '${serverName}' deleted. ---\n`);
         } catch (error) {
             console.error(`Error deleting server ${serverName}:`, error);
@@ -560,10 +1677,107 @@ io.on('connection', async (socket) => {
         }
     });
 
-    socket.on('disconnect', () => console.log('Client disconnected'));
+    // --- User Management ---
+    const sendUserList = async () => {
+        socket.emit('user-list', { users: auth.listUsers(), servers: await getExistingServers() });
+    };
+
+    socket.on('list-users', async () => {
+        if (!authorize('users.manage')) return;
+        try {
+            await sendUserList();
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR listing users: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('create-user', async ({ username, password, role, serverRoles } = {}) => {
+        if (!authorize('users.manage')) return;
+        try {
+            await auth.createUser({ username, password, role, serverRoles });
+            socket.emit('terminal-output', `\n--- User '${username}' created. ---\n`);
+            await sendUserList();
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR creating user: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('update-user', async ({ username, role, serverRoles, password } = {}) => {
+        if (!authorize('users.manage')) return;
+        try {
+            await auth.updateUser(username, { role, serverRoles, password: password || undefined });
+            if (password) disconnectSockets(client => client.data.username === username && client !== socket);
+            await refreshUserSockets(username);
+            socket.emit('terminal-output', `\n--- User '${username}' updated. ---\n`);
+            await sendUserList();
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR updating user: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('delete-user', async ({ username } = {}) => {
+        if (!authorize('users.manage')) return;
+        try {
+            await auth.deleteUser(username);
+            disconnectSockets(client => client.data.username === username);
+            socket.emit('terminal-output', `\n--- User '${username}' deleted. ---\n`);
+            await sendUserList();
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR deleting user: ${error.message} ---\n`);
+        }
+    });
+
+    // Any user may change their own password.
+    socket.on('change-password', async ({ currentPassword, newPassword } = {}) => {
+        try {
+            const { username } = socket.data;
+            if (!(await auth.checkPassword(username, currentPassword))) throw new Error('Current password is wrong.');
+            await auth.updateUser(username, { password: newPassword });
+            socket.emit('terminal-output', `\n--- Password changed. Please log in again. ---\n`);
+            disconnectSockets(client => client.data.username === username);
+        } catch (error) {
+            socket.emit('terminal-output', `\n--- ERROR changing password: ${error.message} ---\n`);
+        }
+    });
+
+    socket.on('disconnect', () => console.log(`Client disconnected (${socket.data.username})`));
 });
 
 // --- Server Initialization ---
-server.listen(PORT, () => {
-  console.log(`Control Panel started on http://localhost:${PORT}`);
+Promise.all([
+    auth.load(),
+    installJobs.load(),
+    downloads.load(),
+    uploads.load(),
+    getExistingServers().then(names => Promise.all([scheduler.load(names), manifests.migrateAll(names)]))
+]).then(() => {
+    server.listen(PORT, () => {
+      console.log(`Control Panel started on http://localhost:${PORT}`);
+      if (!auth.hasUsers()) console.log('No accounts yet: open the panel to create the admin account.');
+    });
+    backups.startAutoBackups(getExistingServers);
+    scheduler.start();
+    statusPoller.start();
+    resources.start();
+}).catch((error) => {
+    console.error('Could not load panel data:', error);
+    process.exit(1);
 });
+
+// Servers run in their own process groups and would outlive the panel, so stop them properly.
+let shuttingDown = false;
+const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`Received ${signal}, stopping running servers...`);
+    scheduler.stop();
+    statusPoller.stop();
+    resources.stop();
+    rcon.closeAll();
+    installJobs.killAll();
+    await processes.stopAll();
+    consoleLog.closeAll();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Auth, SESSION_COOKIE } = require('../lib/auth');
+
+const request = (cookie) => ({ headers: { cookie } });
+
+test('a malformed cookie does not throw', () => {
+    const auth = new Auth(os.tmpdir());
+    assert.strictEqual(auth.tokenFromRequest(request('x=%E0%A4%A')), null);
+    assert.strictEqual(auth.userFromRequest(request(`x=%E0%A4%A; ${SESSION_COOKIE}=%ZZ`)), null);
+    assert.strictEqual(auth.tokenFromRequest(request(`${SESSION_COOKIE}=%E0%A4%A`)), '%E0%A4%A');
+});
+
+test('a session cookie is found among others', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'panel-auth-'));
+    const auth = new Auth(dir);
+    await auth.createFirstAdmin({ username: 'admin', password: 'secretpass' });
+    const token = await auth.login('admin', 'secretpass');
+    assert.strictEqual(auth.userFromRequest(request(`x=%E0%A4%A; ${SESSION_COOKIE}=${token}`)).username, 'admin');
+    fs.rmSync(dir, { recursive: true, force: true });
+});